@@ -0,0 +1,381 @@
+// backfill.js
+// Backfill page: collects changes from a Gerrit query as a dry run, then links/comments
+// them one at a time through the service worker with a pause between changes.
+// The list and per-change results live in chrome.storage.local (`backfillState`), so a
+// closed tab or a stop resumes with the changes that are not done yet.
+
+'use strict';
+
+const MSG = self.MESSAGE_TYPES;
+const SITE = self.SITE_CONFIG;
+const GERRIT = self.GERRIT_CHANGE;
+
+const BACKFILL_STATE_KEY = 'backfillState';
+const BACKFILL_PAGE_SIZE = 100;
+const BACKFILL_MAX_CHANGES = 2000;
+const BACKFILL_DEFAULT_DELAY_MS = 1500;
+const BACKFILL_MIN_DELAY_MS = 200;
+const BACKFILL_MAX_DELAY_MS = 60000;
+
+const RESULT_LABELS = {
+  pending: '대기',
+  success: '완료',
+  failed: '실패',
+  skipped: '이슈키 없음',
+};
+
+const originEl = /** @type {HTMLSelectElement} */ (document.getElementById('gerrit-origin'));
+const queryEl = /** @type {HTMLInputElement} */ (document.getElementById('gerrit-query'));
+const actionLinkEl = /** @type {HTMLInputElement} */ (document.getElementById('action-link'));
+const actionCommentEl = /** @type {HTMLInputElement} */ (document.getElementById('action-comment'));
+const throttleEl = /** @type {HTMLInputElement} */ (document.getElementById('throttle-ms'));
+const selectAllEl = /** @type {HTMLInputElement} */ (document.getElementById('select-all'));
+const btnSearch = document.getElementById('btn-search');
+const btnRun = document.getElementById('btn-run');
+const btnStop = document.getElementById('btn-stop');
+const btnClear = document.getElementById('btn-clear');
+const statusEl = document.getElementById('status');
+const summaryEl = document.getElementById('summary');
+const changeBodyEl = document.getElementById('change-body');
+
+/**
+ * @type {null | { origin: string, query: string, createdAt: number,
+ *   changes: { changeNum: string, project: string, branch: string, subject: string,
+ *     issueKeys: string[], selected: boolean, result: string, message: string }[] }}
+ */
+let backfill = null;
+let running = false;
+let stopRequested = false;
+// Result cells by change entry; kept outside `backfill` so only plain data is stored.
+const resultCells = new Map();
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+/**
+ * @param {string} msg
+ * @param {'ok'|'err'|'inf'|''} cls
+ */
+function setStatus(msg, cls) {
+  statusEl.textContent = msg;
+  statusEl.className = cls;
+}
+
+function sendMessage(msg) {
+  return new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage(msg, (response) => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+        return;
+      }
+      resolve(response);
+    });
+  });
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function readDelayMs() {
+  const value = Number.parseInt(throttleEl.value, 10);
+  if (!Number.isFinite(value)) return BACKFILL_DEFAULT_DELAY_MS;
+  return Math.min(BACKFILL_MAX_DELAY_MS, Math.max(BACKFILL_MIN_DELAY_MS, value));
+}
+
+function readActions() {
+  const actions = [];
+  if (actionLinkEl.checked) actions.push('link');
+  if (actionCommentEl.checked) actions.push('comment');
+  return actions;
+}
+
+// ── Persistence ───────────────────────────────────────────────────────────────
+
+function loadBackfill() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get([BACKFILL_STATE_KEY], (data) => {
+      const stored = data?.[BACKFILL_STATE_KEY];
+      resolve(stored && Array.isArray(stored.changes) ? stored : null);
+    });
+  });
+}
+
+function saveBackfill() {
+  return new Promise((resolve) => {
+    if (!backfill) chrome.storage.local.remove(BACKFILL_STATE_KEY, resolve);
+    else chrome.storage.local.set({ [BACKFILL_STATE_KEY]: backfill }, resolve);
+  });
+}
+
+// ── Gerrit query (dry run) ────────────────────────────────────────────────────
+
+function describeGerritError(err) {
+  if (err.status === 400) return 'Gerrit 검색어가 올바르지 않습니다.';
+  if (err.status === 401 || err.status === 403) return 'Gerrit에 로그인되어 있는지 확인하세요.';
+  return 'Gerrit에 연결할 수 없습니다. 옵션 페이지에서 Gerrit 주소와 접근 권한을 확인하세요.';
+}
+
+async function queryChanges(origin, query, onProgress) {
+  const changes = [];
+  let more = true;
+  while (more && changes.length < BACKFILL_MAX_CHANGES) {
+    const params = new URLSearchParams({ q: query, n: String(BACKFILL_PAGE_SIZE), S: String(changes.length) });
+    const page = await GERRIT.fetchGerritJson(origin, `/changes/?${params}&o=CURRENT_REVISION&o=CURRENT_COMMIT`);
+    const list = Array.isArray(page) ? page : [];
+    changes.push(...list);
+    more = list.length > 0 && list[list.length - 1]._more_changes === true;
+    onProgress(changes.length);
+  }
+  return changes.slice(0, BACKFILL_MAX_CHANGES);
+}
+
+/** Keys as on the change page: `JIRA:` footer keys when present, else subject/footer-line keys. */
+function toBackfillChange(payload) {
+  const context = GERRIT.deriveContextFromPayload(payload);
+  const issueKeys = (context?.issueKeys || []).map((item) => item.key);
+  return {
+    changeNum: String(context?.changeNum || ''),
+    project: String(context?.project || ''),
+    branch: String(context?.branch || ''),
+    subject: String(context?.subject || ''),
+    issueKeys,
+    selected: issueKeys.length > 0,
+    result: issueKeys.length > 0 ? 'pending' : 'skipped',
+    message: '',
+  };
+}
+
+async function handleSearch() {
+  const origin = originEl.value;
+  const query = queryEl.value.trim();
+  if (!query) {
+    setStatus('Gerrit 검색어를 입력하세요.', 'err');
+    return;
+  }
+
+  btnSearch.disabled = true;
+  setStatus('Gerrit에서 change를 가져오는 중...', 'inf');
+  try {
+    const payloads = await queryChanges(origin, query, (count) => {
+      setStatus(`Gerrit에서 change를 가져오는 중... ${count}개`, 'inf');
+    });
+    backfill = {
+      origin,
+      query,
+      createdAt: Date.now(),
+      changes: payloads.map(toBackfillChange).filter((c) => c.changeNum && c.project),
+    };
+    await saveBackfill();
+    renderTable();
+    const withKeys = backfill.changes.filter((c) => c.issueKeys.length > 0).length;
+    const capped = payloads.length >= BACKFILL_MAX_CHANGES ? ` (최대 ${BACKFILL_MAX_CHANGES}개까지만 가져왔습니다)` : '';
+    setStatus(
+      `change ${backfill.changes.length}개 중 ${withKeys}개에서 이슈 키를 찾았습니다${capped}.\n목록을 확인한 뒤 실행하세요.`,
+      'ok',
+    );
+  } catch (err) {
+    setStatus(describeGerritError(err), 'err');
+  } finally {
+    btnSearch.disabled = running;
+  }
+}
+
+// ── Table ─────────────────────────────────────────────────────────────────────
+
+function isRemaining(change) {
+  return change.selected && (change.result === 'pending' || change.result === 'failed');
+}
+
+function renderSummary() {
+  if (!backfill) {
+    summaryEl.textContent = '';
+    return;
+  }
+  const count = (result) => backfill.changes.filter((c) => c.result === result).length;
+  summaryEl.textContent = [
+    `전체 ${backfill.changes.length}`,
+    `선택 ${backfill.changes.filter((c) => c.selected).length}`,
+    `완료 ${count('success')}`,
+    `실패 ${count('failed')}`,
+    `남음 ${backfill.changes.filter(isRemaining).length}`,
+  ].join(' · ');
+}
+
+function renderResultCell(cell, change) {
+  cell.className = `result ${change.result}`;
+  cell.textContent = change.message || RESULT_LABELS[change.result] || '';
+}
+
+function renderTable() {
+  changeBodyEl.textContent = '';
+  resultCells.clear();
+  for (const change of backfill?.changes || []) {
+    const tr = document.createElement('tr');
+
+    const selectCell = document.createElement('td');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = change.selected;
+    checkbox.disabled = running || change.issueKeys.length === 0;
+    checkbox.addEventListener('change', () => {
+      change.selected = checkbox.checked;
+      saveBackfill();
+      syncControls();
+    });
+    selectCell.appendChild(checkbox);
+
+    const changeCell = document.createElement('td');
+    const link = document.createElement('a');
+    link.href = `${backfill.origin}/c/${change.project}/+/${change.changeNum}`;
+    link.target = '_blank';
+    link.rel = 'noopener noreferrer';
+    link.textContent = change.changeNum;
+    changeCell.appendChild(link);
+
+    const placeCell = document.createElement('td');
+    placeCell.textContent = `${change.project} / ${change.branch}`;
+    const subjectCell = document.createElement('td');
+    subjectCell.textContent = change.subject;
+    const keysCell = document.createElement('td');
+    keysCell.textContent = change.issueKeys.join(', ') || '-';
+    const resultCell = document.createElement('td');
+    renderResultCell(resultCell, change);
+    resultCells.set(change, resultCell);
+
+    tr.append(selectCell, changeCell, placeCell, subjectCell, keysCell, resultCell);
+    changeBodyEl.appendChild(tr);
+  }
+  syncControls();
+}
+
+function syncControls() {
+  const selectable = (backfill?.changes || []).filter((c) => c.issueKeys.length > 0);
+  selectAllEl.checked = selectable.length > 0 && selectable.every((c) => c.selected);
+  selectAllEl.disabled = running || selectable.length === 0;
+
+  const remaining = (backfill?.changes || []).filter(isRemaining).length;
+  const started = (backfill?.changes || []).some((c) => c.result === 'success' || c.result === 'failed');
+  btnRun.textContent = started && remaining > 0 ? `이어서 실행 (${remaining})` : '실행';
+  btnRun.disabled = running || remaining === 0;
+  btnStop.disabled = !running || stopRequested;
+  btnClear.disabled = running || !backfill;
+  btnSearch.disabled = running;
+  originEl.disabled = running;
+  queryEl.disabled = running;
+  renderSummary();
+}
+
+// ── Run ───────────────────────────────────────────────────────────────────────
+
+async function syncChange(change, actions) {
+  const detail = await GERRIT.fetchChangeContext(change.changeNum, change.project, backfill.origin);
+  if (!detail) return { ok: false, message: 'Gerrit에서 change 정보를 읽지 못했습니다.' };
+
+  const context = {
+    ...detail,
+    gerritUrl: `${backfill.origin}/c/${detail.project || change.project}/+/${detail.changeNum || change.changeNum}`,
+  };
+  // The keys reviewed in the dry-run table, not whatever the current detail yields.
+  return sendMessage({ type: MSG.BACKFILL_SYNC_CHANGE, context, actions, issueKeys: change.issueKeys });
+}
+
+async function handleRun() {
+  const actions = readActions();
+  if (actions.length === 0) {
+    setStatus('실행할 작업을 선택하세요.', 'err');
+    return;
+  }
+  const queue = backfill.changes.filter(isRemaining);
+  if (queue.length === 0) return;
+
+  const delayMs = readDelayMs();
+  throttleEl.value = String(delayMs);
+  running = true;
+  stopRequested = false;
+  renderTable();
+
+  let fatal = '';
+  for (let i = 0; i < queue.length && !stopRequested; i++) {
+    const change = queue[i];
+    setStatus(`실행 중 ${i + 1}/${queue.length} — change ${change.changeNum}`, 'inf');
+
+    let resp;
+    try {
+      resp = await syncChange(change, actions);
+    } catch {
+      resp = { ok: false, message: '요청 중 오류가 발생했습니다.' };
+    }
+
+    if (resp?.noIssueKey) change.result = 'skipped';
+    else change.result = resp?.ok ? 'success' : 'failed';
+    change.message = resp?.summary || resp?.message || '';
+    renderResultCell(resultCells.get(change), change);
+    renderSummary();
+    await saveBackfill();
+
+    // Missing credentials fail every change the same way; stop instead of repeating it.
+    if (resp?.fatal) {
+      fatal = resp.message;
+      break;
+    }
+    if (i < queue.length - 1 && !stopRequested) await sleep(delayMs);
+  }
+
+  running = false;
+  const remaining = backfill.changes.filter(isRemaining).length;
+  if (fatal) setStatus(fatal, 'err');
+  else if (stopRequested) setStatus(`중지했습니다. 남은 change ${remaining}개는 이어서 실행할 수 있습니다.`, 'inf');
+  else if (remaining > 0) setStatus(`완료했지만 ${remaining}개가 실패했습니다. 결과를 확인한 뒤 다시 실행할 수 있습니다.`, 'err');
+  else setStatus('백필을 완료했습니다.', 'ok');
+  stopRequested = false;
+  renderTable();
+}
+
+// ── Init ──────────────────────────────────────────────────────────────────────
+
+selectAllEl.addEventListener('change', () => {
+  for (const change of backfill?.changes || []) {
+    if (change.issueKeys.length > 0) change.selected = selectAllEl.checked;
+  }
+  saveBackfill();
+  renderTable();
+});
+
+btnSearch.addEventListener('click', handleSearch);
+btnRun.addEventListener('click', handleRun);
+queryEl.addEventListener('keydown', (e) => {
+  if (e.key === 'Enter') handleSearch();
+});
+
+btnStop.addEventListener('click', () => {
+  stopRequested = true;
+  setStatus('현재 change 처리 후 중지합니다...', 'inf');
+  syncControls();
+});
+
+btnClear.addEventListener('click', async () => {
+  if (!window.confirm('백필 목록과 진행 상황을 지울까요? Jira에 추가된 웹링크/코멘트는 그대로 남습니다.')) return;
+  backfill = null;
+  await saveBackfill();
+  renderTable();
+  setStatus('', '');
+});
+
+(async () => {
+  const { gerritOrigins } = await SITE.loadSiteConfig();
+  for (const origin of gerritOrigins) {
+    const option = document.createElement('option');
+    option.value = origin;
+    option.textContent = origin;
+    originEl.appendChild(option);
+  }
+
+  backfill = await loadBackfill();
+  if (backfill) {
+    if (gerritOrigins.includes(backfill.origin)) originEl.value = backfill.origin;
+    queryEl.value = backfill.query || '';
+    const remaining = backfill.changes.filter(isRemaining).length;
+    if (remaining > 0) setStatus(`이전 백필 목록을 불러왔습니다. 남은 change ${remaining}개를 이어서 실행할 수 있습니다.`, 'inf');
+  }
+  renderTable();
+})();
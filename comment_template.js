@@ -0,0 +1,307 @@
+// Comment template engine shared by the service worker (rendering) and the options page (validation).
+//
+// Syntax:
+//   {name}                     placeholder
+//   {name|upper|truncate:80}   filters, applied left to right
+//   {owner|unknown}            a trailing segment that is not a filter is the default for empty values
+//   {#if name}...{#else}...{/if}, {#if !name}...{/if}
+//   {{ and }}                  literal { and }
+// A bare {word} that is not a placeholder (Jira wiki macros such as {code} or {quote}) is kept as-is.
+// A block tag alone on its line consumes that line, so optional sections leave no blank lines.
+(function initCommentTemplate(root) {
+  const DEFAULT_TEMPLATE =
+`{title}
+
+{body}
+
+브랜치: {branch}
+{#if date}
+반영 일시: {date}
+{/if}
+Gerrit: {url}
+Change-Id: {change_id}`;
+
+  const PLACEHOLDERS = Object.freeze([
+    'title', 'body', 'branch', 'change_num', 'change_id', 'project', 'owner', 'date', 'url',
+    'patchset', 'status', 'topic', 'hashtags', 'reviewers', 'submitter', 'code_review', 'verified',
+    'insertions', 'deletions', 'files', 'file_count',
+  ]);
+
+  const DEFAULT_DATE_FORMAT = 'YYYY-MM-DD HH:mm';
+
+  const TAG_RE = /\{\{|\}\}|\{(#[a-z]+(?:\s+[^{}\n]*)?|\/[a-z]+|[a-z_][a-z0-9_]*(?:\|[^{}\n]*)?)\}/g;
+
+  function formatDatePattern(d, pattern) {
+    const pad = (n) => String(n).padStart(2, '0');
+    const tokens = {
+      YYYY: String(d.getFullYear()),
+      MM: pad(d.getMonth() + 1),
+      DD: pad(d.getDate()),
+      HH: pad(d.getHours()),
+      mm: pad(d.getMinutes()),
+      ss: pad(d.getSeconds()),
+    };
+    return String(pattern || DEFAULT_DATE_FORMAT).replace(/YYYY|MM|DD|HH|mm|ss/g, (t) => tokens[t]);
+  }
+
+  const FILE_STATUS_LABELS = { A: '추가', D: '삭제', R: '이름 변경', C: '복사' };
+
+  /** Changed-file entries ({ path, status, insertions, deletions, binary }) or plain strings. */
+  function formatListItem(item) {
+    if (!item || typeof item !== 'object') return String(item ?? '');
+    const tick = String(item.path).includes('`') ? '``' : '`';
+    const notes = [];
+    if (FILE_STATUS_LABELS[item.status]) notes.push(FILE_STATUS_LABELS[item.status]);
+    if (!item.hideCounts) notes.push(item.binary ? 'binary' : `+${item.insertions || 0}/-${item.deletions || 0}`);
+    return `${tick}${item.path}${tick}${notes.length > 0 ? ` (${notes.join(', ')})` : ''}`;
+  }
+
+  function stringify(value) {
+    // Lists render as Markdown bullets, which become an ADF bulletList for Cloud.
+    if (Array.isArray(value)) return value.map((item) => `- ${formatListItem(item)}`).join('\n');
+    if (value instanceof Date) {
+      return Number.isNaN(value.getTime()) ? '' : formatDatePattern(value, DEFAULT_DATE_FORMAT);
+    }
+    return value == null ? '' : String(value);
+  }
+
+  const FILTERS = Object.freeze({
+    upper: { apply: (v) => stringify(v).toUpperCase() },
+    lower: { apply: (v) => stringify(v).toLowerCase() },
+    trim: { apply: (v) => stringify(v).trim() },
+    firstline: { apply: (v) => stringify(v).trim().split(/\r?\n/)[0] || '' },
+    truncate: {
+      validate: (arg) => (/^\d+$/.test(arg) && Number(arg) > 0 ? '' : 'truncate 길이는 1 이상의 숫자여야 합니다'),
+      apply: (v, arg) => {
+        const text = stringify(v);
+        const max = Number(arg);
+        return text.length > max ? `${text.slice(0, Math.max(0, max - 1))}…` : text;
+      },
+    },
+    limit: {
+      validate: (arg) => (/^\d+$/.test(arg) && Number(arg) > 0 ? '' : 'limit 개수는 1 이상의 숫자여야 합니다'),
+      apply: (v, arg) => {
+        const max = Number(arg);
+        if (!Array.isArray(v) || v.length <= max) return v;
+        return [...v.slice(0, max), `… 외 ${v.length - max}개`];
+      },
+    },
+    nocounts: {
+      apply: (v) => (Array.isArray(v)
+        ? v.map((item) => (item && typeof item === 'object' ? { ...item, hideCounts: true } : item))
+        : v),
+    },
+    date: {
+      validate: (arg) => (!arg || /YYYY|MM|DD|HH|mm|ss/.test(arg) ? '' : 'date 형식에는 YYYY, MM, DD, HH, mm, ss 중 하나가 필요합니다'),
+      apply: (v, arg) => (v instanceof Date ? stringify(v) && formatDatePattern(v, arg) : stringify(v)),
+    },
+  });
+
+  function lineAt(source, index) {
+    return source.slice(0, index).split('\n').length;
+  }
+
+  function parseFilterSegment(segment) {
+    const idx = segment.indexOf(':');
+    const name = (idx < 0 ? segment : segment.slice(0, idx)).trim();
+    if (!Object.prototype.hasOwnProperty.call(FILTERS, name)) return null;
+    return { name, arg: idx < 0 ? '' : segment.slice(idx + 1).trim() };
+  }
+
+  /**
+   * Parses `template` into a node tree. Never throws; problems are collected in `errors`
+   * as Korean, line-prefixed messages suitable for the options page.
+   * @returns {{ nodes: any[], errors: string[] }}
+   */
+  function parseTemplate(template) {
+    const source = String(template || '');
+    const errors = [];
+    const rootNodes = [];
+    const stack = [{ children: rootNodes, node: null, line: 0 }];
+    const current = () => stack[stack.length - 1];
+    let last = 0;
+
+    const report = (index, message) => errors.push(`${lineAt(source, index)}행: ${message}`);
+
+    for (const m of source.matchAll(TAG_RE)) {
+      const tag = m[1];
+      if (tag === undefined) {
+        current().children.push({ type: 'text', value: source.slice(last, m.index) + m[0][0] });
+        last = m.index + 2;
+        continue;
+      }
+      const [name, ...segments] = tag.split('|');
+      if (segments.length === 0 && /^[a-z_]/.test(name) && !PLACEHOLDERS.includes(name)) continue;
+
+      let textEnd = m.index;
+      let next = m.index + m[0].length;
+
+      // A block tag alone on its line swallows the line's indentation and newline.
+      if (tag.startsWith('#') || tag.startsWith('/')) {
+        const lineStart = source.lastIndexOf('\n', m.index - 1) + 1;
+        const after = source.slice(next).match(/^[ \t]*(?:\r?\n|$)/);
+        if (lineStart >= last && /^[ \t]*$/.test(source.slice(lineStart, m.index)) && after) {
+          textEnd = lineStart;
+          next += after[0].length;
+        }
+      }
+
+      if (textEnd > last) current().children.push({ type: 'text', value: source.slice(last, textEnd) });
+      last = next;
+
+      if (tag.startsWith('#')) {
+        const [keyword, ...rest] = tag.slice(1).split(/\s+/);
+        const expr = rest.join(' ').trim();
+        if (keyword === 'else') {
+          const frame = current();
+          if (!frame.node) report(m.index, '{#else}에 대응하는 {#if}가 없습니다');
+          else if (frame.inElse) report(m.index, '{#else}가 중복되었습니다');
+          else {
+            frame.inElse = true;
+            frame.children = frame.node.otherwise;
+          }
+          continue;
+        }
+        if (keyword !== 'if') {
+          report(m.index, `지원하지 않는 블록입니다: {#${keyword}}`);
+          continue;
+        }
+        const cond = expr.match(/^(!?)([a-z_][a-z0-9_]*)$/);
+        if (!cond) {
+          report(m.index, `{#if} 조건이 올바르지 않습니다: ${m[0]}`);
+        } else if (!PLACEHOLDERS.includes(cond[2])) {
+          report(m.index, `알 수 없는 플레이스홀더입니다: ${cond[2]}`);
+        }
+        const node = { type: 'if', name: cond ? cond[2] : '', negate: Boolean(cond && cond[1]), then: [], otherwise: [] };
+        current().children.push(node);
+        stack.push({ children: node.then, node, line: m.index });
+        continue;
+      }
+
+      if (tag.startsWith('/')) {
+        if (tag !== '/if') report(m.index, `지원하지 않는 블록입니다: {${tag}}`);
+        else if (!current().node) report(m.index, '{/if}에 대응하는 {#if}가 없습니다');
+        else stack.pop();
+        continue;
+      }
+
+      if (!PLACEHOLDERS.includes(name)) report(m.index, `알 수 없는 플레이스홀더입니다: {${name}}`);
+
+      const filters = [];
+      let fallback = '';
+      segments.forEach((segment, i) => {
+        const filter = parseFilterSegment(segment);
+        if (filter) {
+          const problem = FILTERS[filter.name].validate ? FILTERS[filter.name].validate(filter.arg) : '';
+          if (problem) report(m.index, problem);
+          filters.push(filter);
+        } else if (i === segments.length - 1) {
+          fallback = segment;
+        } else {
+          report(m.index, `알 수 없는 필터입니다: ${segment.trim()}`);
+        }
+      });
+      current().children.push({ type: 'var', name, filters, fallback });
+    }
+
+    if (last < source.length) current().children.push({ type: 'text', value: source.slice(last) });
+    for (const frame of stack.slice(1)) report(frame.line, '{#if}가 {/if}로 닫히지 않았습니다');
+
+    return { nodes: rootNodes, errors };
+  }
+
+  function isTruthy(value) {
+    if (value instanceof Date) return !Number.isNaN(value.getTime());
+    return stringify(value).trim() !== '';
+  }
+
+  function renderNodes(nodes, vars) {
+    let out = '';
+    for (const node of nodes) {
+      if (node.type === 'text') {
+        out += node.value;
+      } else if (node.type === 'if') {
+        const pass = isTruthy(vars[node.name]) !== node.negate;
+        out += renderNodes(pass ? node.then : node.otherwise, vars);
+      } else {
+        let value = vars[node.name];
+        for (const filter of node.filters) value = FILTERS[filter.name].apply(value, filter.arg);
+        const text = stringify(value);
+        out += text.trim() === '' && node.fallback ? node.fallback : text;
+      }
+    }
+    return out;
+  }
+
+  /** @returns {string[]} empty when the template is valid */
+  function validateTemplate(template) {
+    return parseTemplate(template).errors;
+  }
+
+  /**
+   * Renders `template` with `vars` keyed by placeholder name. Date values are formatted
+   * with DEFAULT_DATE_FORMAT unless a `date:` filter is given.
+   * Throws (code 'template_invalid', `errors` attached) when the template does not parse.
+   */
+  function renderTemplate(template, vars) {
+    const { nodes, errors } = parseTemplate(template);
+    if (errors.length > 0) {
+      const err = new Error(errors[0]);
+      err.code = 'template_invalid';
+      err.errors = errors;
+      throw err;
+    }
+    return renderNodes(nodes, vars || {})
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  }
+
+  // ── Named template library ──────────────────────────────────────────────────
+  // Stored as `commentTemplates: [{ id, name, body }]` plus `defaultTemplateId`.
+  // The single `commentTemplate` value from older versions becomes the first entry.
+
+  const LIBRARY_STORAGE_KEYS = ['commentTemplates', 'defaultTemplateId', 'commentTemplate'];
+  const LEGACY_TEMPLATE_ID = 'default';
+
+  function resolveTemplateLibrary(data) {
+    const stored = Array.isArray(data?.commentTemplates) ? data.commentTemplates : [];
+    const templates = stored
+      .filter((t) => t && typeof t.id === 'string' && t.id)
+      .map((t) => ({
+        id: t.id,
+        name: String(t.name || '').trim() || '이름 없는 템플릿',
+        body: typeof t.body === 'string' ? t.body : '',
+      }));
+
+    if (templates.length === 0) {
+      const legacy = typeof data?.commentTemplate === 'string' ? data.commentTemplate : '';
+      templates.push({ id: LEGACY_TEMPLATE_ID, name: '기본', body: legacy.trim() ? legacy : DEFAULT_TEMPLATE });
+    }
+
+    const defaultId = templates.some((t) => t.id === data?.defaultTemplateId)
+      ? data.defaultTemplateId
+      : templates[0].id;
+    return { templates, defaultId };
+  }
+
+  /** Returns the template with `id`, falling back to the library default. */
+  function pickTemplate(library, id) {
+    return library.templates.find((t) => t.id === id)
+      || library.templates.find((t) => t.id === library.defaultId)
+      || library.templates[0];
+  }
+
+  root.COMMENT_TEMPLATE = Object.freeze({
+    DEFAULT_TEMPLATE,
+    LIBRARY_STORAGE_KEYS,
+    DEFAULT_DATE_FORMAT,
+    PLACEHOLDERS,
+    FILTERS,
+    formatDatePattern,
+    parseTemplate,
+    validateTemplate,
+    renderTemplate,
+    resolveTemplateLibrary,
+    pickTemplate,
+  });
+})(typeof self !== 'undefined' ? self : window);
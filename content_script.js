@@ -1,29 +1,53 @@
 // content_script.js
 // Responsibilities: extract Gerrit context from DOM, display toast notifications,
-// and provide FAB quick actions. No direct network requests.
+// and provide FAB quick actions. Network requests go to Gerrit only (same-origin,
+// user's session); Jira is reached through the service worker.
 
 'use strict';
 
 const MSG = self.MESSAGE_TYPES;
+const SITE = self.SITE_CONFIG;
+const MARKDOWN = self.MARKDOWN_ADF;
+const ISSUE_DETAILS = self.ISSUE_DETAILS;
+const GERRIT = self.GERRIT_CHANGE;
 const FAB_ROOT_ID = 'gj-fab-root';
 const ISSUE_DIALOG_ID = '__gj_issue_dialog__';
-const FAB_SCHEMA_VERSION = '2';
+const TRANSITION_DIALOG_ID = '__gj_transition_dialog__';
+const COMMENT_CHOICE_DIALOG_ID = '__gj_comment_choice_dialog__';
+const COMMENT_PREVIEW_DIALOG_ID = '__gj_comment_preview_dialog__';
+const FAB_SCHEMA_VERSION = '5';
 const NETWORK_HOOK_SCRIPT_ID = '__gj_network_hook__';
 const NETWORK_CONTEXT_EVENT_TYPE = 'GJ_NETWORK_CONTEXT';
 
-let networkContextCache = {
-  issueKey: null,
-  subject: '',
-  branch: '',
-  body: '',
-  changeNum: '',
-  project: '',
-  owner: '',
-  changeId: '',
-  submittedAt: '',
-};
+function emptyNetworkContext() {
+  return {
+    issueKey: null,
+    issueKeys: [],
+    subject: '',
+    branch: '',
+    body: '',
+    changeNum: '',
+    project: '',
+    owner: '',
+    changeId: '',
+    submittedAt: '',
+    status: '',
+    patchset: '',
+    topic: '',
+    hashtags: [],
+    reviewers: [],
+    submitter: '',
+    codeReview: '',
+    verified: '',
+    insertions: '',
+    deletions: '',
+    files: [],
+  };
+}
 
-const JIRA_BASE = 'https://thinkfree.atlassian.net';
+let networkContextCache = emptyNetworkContext();
+
+// Keyed by change number so a navigation never waits on the previous change's request.
 let detailFetchInFlight = null;
 
 // -- Shadow-DOM helpers -------------------------------------------------------
@@ -56,10 +80,6 @@ const JIRA_TAG_RE = /jira\s*:\s*([A-Z][A-Z0-9]+-\d+)/i;
 const CHANGE_ID_RE = /\bChange-Id\s*:\s*(I[a-f0-9]{40})\b/i;
 const JIRA_BROWSE_RE = /\/browse\/([A-Z][A-Z0-9]+-\d+)\b/i;
 
-function normalizeIssueKey(key) {
-  return key ? String(key).toUpperCase() : null;
-}
-
 function mergeNetworkContext(partial) {
   networkContextCache = {
     ...networkContextCache,
@@ -67,142 +87,51 @@ function mergeNetworkContext(partial) {
   };
 }
 
-function parseGerritJson(raw) {
-  if (!raw) return null;
-  const stripped = String(raw).replace(/^\)\]\}'\s*\n?/, '').trim();
-  if (!stripped) return null;
-  try {
-    return JSON.parse(stripped);
-  } catch {
-    return null;
-  }
-}
-
-function buildGerritDetailCandidates() {
-  const changeNum = extractChangeNum();
-  const project = extractProject();
-  if (!changeNum) return [];
-
-  const list = [];
-  if (project) {
-    const id = encodeURIComponent(`${project}~${changeNum}`);
-    list.push(`/a/changes/${id}/detail?o=CURRENT_REVISION&o=CURRENT_COMMIT`);
-    list.push(`/changes/${id}/detail?o=CURRENT_REVISION&o=CURRENT_COMMIT`);
+/** Drops detail data left over from another change after an in-app navigation. */
+function resetStaleNetworkContext() {
+  if (networkContextCache.changeNum && networkContextCache.changeNum !== extractChangeNum()) {
+    networkContextCache = emptyNetworkContext();
   }
-
-  const numeric = encodeURIComponent(changeNum);
-  list.push(`/a/changes/${numeric}/detail?o=CURRENT_REVISION&o=CURRENT_COMMIT`);
-  list.push(`/changes/${numeric}/detail?o=CURRENT_REVISION&o=CURRENT_COMMIT`);
-  return list;
 }
 
 async function fetchGerritDetailContext() {
-  if (detailFetchInFlight) return detailFetchInFlight;
+  resetStaleNetworkContext();
+  const changeNum = extractChangeNum();
+  if (detailFetchInFlight?.changeNum === changeNum) return detailFetchInFlight.promise;
 
-  detailFetchInFlight = (async () => {
-    const candidates = buildGerritDetailCandidates();
-    for (const path of candidates) {
-      try {
-        const resp = await fetch(path, {
-          method: 'GET',
-          credentials: 'include',
-          headers: { Accept: 'application/json' },
-        });
-        if (!resp.ok) continue;
-
-        const text = await resp.text();
-        const payload = parseGerritJson(text);
-        const derived = deriveContextFromPayload(payload);
-        if (!derived) continue;
-
-        mergeNetworkContext(derived);
-        return derived;
-      } catch {
-        // Try next candidate endpoint.
-      }
-    }
-    return null;
-  })();
+  const entry = {
+    changeNum,
+    promise: (async () => {
+      const derived = await GERRIT.fetchChangeContext(changeNum, extractProject());
+      // A response that lands after the page moved on must not fill the new change's cache.
+      if (derived && extractChangeNum() === changeNum) mergeNetworkContext(derived);
+      return derived;
+    })(),
+  };
+  detailFetchInFlight = entry;
 
   try {
-    return await detailFetchInFlight;
+    return await entry.promise;
   } finally {
-    detailFetchInFlight = null;
-  }
-}
-
-function deriveContextFromPayload(payload) {
-  if (!payload || typeof payload !== 'object') return null;
-
-  const subject = String(payload.subject || '').trim();
-  const branch = String(payload.branch || '').trim();
-  const project = String(payload.project || '').trim();
-  const owner = String(payload?.owner?.name || payload?.owner?.username || '').trim();
-  const changeNum = String(payload?._number || '').trim();
-  const submittedAt = String(payload.submitted || payload.updated || '').trim();
-
-  const revisions = payload.revisions || {};
-  const currentRevisionKey = payload.current_revision;
-  const currentRevision = currentRevisionKey ? revisions[currentRevisionKey] : null;
-  const commitMessage = String(currentRevision?.commit?.message || '').trim();
-
-  const payloadChangeId = String(payload.change_id || '').trim();
-  const changeIdMatch = commitMessage.match(/\bChange-Id\s*:\s*(I[a-f0-9]{40})\b/i);
-  const changeId = payloadChangeId || (changeIdMatch ? changeIdMatch[1] : '');
-
-  const body = commitMessage
-    ? commitMessage
-      .split('\n')
-      .slice(1)
-      .filter((line) => !/^\s*jira\s*:/i.test(line))
-      .filter((line) => !/^\s*change-id\s*:/i.test(line))
-      .filter((line) => !/^\s*cherry[- ]picked\s+from\b/i.test(line))
-      .filter((line) => !/^\s*cherry[- ]picked[- ]from\s*:/i.test(line))
-      .join('\n')
-      .replace(/\n{3,}/g, '\n\n')
-      .trim()
-    : '';
-
-  const issueKey =
-    extractIssueKeyFromCommitPreferred(commitMessage) ||
-    extractIssueKeyFromText(subject) ||
-    null;
-
-  return {
-    issueKey,
-    subject,
-    branch,
-    body,
-    changeNum,
-    project,
-    owner,
-    changeId,
-    submittedAt,
-  };
+    if (detailFetchInFlight === entry) detailFetchInFlight = null;
+  }
 }
 
 function extractIssueKeyFromText(text) {
   if (!text) return null;
 
   const jiraTag = text.match(JIRA_TAG_RE);
-  if (jiraTag) return normalizeIssueKey(jiraTag[1]);
+  if (jiraTag) return GERRIT.normalizeIssueKey(jiraTag[1]);
 
   const bare = text.match(ISSUE_KEY_RE);
-  if (bare) return normalizeIssueKey(bare[1]);
+  if (bare) return GERRIT.normalizeIssueKey(bare[1]);
 
   return null;
 }
 
 function extractIssueKeyFromCommitPreferred(commitText) {
-  if (!commitText) return null;
-
-  const tagMatch = commitText.match(JIRA_TAG_RE);
-  if (tagMatch) return normalizeIssueKey(tagMatch[1]);
-
-  const bareMatch = commitText.match(ISSUE_KEY_RE);
-  if (bareMatch) return normalizeIssueKey(bareMatch[1]);
-
-  return null;
+  const keys = GERRIT.collectIssueKeysFromCommit(commitText);
+  return keys.length > 0 ? keys[0].key : null;
 }
 
 function extractSubject() {
@@ -263,16 +192,16 @@ function extractIssueKey() {
   if (networkContextCache.issueKey) return networkContextCache.issueKey;
 
   // 3) direct extraction from Jira browse links in rendered commit message
-  for (const sel of ['a[href*="atlassian.net/browse/"]', 'a[href*="/browse/"]']) {
+  for (const sel of ['a[href*="/browse/"]']) {
     const links = queryShadowAll(document, sel);
     for (const link of links) {
       const href = String(link.getAttribute('href') || '');
       const hrefMatch = href.match(JIRA_BROWSE_RE);
-      if (hrefMatch) return normalizeIssueKey(hrefMatch[1]);
+      if (hrefMatch) return GERRIT.normalizeIssueKey(hrefMatch[1]);
 
       const text = (link.textContent || '').trim();
       const textMatch = text.match(ISSUE_KEY_RE);
-      if (textMatch) return normalizeIssueKey(textMatch[1]);
+      if (textMatch) return GERRIT.normalizeIssueKey(textMatch[1]);
     }
   }
 
@@ -331,6 +260,16 @@ function extractIssueKey() {
   return null;
 }
 
+function extractIssueKeys() {
+  const fromCommit = GERRIT.collectIssueKeysFromCommit(getCommitMessageText());
+  if (fromCommit.length > 0) return fromCommit;
+
+  if (networkContextCache.issueKeys.length > 0) return networkContextCache.issueKeys;
+
+  const fallback = extractIssueKey();
+  return fallback ? [{ key: fallback, source: 'page' }] : [];
+}
+
 function extractChangeNum() {
   const m = window.location.pathname.match(/\/c\/.+\/\+\/(\d+)/);
   return m ? m[1] : '';
@@ -439,8 +378,13 @@ function extractChangeId() {
 }
 
 function extractContext() {
+  const issueKeys = networkContextCache.issueKeys.length > 0
+    ? networkContextCache.issueKeys
+    : extractIssueKeys();
+
   return {
-    issueKey: networkContextCache.issueKey || extractIssueKey(),
+    issueKey: issueKeys[0]?.key || null,
+    issueKeys,
     subject: networkContextCache.subject || extractSubject(),
     gerritUrl: window.location.href,
     branch: networkContextCache.branch || extractBranch(),
@@ -450,6 +394,17 @@ function extractContext() {
     owner: networkContextCache.owner || extractOwner(),
     changeId: networkContextCache.changeId || extractChangeId(),
     submittedAt: networkContextCache.submittedAt,
+    status: networkContextCache.status,
+    patchset: networkContextCache.patchset,
+    topic: networkContextCache.topic,
+    hashtags: networkContextCache.hashtags,
+    reviewers: networkContextCache.reviewers,
+    submitter: networkContextCache.submitter,
+    codeReview: networkContextCache.codeReview,
+    verified: networkContextCache.verified,
+    insertions: networkContextCache.insertions,
+    deletions: networkContextCache.deletions,
+    files: networkContextCache.files,
   };
 }
 
@@ -538,7 +493,11 @@ const TOAST_COLORS = {
   info: '#1565c0',
 };
 
-function showToast(message, type = 'info') {
+const TOAST_DURATION_MS = 4500;
+const TOAST_ACTION_DURATION_MS = 15000;
+
+/** `action` ({ label, onClick }) adds a button and keeps the toast up longer. */
+function showToast(message, type = 'info', action = null) {
   const existing = document.getElementById('__gjc_toast__');
   if (existing) existing.remove();
 
@@ -562,18 +521,41 @@ function showToast(message, type = 'info') {
     boxShadow: '0 4px 16px rgba(0,0,0,0.35)',
     lineHeight: '1.5',
     wordBreak: 'break-word',
+    whiteSpace: 'pre-line',
     opacity: '1',
     transition: 'opacity 0.3s ease',
     userSelect: 'none',
   });
 
   toast.textContent = message;
+  if (action) {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.textContent = action.label;
+    Object.assign(btn.style, {
+      display: 'block',
+      marginTop: '8px',
+      padding: '4px 12px',
+      border: '1px solid rgba(255,255,255,0.7)',
+      borderRadius: '4px',
+      background: 'transparent',
+      color: '#fff',
+      font: 'inherit',
+      fontWeight: '600',
+      cursor: 'pointer',
+    });
+    btn.addEventListener('click', () => {
+      toast.remove();
+      action.onClick();
+    });
+    toast.appendChild(btn);
+  }
   document.body.appendChild(toast);
 
   setTimeout(() => {
     toast.style.opacity = '0';
     setTimeout(() => toast.remove(), 320);
-  }, 4500);
+  }, action ? TOAST_ACTION_DURATION_MS : TOAST_DURATION_MS);
 }
 
 // -- Runtime messaging ---------------------------------------------------------
@@ -590,9 +572,43 @@ function sendRuntimeMessage(msg) {
   });
 }
 
+// -- Navigation ----------------------------------------------------------------
+// Gerrit is a single-page app. Features that follow the open page register here instead
+// of each watching the URL: the Navigation API reports the page's pushState navigations
+// to content scripts too, and `popstate` plus one path check cover browsers without it.
+
+const NAVIGATION_FALLBACK_CHECK_MS = 1500;
+
+const navigationListeners = [];
+let lastNavigationPath = window.location.pathname;
+
+function onGerritNavigate(listener) {
+  navigationListeners.push(listener);
+}
+
+function notifyNavigation() {
+  const path = window.location.pathname;
+  if (path === lastNavigationPath) return;
+  lastNavigationPath = path;
+  for (const listener of navigationListeners) listener(path);
+}
+
+function initNavigationWatcher() {
+  if (window.navigation) {
+    window.navigation.addEventListener('currententrychange', notifyNavigation);
+    return;
+  }
+  window.addEventListener('popstate', notifyNavigation);
+  setInterval(notifyNavigation, NAVIGATION_FALLBACK_CHECK_MS);
+}
+
+// Registered first so every other listener reads the new change's context.
+onGerritNavigate(() => resetStaleNetworkContext());
+
 // -- FAB + Quick actions -------------------------------------------------------
 
 let fabDocClickHandler = null;
+let fabLinkStateKey = '';
 
 function setFabMenuItemsState(menu, isOpen) {
   const items = Array.from(menu.children);
@@ -618,13 +634,23 @@ function closeFabMenu() {
   }
 }
 
+// List pages only get the batch action; change pages get everything else.
+function syncFabMenuForPage(menu) {
+  const listPage = isChangeListPage();
+  for (const item of menu.children) {
+    item.style.display = (item.id === 'gj-fab-batch') === listPage ? '' : 'none';
+  }
+}
+
 function openFabMenu() {
   const menu = document.getElementById('gj-fab-menu');
   if (!menu) return;
+  syncFabMenuForPage(menu);
   menu.style.opacity = '1';
   menu.style.transform = 'translateY(0)';
   menu.style.pointerEvents = 'auto';
   setFabMenuItemsState(menu, true);
+  if (!isChangeListPage()) refreshFabLinkState();
 
   const mainButton = document.getElementById('gj-fab-main');
   if (mainButton) {
@@ -665,7 +691,9 @@ function ensureIssueDialog() {
         <div id="gj-issue-dialog-key" style="font-weight:700; color:#1565c0; margin-bottom:8px;"></div>
         <div id="gj-issue-dialog-summary" style="font-weight:700; margin-bottom:8px;"></div>
         <div id="gj-issue-dialog-status" style="margin-bottom:4px;"></div>
-        <div id="gj-issue-dialog-assignee"></div>
+        <div id="gj-issue-dialog-assignee" style="margin-bottom:4px;"></div>
+        <div id="gj-issue-dialog-details" style="max-height:50vh; overflow-y:auto; margin-bottom:4px;"></div>
+        <div id="gj-issue-dialog-link"></div>
       </div>
     </div>
   `;
@@ -684,21 +712,99 @@ function ensureIssueDialog() {
   return dialog;
 }
 
-function showIssueDialog(issueKey, issue) {
+function showIssueDialog(issueKey, issue, displayFields) {
   const dialog = ensureIssueDialog();
   const keyEl = document.getElementById('gj-issue-dialog-key');
   const summaryEl = document.getElementById('gj-issue-dialog-summary');
   const statusEl = document.getElementById('gj-issue-dialog-status');
   const assigneeEl = document.getElementById('gj-issue-dialog-assignee');
+  const detailsEl = document.getElementById('gj-issue-dialog-details');
 
   if (keyEl) keyEl.textContent = issueKey;
   if (summaryEl) summaryEl.textContent = issue.summary || '(제목 없음)';
-  if (statusEl) statusEl.textContent = `Status: ${issue.status || '-'}`;
+  if (statusEl) {
+    statusEl.textContent = 'Status: ';
+    statusEl.appendChild(ISSUE_DETAILS.renderStatusLozenge(issue, document));
+  }
   if (assigneeEl) assigneeEl.textContent = `Assignee: ${issue.assignee || 'Unassigned'}`;
+  if (detailsEl) {
+    detailsEl.replaceChildren(
+      ISSUE_DETAILS.renderIssueDetails(issue, displayFields || ISSUE_DETAILS.DEFAULT_FIELDS, document),
+    );
+  }
+  renderIssueDialogLinkState('pending');
 
   dialog.style.display = 'flex';
 }
 
+function renderIssueDialogLinkState(linked) {
+  const linkEl = document.getElementById('gj-issue-dialog-link');
+  if (!linkEl) return;
+  if (linked === 'pending' || linked === null) {
+    linkEl.textContent = linked === null ? 'Gerrit 링크: 확인 불가' : 'Gerrit 링크: 확인 중...';
+    linkEl.style.color = '#526074';
+    return;
+  }
+  linkEl.textContent = linked ? 'Gerrit 링크: 연결됨' : 'Gerrit 링크: 연결 안 됨';
+  linkEl.style.color = linked ? TOAST_COLORS.success : TOAST_COLORS.warn;
+}
+
+function setFabLinkBadge(linked) {
+  const btn = document.getElementById('gj-fab-link');
+  if (!btn) return;
+
+  let badge = btn.querySelector('.gj-fab-badge');
+  if (linked === null) {
+    badge?.remove();
+    btn.title = '웹링크 추가';
+    return;
+  }
+
+  if (!badge) {
+    badge = document.createElement('span');
+    badge.className = 'gj-fab-badge';
+    Object.assign(badge.style, {
+      position: 'absolute',
+      top: '-2px',
+      right: '-2px',
+      width: '14px',
+      height: '14px',
+      borderRadius: '7px',
+      color: '#fff',
+      fontSize: '10px',
+      lineHeight: '14px',
+      textAlign: 'center',
+    });
+    btn.appendChild(badge);
+  }
+
+  badge.textContent = linked ? '✓' : '!';
+  badge.style.background = linked ? TOAST_COLORS.success : TOAST_COLORS.warn;
+  btn.title = linked ? '웹링크 업데이트 (연결됨)' : '웹링크 추가 (연결 안 됨)';
+}
+
+async function refreshFabLinkState(force = false) {
+  const ctx = extractContext();
+  if (!ctx.issueKey) return null;
+
+  const stateKey = `${ctx.issueKey}:${ctx.changeNum}`;
+  if (!force && fabLinkStateKey === stateKey) return null;
+  fabLinkStateKey = stateKey;
+
+  try {
+    const resp = await sendRuntimeMessage({ type: MSG.POPUP_GET_LINK_STATE });
+    if (!resp?.ok) {
+      setFabLinkBadge(null);
+      return null;
+    }
+    setFabLinkBadge(resp.linked);
+    return resp.linked;
+  } catch {
+    setFabLinkBadge(null);
+    return null;
+  }
+}
+
 async function handleFabIssueLookup() {
   const ctx = extractContext();
   if (!ctx.issueKey) {
@@ -719,162 +825,724 @@ async function handleFabIssueLookup() {
       return;
     }
 
-    showIssueDialog(ctx.issueKey, resp.issue);
+    showIssueDialog(ctx.issueKey, resp.issue, resp.displayFields);
     showToast(`이슈 조회 완료: ${ctx.issueKey}`, 'success');
+    renderIssueDialogLinkState(await refreshFabLinkState(true));
   } catch {
     showToast('요청 중 오류가 발생했습니다.', 'error');
   }
 }
 
+function summarizeFabResults(results, labels) {
+  const okCount = results.filter((r) => r.ok).length;
+  const lines = results.map((r) => {
+    if (r.skipped) return `– ${r.issueKey}: ${r.message}`;
+    if (r.ok) return `✔ ${r.issueKey}: ${r.updated ? labels.updated : labels.created}`;
+    return `✖ ${r.issueKey}: ${r.message || labels.failed}`;
+  });
+
+  let type = 'error';
+  if (okCount === results.length) type = 'success';
+  else if (okCount > 0) type = 'warn';
+  return { message: lines.join('\n'), type };
+}
+
 async function handleFabAddRemoteLink() {
   showToast('웹링크 추가 중...', 'info');
   try {
     const resp = await sendRuntimeMessage({ type: MSG.POPUP_ADD_REMOTE_LINK });
-    if (!resp?.ok) {
+    if (!Array.isArray(resp?.results)) {
       showToast(resp?.message || '웹링크 추가에 실패했습니다.', 'error');
       return;
     }
-    showToast(`웹링크 추가 완료: ${resp.issueKey || ''}`.trim(), 'success');
+    const { message, type } = summarizeFabResults(resp.results, {
+      created: '웹링크 추가 완료',
+      updated: '웹링크 업데이트 완료',
+      failed: '웹링크 추가에 실패했습니다.',
+    });
+    showToast(message, type);
+    if (resp.results[0]?.ok && !resp.results[0].skipped) setFabLinkBadge(true);
   } catch {
     showToast('요청 중 오류가 발생했습니다.', 'error');
   }
 }
 
-async function handleFabAddComment() {
-  showToast('코멘트 생성 중...', 'info');
-  try {
-    const resp = await sendRuntimeMessage({ type: MSG.POPUP_ADD_COMMENT });
-    if (!resp?.ok) {
-      showToast(resp?.message || '코멘트 생성에 실패했습니다.', 'error');
-      return;
-    }
-    showToast(`코멘트 생성 완료: ${resp.issueKey || ''}`.trim(), 'success');
-  } catch {
-    showToast('요청 중 오류가 발생했습니다.', 'error');
-  }
-}
+function ensureCommentChoiceDialog() {
+  let dialog = document.getElementById(COMMENT_CHOICE_DIALOG_ID);
+  if (dialog) return dialog;
 
-function openJiraIssueInNewTab() {
-  const ctx = extractContext();
-  const key = normalizeIssueKey(ctx.issueKey);
-  if (!key) {
-    showToast('이슈키를 찾을 수 없습니다.', 'warn');
-    return;
-  }
+  dialog = document.createElement('div');
+  dialog.id = COMMENT_CHOICE_DIALOG_ID;
 
-  window.open(`${JIRA_BASE}/browse/${encodeURIComponent(key)}`, '_blank', 'noopener,noreferrer');
-}
+  Object.assign(dialog.style, {
+    position: 'fixed',
+    inset: '0',
+    background: 'rgba(0,0,0,0.35)',
+    zIndex: '2147483645',
+    display: 'none',
+    alignItems: 'center',
+    justifyContent: 'center',
+  });
 
-function buildFabActionButton({ id, icon, title, onClick, iconSvg }) {
-  const btn = document.createElement('button');
-  btn.id = id;
-  btn.type = 'button';
-  btn.title = title;
-  btn.setAttribute('aria-label', title);
-  if (iconSvg) {
-    btn.innerHTML = iconSvg;
-  } else {
-    btn.textContent = icon;
-  }
+  dialog.innerHTML = `
+    <div style="width: min(440px, calc(100vw - 40px)); background:#fff; border-radius:10px; border:1px solid #d9e0ea; box-shadow:0 12px 28px rgba(0,0,0,0.28); overflow:hidden; font-family:system-ui,-apple-system,sans-serif;">
+      <div style="display:flex; align-items:center; justify-content:space-between; padding:10px 12px; background:#fff8ef; border-bottom:1px solid #d9e0ea;">
+        <strong style="font-size:13px; color:#1e2530;">기존 코멘트가 있습니다</strong>
+        <button id="gj-comment-choice-close" type="button" style="border:1px solid #d9e0ea; background:#fff; border-radius:6px; width:28px; height:28px; cursor:pointer;">×</button>
+      </div>
+      <div style="padding:12px; font-size:12px; color:#2b3647; line-height:1.55;">
+        <div id="gj-comment-choice-text" style="white-space:pre-line; margin-bottom:10px;"></div>
+        <div style="display:flex; gap:8px; justify-content:flex-end;">
+          <button id="gj-comment-choice-new" type="button" style="border:1px solid #d9e0ea; background:#fff; border-radius:6px; padding:6px 12px; cursor:pointer;">새로 작성</button>
+          <button id="gj-comment-choice-update" type="button" style="border:1px solid #1565c0; background:#1565c0; color:#fff; border-radius:6px; padding:6px 12px; cursor:pointer;">기존 코멘트 업데이트</button>
+        </div>
+      </div>
+    </div>
+  `;
 
-  Object.assign(btn.style, {
-    width: '42px',
-    height: '42px',
-    borderRadius: '21px',
-    border: 'none',
-    background: '#fff',
-    color: '#1d2b3f',
-    fontSize: '19px',
-    cursor: 'pointer',
-    boxShadow: '0 4px 12px rgba(0,0,0,0.2)',
-    opacity: '0',
-    transform: 'translateY(6px) scale(0.94)',
-    transition: 'opacity 0.16s ease, transform 0.18s ease',
+  dialog.addEventListener('click', (e) => {
+    if (e.target === dialog) dialog.style.display = 'none';
   });
 
-  btn.addEventListener('click', async (e) => {
-    e.stopPropagation();
-    closeFabMenu();
-    await onClick();
+  document.body.appendChild(dialog);
+
+  const closeBtn = document.getElementById('gj-comment-choice-close');
+  closeBtn?.addEventListener('click', () => {
+    dialog.style.display = 'none';
   });
 
-  return btn;
+  return dialog;
 }
 
-function renderFab() {
-  const existing = document.getElementById(FAB_ROOT_ID);
-  if (existing) {
-    const sameVersion = existing.getAttribute('data-fab-version') === FAB_SCHEMA_VERSION;
-    const hasOpenIssueButton = !!existing.querySelector('#gj-fab-open-issue');
-    if (sameVersion && hasOpenIssueButton) return;
-    existing.remove();
+function showCommentChoiceDialog(duplicates, drafts) {
+  const dialog = ensureCommentChoiceDialog();
+  const textEl = document.getElementById('gj-comment-choice-text');
+  const updateBtn = document.getElementById('gj-comment-choice-update');
+  const newBtn = document.getElementById('gj-comment-choice-new');
+
+  const issueKeys = duplicates.map((d) => d.issueKey);
+  const lines = duplicates.map((d) => {
+    const when = d.existing?.updated || d.existing?.created || '';
+    const patchset = d.existing?.patchset ? `Patchset ${d.existing.patchset}` : '';
+    const detail = [patchset, when].filter(Boolean).join(', ');
+    return `- ${d.issueKey}${detail ? ` (${detail})` : ''}`;
+  });
+  if (textEl) {
+    textEl.textContent =
+      `이 change의 코멘트가 이미 있습니다.\n${lines.join('\n')}\n기존 코멘트를 업데이트하거나 새로 작성하세요.`;
   }
 
-  const root = document.createElement('div');
-  root.id = FAB_ROOT_ID;
-  root.setAttribute('data-fab-version', FAB_SCHEMA_VERSION);
+  const choose = (mode) => {
+    dialog.style.display = 'none';
+    handleFabAddComment(mode, issueKeys, drafts);
+  };
+  if (updateBtn) updateBtn.onclick = () => choose('update');
+  if (newBtn) newBtn.onclick = () => choose('new');
 
-  Object.assign(root.style, {
+  dialog.style.display = 'flex';
+}
+
+function ensureCommentPreviewDialog() {
+  let dialog = document.getElementById(COMMENT_PREVIEW_DIALOG_ID);
+  if (dialog) return dialog;
+
+  dialog = document.createElement('div');
+  dialog.id = COMMENT_PREVIEW_DIALOG_ID;
+
+  Object.assign(dialog.style, {
     position: 'fixed',
-    right: '24px',
-    bottom: '24px',
-    zIndex: '2147483646',
-    display: 'grid',
-    gap: '10px',
-    justifyItems: 'end',
+    inset: '0',
+    background: 'rgba(0,0,0,0.35)',
+    zIndex: '2147483645',
+    display: 'none',
+    alignItems: 'center',
+    justifyContent: 'center',
   });
 
-  const menu = document.createElement('div');
-  menu.id = 'gj-fab-menu';
-  Object.assign(menu.style, {
-    display: 'grid',
-    gap: '8px',
-    opacity: '0',
-    transform: 'translateY(6px)',
-    pointerEvents: 'none',
-    transition: 'opacity 0.16s ease, transform 0.18s ease',
+  dialog.innerHTML = `
+    <div style="width: min(620px, calc(100vw - 40px)); max-height: calc(100vh - 60px); display:flex; flex-direction:column; background:#fff; border-radius:10px; border:1px solid #d9e0ea; box-shadow:0 12px 28px rgba(0,0,0,0.28); overflow:hidden; font-family:system-ui,-apple-system,sans-serif;">
+      <div style="display:flex; align-items:center; justify-content:space-between; padding:10px 12px; background:#f7f9fc; border-bottom:1px solid #d9e0ea;">
+        <strong id="gj-comment-preview-title" style="font-size:13px; color:#1e2530;">코멘트 미리보기</strong>
+        <button id="gj-comment-preview-close" type="button" style="border:1px solid #d9e0ea; background:#fff; border-radius:6px; width:28px; height:28px; cursor:pointer;">×</button>
+      </div>
+      <div style="padding:12px; font-size:12px; color:#2b3647; line-height:1.55; overflow:auto;">
+        <select id="gj-comment-preview-template" aria-label="코멘트 템플릿" style="width:100%; margin-bottom:8px; padding:5px 8px; border:1px solid #d9e0ea; border-radius:6px; font-size:12px; background:#fff;"></select>
+        <select id="gj-comment-preview-key" aria-label="미리볼 이슈" style="width:100%; margin-bottom:8px; padding:5px 8px; border:1px solid #d9e0ea; border-radius:6px; font-size:12px; background:#fff;"></select>
+        <div id="gj-comment-preview-rule" style="margin-bottom:6px; color:#5b6678;"></div>
+        <textarea id="gj-comment-preview-text" spellcheck="false" style="width:100%; min-height:150px; box-sizing:border-box; border:1px solid #d9e0ea; border-radius:6px; padding:6px 8px; font:12px/1.45 ui-monospace,Menlo,Consolas,monospace; resize:vertical;"></textarea>
+        <div style="margin:10px 0 4px; font-weight:600;">Jira 표시</div>
+        <div id="gj-comment-preview-render" style="border:1px solid #eef1f6; border-radius:6px; padding:8px 10px; max-height:240px; overflow:auto; word-break:break-word;"></div>
+        <div style="display:flex; gap:8px; justify-content:flex-end; margin-top:10px;">
+          <button id="gj-comment-preview-cancel" type="button" style="border:1px solid #d9e0ea; background:#fff; border-radius:6px; padding:6px 12px; cursor:pointer;">취소</button>
+          <button id="gj-comment-preview-post" type="button" style="border:1px solid #1565c0; background:#1565c0; color:#fff; border-radius:6px; padding:6px 12px; cursor:pointer;">게시</button>
+        </div>
+      </div>
+    </div>
+  `;
+
+  dialog.addEventListener('click', (e) => {
+    if (e.target === dialog) dialog.style.display = 'none';
   });
 
-  menu.appendChild(buildFabActionButton({
-    id: 'gj-fab-open-issue',
-    iconSvg: '<svg viewBox="0 0 24 24" width="18" height="18" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true"><path d="M14 3h7v7"></path><path d="M10 14 21 3"></path><path d="M21 14v7h-7"></path><path d="M3 10v11h11"></path></svg>',
-    title: '이슈 페이지 이동',
-    onClick: openJiraIssueInNewTab,
-  }));
+  document.body.appendChild(dialog);
 
-  menu.appendChild(buildFabActionButton({
-    id: 'gj-fab-issue',
-    icon: '🔍',
-    title: '이슈 조회',
-    onClick: handleFabIssueLookup,
-  }));
+  const close = () => {
+    dialog.style.display = 'none';
+  };
+  document.getElementById('gj-comment-preview-close')?.addEventListener('click', close);
+  document.getElementById('gj-comment-preview-cancel')?.addEventListener('click', close);
 
-  menu.appendChild(buildFabActionButton({
-    id: 'gj-fab-link',
-    icon: '🔗',
-    title: '웹링크 추가',
-    onClick: handleFabAddRemoteLink,
-  }));
+  return dialog;
+}
 
-  menu.appendChild(buildFabActionButton({
-    id: 'gj-fab-comment',
-    icon: '💬',
-    title: '코멘트 생성',
-    onClick: handleFabAddComment,
-  }));
+// Mirrors COMMENT_FORMATS in the service worker so the preview matches what Jira renders.
+function renderCommentPreview(renderEl, text, format) {
+  renderEl.textContent = '';
+  if (format?.deployment === 'cloud') {
+    renderEl.style.whiteSpace = 'normal';
+    renderEl.appendChild(MARKDOWN.renderAdf(MARKDOWN.markdownToAdf(text, {
+      gerritUrl: format.gerritUrl,
+      issueBaseUrl: format.jiraBaseUrl,
+      issueKeys: format.issueKeys,
+      issueProjects: format.issueProjects,
+      smartLink: format.smartLink,
+    })));
+    return;
+  }
+  // Server/DC bodies are escaped wiki markup, so the text shows up as written.
+  renderEl.style.whiteSpace = 'pre-wrap';
+  renderEl.textContent = text;
+}
 
-  const mainButton = document.createElement('button');
-  mainButton.id = 'gj-fab-main';
-  mainButton.type = 'button';
-  mainButton.setAttribute('aria-label', 'Toggle Jira quick actions');
-  mainButton.textContent = 'Jira';
+/** `preview.previews` holds one { issueKey, text, templateId, rule } per key, edited independently. */
+function showCommentPreviewDialog(issueKeys, preview) {
+  const { format, templates = [], templateId, defaultTemplateId } = preview;
+  const previews = preview.previews.map((p) => ({ ...p }));
+  let index = 0;
+  const dialog = ensureCommentPreviewDialog();
+  const titleEl = document.getElementById('gj-comment-preview-title');
+  const templateEl = /** @type {HTMLSelectElement|null} */ (document.getElementById('gj-comment-preview-template'));
+  const keyEl = /** @type {HTMLSelectElement|null} */ (document.getElementById('gj-comment-preview-key'));
+  const ruleEl = document.getElementById('gj-comment-preview-rule');
+  const textEl = /** @type {HTMLTextAreaElement|null} */ (document.getElementById('gj-comment-preview-text'));
+  const renderEl = document.getElementById('gj-comment-preview-render');
+  const postBtn = document.getElementById('gj-comment-preview-post');
+  if (!textEl || !renderEl) return;
+
+  if (titleEl) titleEl.textContent = `코멘트 미리보기 → ${issueKeys.join(', ')}`;
+
+  const showAt = (i) => {
+    index = i;
+    const current = previews[i];
+    if (keyEl) keyEl.value = current.issueKey;
+    if (ruleEl) {
+      ruleEl.textContent = current.rule ? `규칙 "${current.rule.name}" 적용` : '';
+      ruleEl.style.display = current.rule ? 'block' : 'none';
+    }
+    textEl.value = current.text;
+    renderCommentPreview(renderEl, current.text, format);
+  };
+  textEl.oninput = () => renderCommentPreview(renderEl, textEl.value, format);
+
+  if (keyEl) {
+    keyEl.textContent = '';
+    for (const p of previews) {
+      const option = document.createElement('option');
+      option.value = p.issueKey;
+      option.textContent = p.issueKey;
+      keyEl.appendChild(option);
+    }
+    keyEl.style.display = previews.length > 1 ? 'block' : 'none';
+    keyEl.onchange = () => {
+      previews[index].text = textEl.value;
+      const next = previews.findIndex((p) => p.issueKey === keyEl.value);
+      if (next >= 0) showAt(next);
+    };
+  }
 
-  Object.assign(mainButton.style, {
-    width: '56px',
-    height: '56px',
-    borderRadius: '28px',
-    border: 'none',
-    background: '#1565c0',
+  if (templateEl) {
+    templateEl.textContent = '';
+    if (previews.length > 1) {
+      const option = document.createElement('option');
+      option.value = '';
+      option.textContent = '이슈별 규칙 템플릿';
+      templateEl.appendChild(option);
+    }
+    for (const t of templates) {
+      const option = document.createElement('option');
+      option.value = t.id;
+      option.textContent = t.id === defaultTemplateId ? `${t.name} (기본)` : t.name;
+      templateEl.appendChild(option);
+    }
+    templateEl.value = templateId;
+    templateEl.style.display = templateEl.options.length > 1 ? 'block' : 'none';
+    // Switching templates re-renders from scratch, discarding edits to the previous text.
+    templateEl.onchange = () => handleFabPreviewComment(templateEl.value);
+  }
+
+  if (postBtn) {
+    postBtn.onclick = () => {
+      previews[index].text = textEl.value;
+      const empty = previews.findIndex((p) => !p.text.trim());
+      if (empty >= 0) {
+        showAt(empty);
+        showToast(`${previews[empty].issueKey} 코멘트 내용이 비어 있습니다.`, 'warn');
+        return;
+      }
+      const drafts = {};
+      for (const p of previews) drafts[p.issueKey] = { commentText: p.text.trim(), templateId: p.templateId };
+      dialog.style.display = 'none';
+      handleFabAddComment(undefined, issueKeys, drafts);
+    };
+  }
+
+  showAt(0);
+  dialog.style.display = 'flex';
+  textEl.focus();
+}
+
+async function handleFabPreviewComment(templateId) {
+  try {
+    const resp = await sendRuntimeMessage({
+      type: MSG.POPUP_PREVIEW_COMMENT,
+      templateId: typeof templateId === 'string' ? templateId : undefined,
+    });
+    if (!resp?.ok) {
+      showToast(resp?.message || '코멘트 미리보기를 만들지 못했습니다.', 'error');
+      return;
+    }
+    if (!resp.issueKeys?.length) {
+      showToast('TF-123 같은 이슈키가 필요합니다. 제목 또는 커밋 메시지에 jira: KEY를 추가하세요.', 'error');
+      return;
+    }
+    showCommentPreviewDialog(resp.issueKeys, resp);
+  } catch {
+    showToast('요청 중 오류가 발생했습니다.', 'error');
+  }
+}
+
+async function handleFabAddComment(mode, issueKeys, drafts) {
+  showToast('코멘트 생성 중...', 'info');
+  try {
+    const resp = await sendRuntimeMessage({
+      type: MSG.POPUP_ADD_COMMENT,
+      mode,
+      issueKeys,
+      drafts,
+    });
+    if (!Array.isArray(resp?.results)) {
+      showToast(resp?.message || '코멘트 생성에 실패했습니다.', 'error');
+      return;
+    }
+    const { message, type } = summarizeFabResults(resp.results, {
+      created: '코멘트 생성 완료',
+      updated: '코멘트 업데이트 완료',
+      failed: '코멘트 생성에 실패했습니다.',
+    });
+    if (resp.duplicates?.length) {
+      showCommentChoiceDialog(resp.duplicates, drafts);
+      showToast(message, 'warn');
+      return;
+    }
+    showToast(message, type);
+  } catch {
+    showToast('요청 중 오류가 발생했습니다.', 'error');
+  }
+}
+
+function ensureTransitionDialog() {
+  let dialog = document.getElementById(TRANSITION_DIALOG_ID);
+  if (dialog) return dialog;
+
+  dialog = document.createElement('div');
+  dialog.id = TRANSITION_DIALOG_ID;
+
+  Object.assign(dialog.style, {
+    position: 'fixed',
+    inset: '0',
+    background: 'rgba(0,0,0,0.35)',
+    zIndex: '2147483645',
+    display: 'none',
+    alignItems: 'center',
+    justifyContent: 'center',
+  });
+
+  dialog.innerHTML = `
+    <div style="width: min(440px, calc(100vw - 40px)); background:#fff; border-radius:10px; border:1px solid #d9e0ea; box-shadow:0 12px 28px rgba(0,0,0,0.28); overflow:hidden; font-family:system-ui,-apple-system,sans-serif;">
+      <div style="display:flex; align-items:center; justify-content:space-between; padding:10px 12px; background:#f4f8ff; border-bottom:1px solid #d9e0ea;">
+        <strong id="gj-transition-dialog-title" style="font-size:13px; color:#1e2530;">상태 전환</strong>
+        <button id="gj-transition-dialog-close" type="button" style="border:1px solid #d9e0ea; background:#fff; border-radius:6px; width:28px; height:28px; cursor:pointer;">×</button>
+      </div>
+      <div id="gj-transition-dialog-list" style="padding:12px; display:grid; gap:6px; font-size:12px; color:#2b3647;"></div>
+      <form id="gj-transition-dialog-form" style="display:none; padding:12px; gap:8px; font-size:12px; color:#2b3647;">
+        <div id="gj-transition-dialog-fields" style="display:grid; gap:8px;"></div>
+        <div style="display:flex; gap:8px; justify-content:flex-end; margin-top:4px;">
+          <button id="gj-transition-dialog-back" type="button" style="border:1px solid #d9e0ea; background:#fff; border-radius:6px; padding:6px 12px; cursor:pointer;">뒤로</button>
+          <button type="submit" style="border:1px solid #1565c0; background:#1565c0; color:#fff; border-radius:6px; padding:6px 12px; cursor:pointer;">전환</button>
+        </div>
+      </form>
+    </div>
+  `;
+
+  dialog.addEventListener('click', (e) => {
+    if (e.target === dialog) dialog.style.display = 'none';
+  });
+
+  document.body.appendChild(dialog);
+
+  const closeBtn = document.getElementById('gj-transition-dialog-close');
+  closeBtn?.addEventListener('click', () => {
+    dialog.style.display = 'none';
+  });
+
+  return dialog;
+}
+
+function buildTransitionFieldElement(field) {
+  const wrap = document.createElement('label');
+  Object.assign(wrap.style, { display: 'grid', gap: '4px' });
+
+  const caption = document.createElement('span');
+  caption.textContent = field.required ? `${field.name} *` : field.name;
+  wrap.appendChild(caption);
+
+  let input;
+  if (field.kind === 'select' || field.kind === 'multiselect') {
+    input = document.createElement('select');
+    input.multiple = field.kind === 'multiselect';
+    if (!input.multiple) {
+      const empty = document.createElement('option');
+      empty.value = '';
+      empty.textContent = field.required ? '선택하세요' : '(선택 안 함)';
+      input.appendChild(empty);
+    }
+    for (const opt of field.options) {
+      const option = document.createElement('option');
+      option.value = opt.id;
+      option.textContent = opt.name;
+      input.appendChild(option);
+    }
+  } else {
+    input = document.createElement('input');
+    input.type = field.kind === 'number' ? 'number' : 'text';
+  }
+
+  input.dataset.fieldKey = field.key;
+  Object.assign(input.style, {
+    border: '1px solid #d9e0ea',
+    borderRadius: '6px',
+    padding: '5px 7px',
+    fontSize: '12px',
+  });
+  wrap.appendChild(input);
+  return wrap;
+}
+
+function collectTransitionDialogValues(container) {
+  const values = {};
+  for (const el of container.querySelectorAll('[data-field-key]')) {
+    values[el.dataset.fieldKey] = el.multiple
+      ? Array.from(el.selectedOptions).map((o) => o.value)
+      : el.value;
+  }
+  return values;
+}
+
+async function executeFabTransition(issueKey, transition, fields) {
+  const dialog = document.getElementById(TRANSITION_DIALOG_ID);
+  if (dialog) dialog.style.display = 'none';
+
+  showToast(`상태 전환 중: ${transition.name}`, 'info');
+  try {
+    const resp = await sendRuntimeMessage({
+      type: MSG.POPUP_DO_TRANSITION,
+      issueKey,
+      transitionId: transition.id,
+      fields,
+    });
+    if (!resp?.ok) {
+      showToast(resp?.message || '상태 전환에 실패했습니다.', 'error');
+      return;
+    }
+    showToast(`상태 전환 완료: ${issueKey} → ${resp.transition?.to || transition.name}`, 'success');
+  } catch {
+    showToast('요청 중 오류가 발생했습니다.', 'error');
+  }
+}
+
+function showTransitionFieldsForm(issueKey, transition) {
+  const list = document.getElementById('gj-transition-dialog-list');
+  const form = document.getElementById('gj-transition-dialog-form');
+  const fieldsEl = document.getElementById('gj-transition-dialog-fields');
+  const backBtn = document.getElementById('gj-transition-dialog-back');
+  if (!list || !form || !fieldsEl) return;
+
+  fieldsEl.textContent = '';
+  transition.fields.forEach((field) => fieldsEl.appendChild(buildTransitionFieldElement(field)));
+
+  list.style.display = 'none';
+  form.style.display = 'grid';
+
+  if (backBtn) {
+    backBtn.onclick = () => {
+      form.style.display = 'none';
+      list.style.display = 'grid';
+    };
+  }
+
+  form.onsubmit = (e) => {
+    e.preventDefault();
+    const fields = collectTransitionDialogValues(fieldsEl);
+    const missing = transition.fields
+      .filter((f) => f.required)
+      .filter((f) => [].concat(fields[f.key] || []).every((v) => !String(v).trim()))
+      .map((f) => f.name);
+    if (missing.length > 0) {
+      showToast(`필수 항목을 입력하세요: ${missing.join(', ')}`, 'warn');
+      return;
+    }
+    executeFabTransition(issueKey, transition, fields);
+  };
+}
+
+/** The rule's default transition (if any) is listed first and highlighted. */
+function showTransitionDialog(issueKey, transitions, defaultTransitionId, rule) {
+  const dialog = ensureTransitionDialog();
+  const titleEl = document.getElementById('gj-transition-dialog-title');
+  const list = document.getElementById('gj-transition-dialog-list');
+  const form = document.getElementById('gj-transition-dialog-form');
+  if (!list || !form) return;
+
+  if (titleEl) titleEl.textContent = `상태 전환: ${issueKey}`;
+  list.textContent = '';
+  list.style.display = 'grid';
+  form.style.display = 'none';
+
+  const ordered = [...transitions].sort((a, b) => (b.id === defaultTransitionId) - (a.id === defaultTransitionId));
+  for (const transition of ordered) {
+    const isDefault = transition.id === defaultTransitionId;
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.textContent = transition.to && transition.to !== transition.name
+      ? `${transition.name} → ${transition.to}`
+      : transition.name;
+    if (isDefault && rule) {
+      btn.textContent += `  (규칙: ${rule.name})`;
+    }
+    Object.assign(btn.style, {
+      textAlign: 'left',
+      border: isDefault ? '1px solid #1565c0' : '1px solid #d9e0ea',
+      background: isDefault ? '#eef4fd' : '#fff',
+      borderRadius: '6px',
+      padding: '7px 10px',
+      fontSize: '12px',
+      cursor: 'pointer',
+    });
+    btn.addEventListener('click', () => {
+      if (transition.fields.length > 0) {
+        showTransitionFieldsForm(issueKey, transition);
+      } else {
+        executeFabTransition(issueKey, transition, {});
+      }
+    });
+    list.appendChild(btn);
+  }
+
+  dialog.style.display = 'flex';
+}
+
+async function handleFabTransition() {
+  const ctx = extractContext();
+  if (!ctx.issueKey) {
+    showToast('TF-123 같은 이슈키가 필요합니다. 제목 또는 jira: KEY를 확인하세요.', 'warn');
+    return;
+  }
+
+  try {
+    const resp = await sendRuntimeMessage({
+      type: MSG.POPUP_GET_TRANSITIONS,
+      issueKey: ctx.issueKey,
+    });
+    if (!resp?.ok) {
+      showToast(resp?.message || '상태 전환 목록 조회에 실패했습니다.', 'error');
+      return;
+    }
+    if (!resp.transitions.length) {
+      showToast(`사용 가능한 상태 전환이 없습니다: ${ctx.issueKey}`, 'warn');
+      return;
+    }
+    showTransitionDialog(ctx.issueKey, resp.transitions, resp.defaultTransitionId, resp.rule);
+  } catch {
+    showToast('요청 중 오류가 발생했습니다.', 'error');
+  }
+}
+
+async function handleFabPostToGerrit() {
+  showToast('Gerrit에 이슈 정보 게시 중...', 'info');
+  try {
+    const resp = await sendRuntimeMessage({ type: MSG.POPUP_POST_TO_GERRIT });
+    if (!Array.isArray(resp?.results)) {
+      showToast(resp?.message || 'Gerrit 메시지 작성에 실패했습니다.', 'error');
+      return;
+    }
+    const { message, type } = summarizeFabResults(resp.results, {
+      created: 'Gerrit 메시지 작성 완료',
+      updated: 'Gerrit 메시지 작성 완료',
+      failed: 'Gerrit 메시지 작성에 실패했습니다.',
+    });
+    const notes = [message];
+    if (resp.hashtags?.length) notes.push(`해시태그: ${resp.hashtags.join(', ')}`);
+    if (resp.hashtagMessage) notes.push(resp.hashtagMessage);
+    showToast(notes.join('\n'), resp.hashtagMessage && type === 'success' ? 'warn' : type);
+  } catch {
+    showToast('요청 중 오류가 발생했습니다.', 'error');
+  }
+}
+
+async function openJiraIssueInNewTab() {
+  const ctx = extractContext();
+  const key = GERRIT.normalizeIssueKey(ctx.issueKey);
+  if (!key) {
+    showToast('이슈키를 찾을 수 없습니다.', 'warn');
+    return;
+  }
+
+  const { jiraBaseUrl } = await SITE.loadSiteConfig();
+  window.open(`${jiraBaseUrl}/browse/${encodeURIComponent(key)}`, '_blank', 'noopener,noreferrer');
+}
+
+function buildFabActionButton({ id, icon, title, onClick, iconSvg }) {
+  const btn = document.createElement('button');
+  btn.id = id;
+  btn.type = 'button';
+  btn.title = title;
+  btn.setAttribute('aria-label', title);
+  if (iconSvg) {
+    btn.innerHTML = iconSvg;
+  } else {
+    btn.textContent = icon;
+  }
+
+  Object.assign(btn.style, {
+    width: '42px',
+    height: '42px',
+    borderRadius: '21px',
+    border: 'none',
+    background: '#fff',
+    color: '#1d2b3f',
+    fontSize: '19px',
+    cursor: 'pointer',
+    boxShadow: '0 4px 12px rgba(0,0,0,0.2)',
+    opacity: '0',
+    transform: 'translateY(6px) scale(0.94)',
+    transition: 'opacity 0.16s ease, transform 0.18s ease',
+    position: 'relative',
+  });
+
+  btn.addEventListener('click', async (e) => {
+    e.stopPropagation();
+    closeFabMenu();
+    await onClick();
+  });
+
+  return btn;
+}
+
+function renderFab() {
+  const existing = document.getElementById(FAB_ROOT_ID);
+  if (existing) {
+    const sameVersion = existing.getAttribute('data-fab-version') === FAB_SCHEMA_VERSION;
+    const hasOpenIssueButton = !!existing.querySelector('#gj-fab-open-issue');
+    if (sameVersion && hasOpenIssueButton) return;
+    existing.remove();
+  }
+
+  const root = document.createElement('div');
+  root.id = FAB_ROOT_ID;
+  root.setAttribute('data-fab-version', FAB_SCHEMA_VERSION);
+
+  Object.assign(root.style, {
+    position: 'fixed',
+    right: '24px',
+    bottom: '24px',
+    zIndex: '2147483646',
+    display: 'grid',
+    gap: '10px',
+    justifyItems: 'end',
+  });
+
+  const menu = document.createElement('div');
+  menu.id = 'gj-fab-menu';
+  Object.assign(menu.style, {
+    display: 'grid',
+    gap: '8px',
+    opacity: '0',
+    transform: 'translateY(6px)',
+    pointerEvents: 'none',
+    transition: 'opacity 0.16s ease, transform 0.18s ease',
+  });
+
+  menu.appendChild(buildFabActionButton({
+    id: 'gj-fab-open-issue',
+    iconSvg: '<svg viewBox="0 0 24 24" width="18" height="18" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true"><path d="M14 3h7v7"></path><path d="M10 14 21 3"></path><path d="M21 14v7h-7"></path><path d="M3 10v11h11"></path></svg>',
+    title: '이슈 페이지 이동',
+    onClick: openJiraIssueInNewTab,
+  }));
+
+  menu.appendChild(buildFabActionButton({
+    id: 'gj-fab-issue',
+    icon: '🔍',
+    title: '이슈 조회',
+    onClick: handleFabIssueLookup,
+  }));
+
+  menu.appendChild(buildFabActionButton({
+    id: 'gj-fab-link',
+    icon: '🔗',
+    title: '웹링크 추가',
+    onClick: handleFabAddRemoteLink,
+  }));
+
+  menu.appendChild(buildFabActionButton({
+    id: 'gj-fab-comment',
+    icon: '💬',
+    title: '코멘트 생성',
+    onClick: () => handleFabPreviewComment(),
+  }));
+
+  menu.appendChild(buildFabActionButton({
+    id: 'gj-fab-transition',
+    icon: '🔀',
+    title: '상태 전환',
+    onClick: handleFabTransition,
+  }));
+
+  menu.appendChild(buildFabActionButton({
+    id: 'gj-fab-gerrit',
+    icon: '📝',
+    title: 'Gerrit에 이슈 정보 게시',
+    onClick: handleFabPostToGerrit,
+  }));
+
+  menu.appendChild(buildFabActionButton({
+    id: 'gj-fab-batch',
+    icon: '☑',
+    title: '일괄 작업 (검색 결과/대시보드)',
+    onClick: openBatchPanel,
+  }));
+
+  const mainButton = document.createElement('button');
+  mainButton.id = 'gj-fab-main';
+  mainButton.type = 'button';
+  mainButton.setAttribute('aria-label', 'Toggle Jira quick actions');
+  mainButton.textContent = 'Jira';
+
+  Object.assign(mainButton.style, {
+    width: '56px',
+    height: '56px',
+    borderRadius: '28px',
+    border: 'none',
+    background: '#1565c0',
     color: '#fff',
     fontSize: '14px',
     fontWeight: '700',
@@ -883,42 +1551,1041 @@ function renderFab() {
     transition: 'transform 0.16s ease, box-shadow 0.16s ease',
   });
 
-  mainButton.addEventListener('click', (e) => {
-    e.stopPropagation();
-    if (isFabMenuOpen()) closeFabMenu();
-    else openFabMenu();
+  mainButton.addEventListener('click', (e) => {
+    e.stopPropagation();
+    if (isFabMenuOpen()) closeFabMenu();
+    else openFabMenu();
+  });
+
+  root.appendChild(menu);
+  root.appendChild(mainButton);
+  document.body.appendChild(root);
+
+  fabDocClickHandler = (e) => {
+    if (!root.contains(e.target)) closeFabMenu();
+  };
+  document.addEventListener('click', fabDocClickHandler, true);
+}
+
+function removeFab() {
+  closeFabMenu();
+  const existing = document.getElementById(FAB_ROOT_ID);
+  if (existing) existing.remove();
+
+  if (fabDocClickHandler) {
+    document.removeEventListener('click', fabDocClickHandler, true);
+    fabDocClickHandler = null;
+  }
+}
+
+function applyFabEnabled(enabled) {
+  if (enabled) renderFab();
+  else removeFab();
+}
+
+function initFabFromStorage() {
+  chrome.storage.local.get(['fabEnabled'], ({ fabEnabled }) => {
+    applyFabEnabled(fabEnabled !== false);
+  });
+}
+
+// -- Gerrit write-back ---------------------------------------------------------
+// Posts with the user's Gerrit session like the detail fetch reads with it. Gerrit's web
+// session also needs the XSRF token from its cookie echoed in `X-Gerrit-Auth`.
+
+function readGerritXsrfToken() {
+  const m = document.cookie.match(/(?:^|;\s*)XSRF_TOKEN=([^;]*)/);
+  return m ? decodeURIComponent(m[1]) : '';
+}
+
+async function postGerritJson(path, body) {
+  const headers = { Accept: 'application/json', 'Content-Type': 'application/json' };
+  const token = readGerritXsrfToken();
+  if (token) headers['X-Gerrit-Auth'] = token;
+  return fetch(path, {
+    method: 'POST',
+    credentials: 'include',
+    headers,
+    body: JSON.stringify(body),
+  });
+}
+
+function describeGerritWriteError(status) {
+  if (status === 401 || status === 403) return 'Gerrit에 로그인되어 있고 이 change에 리뷰 권한이 있는지 확인하세요.';
+  if (status === 409) return 'Gerrit이 요청을 거부했습니다. (change 상태 확인)';
+  return 'Gerrit 메시지 작성에 실패했습니다.';
+}
+
+/** Review message first; hashtags are best-effort and reported separately. */
+async function postJiraInfoToGerrit({ changeNum, project, message, hashtags }) {
+  if (!changeNum || changeNum !== extractChangeNum()) {
+    return { ok: false, message: '현재 페이지의 change가 바뀌었습니다. 다시 시도하세요.' };
+  }
+  const id = encodeURIComponent(project ? `${project}~${changeNum}` : changeNum);
+
+  try {
+    const resp = await postGerritJson(`/changes/${id}/revisions/current/review`, { message: String(message || '') });
+    if (!resp.ok) return { ok: false, message: describeGerritWriteError(resp.status) };
+  } catch {
+    return { ok: false, message: '네트워크 오류로 Gerrit 메시지를 작성하지 못했습니다.' };
+  }
+
+  const tags = Array.isArray(hashtags) ? hashtags.map(String).filter(Boolean) : [];
+  if (tags.length === 0) return { ok: true, hashtags: [] };
+  try {
+    const resp = await postGerritJson(`/changes/${id}/hashtags`, { add: tags });
+    if (resp.ok) return { ok: true, hashtags: tags };
+    return { ok: true, hashtags: [], hashtagMessage: `해시태그를 추가하지 못했습니다. (${resp.status})` };
+  } catch {
+    return { ok: true, hashtags: [], hashtagMessage: '해시태그를 추가하지 못했습니다.' };
+  }
+}
+
+// -- Batch actions on change lists ---------------------------------------------
+// Search results (/q/...) and dashboards only render change links. The panel collects
+// them, resolves each selected change through the Gerrit REST API and asks the service
+// worker to link/comment it, one change at a time so progress stays visible.
+
+const BATCH_PANEL_ID = '__gj_batch_panel__';
+const CHANGE_LINK_RE = /\/c\/(.+?)\/\+\/(\d+)(?:\/|$)/;
+
+const BATCH_STATUS_COLORS = {
+  pending: '#6b778c',
+  running: '#1565c0',
+  success: '#2e7d32',
+  skipped: '#6b778c',
+  error: '#c62828',
+};
+
+let batchRunning = false;
+let batchCancelled = false;
+
+function isChangeListPage() {
+  return /^\/(q|dashboard)\//.test(window.location.pathname);
+}
+
+/** Unique changes linked from the page, in page order. */
+function collectListedChanges() {
+  const changes = new Map();
+  for (const a of queryShadowAll(document, 'a[href*="/+/"]')) {
+    let url;
+    try {
+      url = new URL(a.getAttribute('href'), window.location.origin);
+    } catch {
+      continue;
+    }
+    const m = url.origin === window.location.origin ? url.pathname.match(CHANGE_LINK_RE) : null;
+    if (!m) continue;
+
+    const entry = changes.get(m[2]) || { changeNum: m[2], project: m[1], subject: '' };
+    // The number column links the change too; keep the longest non-numeric text as subject.
+    const text = String(a.textContent || '').trim();
+    if (text && !/^\d+$/.test(text) && text.length > entry.subject.length) entry.subject = text;
+    changes.set(m[2], entry);
+  }
+  return [...changes.values()];
+}
+
+function buildBatchButton(label, primary) {
+  const btn = document.createElement('button');
+  btn.type = 'button';
+  btn.textContent = label;
+  Object.assign(btn.style, {
+    padding: '6px 12px',
+    border: primary ? 'none' : '1px solid #c1c7d0',
+    borderRadius: '4px',
+    background: primary ? '#1565c0' : '#fff',
+    color: primary ? '#fff' : '#1d2b3f',
+    font: 'inherit',
+    fontWeight: '600',
+    cursor: 'pointer',
+  });
+  return btn;
+}
+
+function buildBatchCheckbox(labelText, checked) {
+  const label = document.createElement('label');
+  Object.assign(label.style, { display: 'inline-flex', alignItems: 'center', gap: '4px', cursor: 'pointer' });
+  const input = document.createElement('input');
+  input.type = 'checkbox';
+  input.checked = checked;
+  label.appendChild(input);
+  label.appendChild(document.createTextNode(labelText));
+  return { label, input };
+}
+
+function setBatchRowStatus(row, text, state) {
+  const status = row.querySelector('.gj-batch-status');
+  status.textContent = text;
+  status.style.color = BATCH_STATUS_COLORS[state] || BATCH_STATUS_COLORS.pending;
+}
+
+function closeBatchPanel() {
+  batchCancelled = true;
+  const panel = document.getElementById(BATCH_PANEL_ID);
+  if (panel) panel.remove();
+}
+
+function renderBatchPanel(changes) {
+  closeBatchPanel();
+  batchCancelled = false;
+
+  const panel = document.createElement('div');
+  panel.id = BATCH_PANEL_ID;
+  panel.setAttribute('role', 'dialog');
+  panel.setAttribute('aria-label', 'Jira 일괄 작업');
+  Object.assign(panel.style, {
+    position: 'fixed',
+    right: '24px',
+    bottom: '96px',
+    zIndex: '2147483646',
+    width: '440px',
+    maxWidth: 'calc(100vw - 48px)',
+    maxHeight: '70vh',
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '8px',
+    padding: '14px',
+    borderRadius: '8px',
+    background: '#fff',
+    color: '#1d2b3f',
+    boxShadow: '0 8px 28px rgba(0,0,0,0.3)',
+    fontFamily: 'system-ui, -apple-system, sans-serif',
+    fontSize: '13px',
+    lineHeight: '1.4',
+  });
+
+  const title = document.createElement('div');
+  title.textContent = `Jira 일괄 작업 (change ${changes.length}개)`;
+  Object.assign(title.style, { fontSize: '15px', fontWeight: '700' });
+
+  const actionsRow = document.createElement('div');
+  Object.assign(actionsRow.style, { display: 'flex', gap: '14px' });
+  const linkOption = buildBatchCheckbox('웹링크 추가', true);
+  const commentOption = buildBatchCheckbox('코멘트 작성', true);
+  actionsRow.appendChild(linkOption.label);
+  actionsRow.appendChild(commentOption.label);
+
+  const selectAll = buildBatchCheckbox('전체 선택', true);
+  selectAll.label.style.fontWeight = '600';
+
+  const list = document.createElement('div');
+  Object.assign(list.style, {
+    overflowY: 'auto',
+    border: '1px solid #dfe1e6',
+    borderRadius: '4px',
+    padding: '4px 8px',
   });
 
-  root.appendChild(menu);
-  root.appendChild(mainButton);
-  document.body.appendChild(root);
+  const rows = changes.map((change) => {
+    const row = document.createElement('div');
+    row.style.padding = '4px 0';
+    row.style.borderBottom = '1px solid #f4f5f7';
+    const { label, input } = buildBatchCheckbox(`${change.changeNum} ${change.subject}`.trim(), true);
+    label.style.alignItems = 'flex-start';
+    label.style.wordBreak = 'break-word';
+    const status = document.createElement('div');
+    status.className = 'gj-batch-status';
+    Object.assign(status.style, { marginLeft: '20px', fontSize: '12px', whiteSpace: 'pre-line' });
+    row.appendChild(label);
+    row.appendChild(status);
+    list.appendChild(row);
+    input.addEventListener('change', () => {
+      selectAll.input.checked = rows.every((r) => r.input.checked);
+    });
+    return { change, row, input };
+  });
 
-  fabDocClickHandler = (e) => {
-    if (!root.contains(e.target)) closeFabMenu();
+  selectAll.input.addEventListener('change', () => {
+    for (const r of rows) r.input.checked = selectAll.input.checked;
+  });
+
+  const footer = document.createElement('div');
+  Object.assign(footer.style, { display: 'flex', alignItems: 'center', gap: '8px' });
+  const progress = document.createElement('span');
+  Object.assign(progress.style, { flex: '1', color: '#6b778c' });
+  const runButton = buildBatchButton('실행', true);
+  const closeButton = buildBatchButton('닫기', false);
+  footer.appendChild(progress);
+  footer.appendChild(runButton);
+  footer.appendChild(closeButton);
+
+  closeButton.addEventListener('click', closeBatchPanel);
+  runButton.addEventListener('click', () => {
+    if (batchRunning) {
+      batchCancelled = true;
+      runButton.disabled = true;
+      progress.textContent = '현재 change 처리 후 중지합니다...';
+      return;
+    }
+    const actions = [];
+    if (linkOption.input.checked) actions.push('link');
+    if (commentOption.input.checked) actions.push('comment');
+    const selected = rows.filter((r) => r.input.checked);
+    if (actions.length === 0 || selected.length === 0) {
+      progress.textContent = actions.length === 0 ? '실행할 작업을 선택하세요.' : 'change를 선택하세요.';
+      return;
+    }
+
+    const controls = [linkOption.input, commentOption.input, selectAll.input, ...rows.map((r) => r.input)];
+    controls.forEach((c) => { c.disabled = true; });
+    runButton.textContent = '중지';
+    runBatch(selected, actions, progress).finally(() => {
+      controls.forEach((c) => { c.disabled = false; });
+      runButton.disabled = false;
+      runButton.textContent = '실행';
+    });
+  });
+
+  panel.appendChild(title);
+  panel.appendChild(actionsRow);
+  panel.appendChild(selectAll.label);
+  panel.appendChild(list);
+  panel.appendChild(footer);
+  document.body.appendChild(panel);
+}
+
+async function runBatchChange(change, actions) {
+  const detail = await GERRIT.fetchChangeContext(change.changeNum, change.project);
+  if (!detail) return { ok: false, message: 'change 정보를 읽지 못했습니다.' };
+
+  const project = detail.project || change.project;
+  const context = {
+    ...detail,
+    gerritUrl: `${window.location.origin}/c/${project}/+/${detail.changeNum || change.changeNum}`,
   };
-  document.addEventListener('click', fabDocClickHandler, true);
+  return sendRuntimeMessage({ type: MSG.BATCH_SYNC_CHANGE, context, actions });
 }
 
-function removeFab() {
-  closeFabMenu();
-  const existing = document.getElementById(FAB_ROOT_ID);
-  if (existing) existing.remove();
+async function runBatch(selected, actions, progress) {
+  batchRunning = true;
+  batchCancelled = false;
+  const counts = { success: 0, skipped: 0, error: 0 };
+  for (const r of selected) setBatchRowStatus(r.row, '대기 중', 'pending');
 
-  if (fabDocClickHandler) {
-    document.removeEventListener('click', fabDocClickHandler, true);
-    fabDocClickHandler = null;
+  try {
+    for (let i = 0; i < selected.length && !batchCancelled; i++) {
+      const { change, row } = selected[i];
+      progress.textContent = `진행 중 ${i + 1}/${selected.length}`;
+      setBatchRowStatus(row, '처리 중...', 'running');
+
+      let resp;
+      try {
+        resp = await runBatchChange(change, actions);
+      } catch {
+        resp = { ok: false, message: '요청 중 오류가 발생했습니다.' };
+      }
+
+      let state = 'error';
+      if (resp?.noIssueKey) state = 'skipped';
+      else if (resp?.ok) state = 'success';
+      counts[state] += 1;
+      setBatchRowStatus(row, resp?.summary || resp?.message || '처리에 실패했습니다.', state);
+
+      // Missing credentials fail every change the same way; stop instead of repeating it.
+      if (resp?.fatal) {
+        showToast(resp.message, 'error');
+        break;
+      }
+    }
+  } finally {
+    batchRunning = false;
   }
+
+  const summary = `성공 ${counts.success} · 실패 ${counts.error} · 이슈키 없음 ${counts.skipped}`;
+  progress.textContent = `${batchCancelled ? '중지됨' : '완료'}: ${summary}`;
+  if (!document.getElementById(BATCH_PANEL_ID)) return;
+  showToast(`일괄 작업 ${batchCancelled ? '중지' : '완료'}\n${summary}`, counts.error > 0 ? 'warn' : 'success');
 }
 
-function applyFabEnabled(enabled) {
-  if (enabled) renderFab();
-  else removeFab();
+function openBatchPanel() {
+  if (!isChangeListPage()) {
+    showToast('검색 결과(/q/...) 또는 대시보드 페이지에서 사용할 수 있습니다.', 'warn');
+    return;
+  }
+  if (batchRunning) {
+    showToast('일괄 작업이 진행 중입니다.', 'warn');
+    return;
+  }
+  const changes = collectListedChanges();
+  if (changes.length === 0) {
+    showToast('이 페이지에서 change 목록을 찾지 못했습니다.', 'warn');
+    return;
+  }
+  renderBatchPanel(changes);
 }
 
-function initFabFromStorage() {
-  chrome.storage.local.get(['fabEnabled'], ({ fabEnabled }) => {
-    applyFabEnabled(fabEnabled !== false);
+// -- Auto sync on merge --------------------------------------------------------
+// The service worker decides whether a merged change still needs syncing; this side only
+// notices merged change pages (on load, SPA navigation, tab focus, and a slow poll while
+// the change is open) and reports them.
+
+const AUTO_SYNC_POLL_MS = 60000;
+
+let autoSyncEnabled = false;
+let autoSyncReportedPath = '';
+let autoSyncLastPollAt = 0;
+let autoSyncRunning = false;
+
+async function checkAutoSync() {
+  const path = window.location.pathname;
+  const changeNum = extractChangeNum();
+  if (!autoSyncEnabled || !changeNum || autoSyncRunning || autoSyncReportedPath === path) return;
+
+  autoSyncRunning = true;
+  autoSyncLastPollAt = Date.now();
+  try {
+    const detail = await fetchGerritDetailContext();
+    if (detail?.status !== 'MERGED' || String(detail.changeNum || changeNum) !== changeNum) return;
+    autoSyncReportedPath = path;
+
+    const context = await extractContextWithRetry();
+    if (context.changeNum !== changeNum) return;
+    const resp = await sendRuntimeMessage({ type: MSG.AUTO_SYNC_MERGED, context });
+    if (!resp || resp.skipped) return;
+
+    showToast(
+      `병합된 change ${resp.changeNum} 자동 동기화${resp.ok ? ' 완료' : ' (일부 실패)'}\n${resp.summary}`,
+      resp.ok ? 'success' : 'warn',
+      resp.undoable ? { label: '되돌리기', onClick: () => undoAutoSync(resp.syncId) } : null,
+    );
+  } catch {
+    // Retried on the next navigation/poll; the worker guards against double syncing.
+    autoSyncReportedPath = '';
+  } finally {
+    autoSyncRunning = false;
+  }
+}
+
+async function undoAutoSync(syncId) {
+  showToast('자동 동기화 되돌리는 중...', 'info');
+  try {
+    const resp = await sendRuntimeMessage({ type: MSG.AUTO_SYNC_UNDO, syncId });
+    showToast(
+      resp?.summary ? `자동 동기화 되돌리기\n${resp.summary}` : (resp?.message || '되돌리기에 실패했습니다.'),
+      resp?.ok ? 'success' : 'error',
+    );
+  } catch {
+    showToast('요청 중 오류가 발생했습니다.', 'error');
+  }
+}
+
+function initAutoSync() {
+  chrome.storage.local.get(['autoSyncEnabled'], (data) => {
+    autoSyncEnabled = data?.autoSyncEnabled === true;
+    checkAutoSync();
+  });
+
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== 'local' || !changes.autoSyncEnabled) return;
+    autoSyncEnabled = changes.autoSyncEnabled.newValue === true;
+    checkAutoSync();
+  });
+
+  onGerritNavigate(() => checkAutoSync());
+  // A change left open can be merged meanwhile; only polled while the feature is on.
+  setInterval(() => {
+    if (!autoSyncEnabled || document.hidden || !extractChangeNum()) return;
+    if (Date.now() - autoSyncLastPollAt >= AUTO_SYNC_POLL_MS) checkAutoSync();
+  }, AUTO_SYNC_POLL_MS);
+
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'visible') checkAutoSync();
+  });
+}
+
+// -- Issue key hovercards ------------------------------------------------------
+// Issue keys in the subject, commit message and change messages get a status lozenge and
+// a hover card. Text is matched with ISSUE_KEY_RE (keys on `JIRA:` lines are a subset of
+// it); only keys Jira knows get either, so `UTF-8` and the like stay plain text.
+// Gerrit's text nodes belong to Lit and are never touched: lozenges are drawn in a layer
+// of our own over the page, and the card follows a Range hit-test under the pointer.
+// The service worker caches cards across tabs; this side also remembers them for the page.
+
+const HOVERCARD_ID = '__gj_issue_hovercard__';
+const HOVERCARD_LAYER_ID = '__gj_issue_lozenges__';
+const HOVERCARD_HIDE_DELAY_MS = 250;
+const HOVERCARD_RESCAN_DELAY_MS = 500;
+// Change content is rendered a little after the detail request resolves.
+const HOVERCARD_SETTLE_MS = 1500;
+const HOVERCARD_CARD_TTL_MS = 5 * 60 * 1000;
+const HOVERCARD_RETRY_MS = 60 * 1000;
+const HOVERCARD_KEYS_PER_REQUEST = 30;
+const HOVERCARD_SCOPE_SELECTOR = [
+  '#subject',
+  '.header-title',
+  '.commitMessage',
+  'gr-formatted-text',
+  'gr-linked-text',
+  'gr-markdown',
+].join(', ');
+const HOVERCARD_SKIP_TAGS = new Set(['SCRIPT', 'STYLE', 'TEXTAREA', 'INPUT', 'SELECT']);
+const ISSUE_KEY_SCAN_RE = new RegExp(ISSUE_KEY_RE.source, 'gi');
+
+let hovercardsEnabled = true;
+let hovercardScanRunning = false;
+let hovercardScanPending = false;
+let hovercardScanTimer = null;
+let hovercardHideTimer = null;
+let hovercardLayoutFrame = 0;
+let hovercardPointerFrame = 0;
+let hovercardPointer = null;
+let hoveredIssueKeyMark = null;
+// Jira not configured or credentials rejected: stay quiet until the settings change.
+let issueCardsUnavailable = false;
+// key -> { at, card, failed }; `card` is null for keys Jira does not know.
+const issueCards = new Map();
+// Known keys on the page: { key, node, start, end } over Gerrit's own text nodes.
+let issueKeyMarks = [];
+const hovercardHosts = new WeakSet();
+const hovercardMutationObserver = new MutationObserver(() => scheduleIssueKeyScan(HOVERCARD_RESCAN_DELAY_MS));
+const hovercardResizeObserver = new ResizeObserver(() => scheduleIssueKeyLayout());
+
+function isIssueCardFresh(entry) {
+  if (!entry) return false;
+  return Date.now() - entry.at < (entry.failed ? HOVERCARD_RETRY_MS : HOVERCARD_CARD_TTL_MS);
+}
+
+function collectTextNodes(node, out) {
+  for (const child of node.childNodes) {
+    if (child.nodeType === Node.TEXT_NODE) {
+      out.add(child);
+    } else if (child.nodeType === Node.ELEMENT_NODE && !HOVERCARD_SKIP_TAGS.has(child.tagName)) {
+      if (child.shadowRoot) collectTextNodes(child.shadowRoot, out);
+      collectTextNodes(child, out);
+    }
+  }
+}
+
+function findIssueKeyOccurrences(hosts) {
+  const textNodes = new Set();
+  for (const host of hosts) {
+    if (host.shadowRoot) collectTextNodes(host.shadowRoot, textNodes);
+    collectTextNodes(host, textNodes);
+  }
+
+  const found = [];
+  for (const node of textNodes) {
+    for (const m of node.data.matchAll(ISSUE_KEY_SCAN_RE)) {
+      found.push({ key: GERRIT.normalizeIssueKey(m[1]), node, start: m.index, end: m.index + m[0].length });
+    }
+  }
+  return found;
+}
+
+function isIssueKeyMarkLive(mark) {
+  return mark.node.isConnected && mark.node.data.slice(mark.start, mark.end).toUpperCase() === mark.key;
+}
+
+function getIssueKeyMarkRects(mark) {
+  const range = document.createRange();
+  range.setStart(mark.node, mark.start);
+  range.setEnd(mark.node, mark.end);
+  return Array.from(range.getClientRects()).filter((rect) => rect.width > 0 && rect.height > 0);
+}
+
+/** Mutations in the scoped roots trigger a rescan; size changes only move the lozenges. */
+function watchHovercardHosts(hosts) {
+  for (const host of hosts) {
+    if (hovercardHosts.has(host)) continue;
+    hovercardHosts.add(host);
+    const options = { subtree: true, childList: true, characterData: true };
+    hovercardMutationObserver.observe(host, options);
+    if (host.shadowRoot) hovercardMutationObserver.observe(host.shadowRoot, options);
+    hovercardResizeObserver.observe(host);
+    host.addEventListener('mousemove', handleIssueKeyPointer);
+    host.addEventListener('mouseleave', () => {
+      hoveredIssueKeyMark = null;
+      scheduleHideHovercard();
+    });
+  }
+}
+
+async function fetchIssueCards(issueKeys) {
+  for (let i = 0; i < issueKeys.length; i += HOVERCARD_KEYS_PER_REQUEST) {
+    const chunk = issueKeys.slice(i, i + HOVERCARD_KEYS_PER_REQUEST);
+    const resp = await sendRuntimeMessage({ type: MSG.GERRIT_GET_ISSUE_CARDS, issueKeys: chunk });
+    if (!resp?.ok) {
+      issueCardsUnavailable = true;
+      return;
+    }
+    const at = Date.now();
+    for (const key of chunk) {
+      if (Object.prototype.hasOwnProperty.call(resp.cards || {}, key)) {
+        issueCards.set(key, { at, card: resp.cards[key] || null, failed: false });
+      } else {
+        issueCards.set(key, { at, card: null, failed: true });
+      }
+    }
+  }
+}
+
+function ensureIssueKeyLayer() {
+  let layer = document.getElementById(HOVERCARD_LAYER_ID);
+  if (layer) return layer;
+
+  // Positioned in document coordinates so page scrolling carries the lozenges along.
+  layer = document.createElement('div');
+  layer.id = HOVERCARD_LAYER_ID;
+  layer.setAttribute('aria-hidden', 'true');
+  Object.assign(layer.style, {
+    position: 'absolute',
+    top: '0',
+    left: '0',
+    width: '0',
+    height: '0',
+    zIndex: '2147483640',
+    pointerEvents: 'none',
+  });
+  document.body.appendChild(layer);
+  return layer;
+}
+
+function renderIssueKeyLozenges() {
+  issueKeyMarks = issueKeyMarks.filter(isIssueKeyMarkLive);
+  if (issueKeyMarks.length === 0) {
+    document.getElementById(HOVERCARD_LAYER_ID)?.remove();
+    return;
+  }
+
+  const layer = ensureIssueKeyLayer();
+  const lozenges = [];
+  for (const mark of issueKeyMarks) {
+    const card = issueCards.get(mark.key)?.card;
+    const rect = getIssueKeyMarkRects(mark).pop();
+    // Collapsed messages have no boxes; they get a lozenge once expanded (resize).
+    if (!card || !rect) continue;
+
+    const lozenge = ISSUE_DETAILS.renderStatusLozenge(card, document);
+    Object.assign(lozenge.style, {
+      position: 'absolute',
+      left: `${rect.right + window.scrollX + 2}px`,
+      top: `${rect.top + window.scrollY - 9}px`,
+      padding: '0 4px',
+      fontSize: '9px',
+      lineHeight: '12px',
+      whiteSpace: 'nowrap',
+      boxShadow: '0 0 0 1px #fff',
+    });
+    lozenges.push(lozenge);
+  }
+  layer.replaceChildren(...lozenges);
+}
+
+function scheduleIssueKeyLayout() {
+  if (hovercardLayoutFrame) return;
+  hovercardLayoutFrame = requestAnimationFrame(() => {
+    hovercardLayoutFrame = 0;
+    renderIssueKeyLozenges();
+  });
+}
+
+function clearIssueKeyMarks() {
+  hideHovercard();
+  hoveredIssueKeyMark = null;
+  issueKeyMarks = [];
+  document.getElementById(HOVERCARD_LAYER_ID)?.remove();
+}
+
+async function scanIssueKeys() {
+  if (!hovercardsEnabled || issueCardsUnavailable || document.hidden) return;
+  if (hovercardScanRunning) {
+    hovercardScanPending = true;
+    return;
+  }
+
+  hovercardScanRunning = true;
+  try {
+    const hosts = queryShadowAll(document, HOVERCARD_SCOPE_SELECTOR);
+    watchHovercardHosts(hosts);
+    const found = findIssueKeyOccurrences(hosts);
+
+    const keys = [...new Set(found.map((mark) => mark.key))];
+    await fetchIssueCards(keys.filter((key) => !isIssueCardFresh(issueCards.get(key))));
+    if (!hovercardsEnabled) return;
+    issueKeyMarks = found.filter((mark) => issueCards.get(mark.key)?.card);
+    renderIssueKeyLozenges();
+  } catch {
+    // Extension reloaded or the worker is restarting; the next navigation tries again.
+  } finally {
+    hovercardScanRunning = false;
+    if (hovercardScanPending) {
+      hovercardScanPending = false;
+      scheduleIssueKeyScan(HOVERCARD_RESCAN_DELAY_MS);
+    }
+  }
+}
+
+function scheduleIssueKeyScan(delayMs = 0) {
+  clearTimeout(hovercardScanTimer);
+  hovercardScanTimer = setTimeout(scanIssueKeys, delayMs);
+}
+
+function handleIssueKeyPointer(e) {
+  if (!hovercardsEnabled) return;
+  // Nested scopes (a gr-formatted-text inside .commitMessage) both hear the event;
+  // the innermost host handles it.
+  const path = e.composedPath();
+  if (path.find((el) => hovercardHosts.has(el)) !== e.currentTarget) return;
+
+  hovercardPointer = { target: path[0], x: e.clientX, y: e.clientY };
+  if (hovercardPointerFrame) return;
+  hovercardPointerFrame = requestAnimationFrame(() => {
+    hovercardPointerFrame = 0;
+    hitTestIssueKey(hovercardPointer);
+  });
+}
+
+/** Mouse events target the element, so only keys in its own text nodes can be under the pointer. */
+function hitTestIssueKey({ target, x, y }) {
+  for (const mark of issueKeyMarks) {
+    if (mark.node.parentNode !== target || !isIssueKeyMarkLive(mark)) continue;
+    const rect = getIssueKeyMarkRects(mark)
+      .find((r) => x >= r.left && x <= r.right && y >= r.top && y <= r.bottom);
+    if (!rect) continue;
+
+    if (hoveredIssueKeyMark === mark) {
+      clearTimeout(hovercardHideTimer);
+    } else {
+      hoveredIssueKeyMark = mark;
+      showHovercard(rect, mark.key);
+    }
+    return;
+  }
+
+  if (hoveredIssueKeyMark) {
+    hoveredIssueKeyMark = null;
+    scheduleHideHovercard();
+  }
+}
+
+function ensureHovercard() {
+  let hovercard = document.getElementById(HOVERCARD_ID);
+  if (hovercard) return hovercard;
+
+  hovercard = document.createElement('div');
+  hovercard.id = HOVERCARD_ID;
+  hovercard.setAttribute('role', 'tooltip');
+  Object.assign(hovercard.style, {
+    position: 'fixed',
+    zIndex: '2147483646',
+    display: 'none',
+    width: '320px',
+    maxWidth: 'calc(100vw - 16px)',
+    padding: '10px 12px',
+    background: '#fff',
+    color: '#172b4d',
+    borderRadius: '8px',
+    boxShadow: '0 8px 24px rgba(9,30,66,0.25)',
+    fontFamily: 'system-ui, -apple-system, sans-serif',
+    fontSize: '13px',
+    lineHeight: '1.4',
+  });
+  hovercard.addEventListener('mouseenter', () => clearTimeout(hovercardHideTimer));
+  hovercard.addEventListener('mouseleave', scheduleHideHovercard);
+  document.body.appendChild(hovercard);
+  return hovercard;
+}
+
+function buildHovercardAction(label, onClick) {
+  const btn = document.createElement('button');
+  btn.type = 'button';
+  btn.textContent = label;
+  Object.assign(btn.style, {
+    padding: '4px 10px',
+    border: '1px solid #dfe1e6',
+    borderRadius: '4px',
+    background: '#f4f5f7',
+    color: '#172b4d',
+    font: 'inherit',
+    fontSize: '12px',
+    cursor: 'pointer',
+  });
+  btn.addEventListener('click', () => {
+    hideHovercard();
+    onClick();
+  });
+  return btn;
+}
+
+/** `rect` is the key's client rect from the hit-test. */
+function showHovercard(rect, issueKey) {
+  clearTimeout(hovercardHideTimer);
+  const issue = issueCards.get(issueKey)?.card;
+  if (!issue) return;
+
+  const hovercard = ensureHovercard();
+  const head = document.createElement('div');
+  Object.assign(head.style, { display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '4px' });
+  const keyEl = document.createElement('span');
+  keyEl.textContent = issue.issueType ? `${issue.key} · ${issue.issueType}` : issue.key;
+  Object.assign(keyEl.style, { color: '#6b778c', fontWeight: '600' });
+  head.append(keyEl, ISSUE_DETAILS.renderStatusLozenge(issue, document));
+
+  const summary = document.createElement('div');
+  summary.textContent = issue.summary || '(제목 없음)';
+  Object.assign(summary.style, { fontWeight: '700', marginBottom: '4px', wordBreak: 'break-word' });
+
+  const assignee = document.createElement('div');
+  assignee.textContent = `담당자: ${issue.assignee || 'Unassigned'}`;
+  assignee.style.color = '#42526e';
+
+  const actions = document.createElement('div');
+  Object.assign(actions.style, { display: 'flex', flexWrap: 'wrap', gap: '6px', marginTop: '8px' });
+  actions.append(
+    buildHovercardAction('Jira에서 열기', () => window.open(issue.url, '_blank', 'noopener,noreferrer')),
+    buildHovercardAction('상세 보기', () => showIssueDetailsFromHovercard(issue.key)),
+  );
+  if (extractChangeNum()) {
+    actions.append(buildHovercardAction('웹링크 추가', () => addRemoteLinkFromHovercard(issue.key)));
+  }
+
+  hovercard.replaceChildren(head, summary, assignee, actions);
+  hovercard.style.display = 'block';
+
+  // Below the key when it fits, above it otherwise; always inside the viewport.
+  const left = Math.max(8, Math.min(rect.left, window.innerWidth - hovercard.offsetWidth - 8));
+  const below = rect.bottom + 6;
+  const top = below + hovercard.offsetHeight > window.innerHeight - 8
+    ? Math.max(8, rect.top - hovercard.offsetHeight - 6)
+    : below;
+  hovercard.style.left = `${left}px`;
+  hovercard.style.top = `${top}px`;
+}
+
+function hideHovercard() {
+  clearTimeout(hovercardHideTimer);
+  const hovercard = document.getElementById(HOVERCARD_ID);
+  if (hovercard) hovercard.style.display = 'none';
+}
+
+function scheduleHideHovercard() {
+  clearTimeout(hovercardHideTimer);
+  hovercardHideTimer = setTimeout(hideHovercard, HOVERCARD_HIDE_DELAY_MS);
+}
+
+async function showIssueDetailsFromHovercard(issueKey) {
+  showToast(`이슈 조회 중: ${issueKey}`, 'info');
+  try {
+    const resp = await sendRuntimeMessage({ type: MSG.POPUP_GET_ISSUE, issueKey });
+    if (!resp?.ok) {
+      showToast(resp?.message || '이슈 조회에 실패했습니다.', 'error');
+      return;
+    }
+    showIssueDialog(issueKey, resp.issue, resp.displayFields);
+    showToast(`이슈 조회 완료: ${issueKey}`, 'success');
+
+    const linkState = extractChangeNum()
+      ? await sendRuntimeMessage({ type: MSG.POPUP_GET_LINK_STATE, issueKeyOverride: issueKey })
+      : null;
+    renderIssueDialogLinkState(linkState?.ok ? linkState.linked : null);
+  } catch {
+    showToast('요청 중 오류가 발생했습니다.', 'error');
+  }
+}
+
+async function addRemoteLinkFromHovercard(issueKey) {
+  showToast(`웹링크 추가 중: ${issueKey}`, 'info');
+  try {
+    const resp = await sendRuntimeMessage({ type: MSG.POPUP_ADD_REMOTE_LINK, issueKeys: [issueKey] });
+    if (!Array.isArray(resp?.results)) {
+      showToast(resp?.message || '웹링크 추가에 실패했습니다.', 'error');
+      return;
+    }
+    const { message, type } = summarizeFabResults(resp.results, {
+      created: '웹링크 추가 완료',
+      updated: '웹링크 업데이트 완료',
+      failed: '웹링크 추가에 실패했습니다.',
+    });
+    showToast(message, type);
+    if (resp.results[0]?.ok) refreshFabLinkState(true);
+  } catch {
+    showToast('요청 중 오류가 발생했습니다.', 'error');
+  }
+}
+
+function initIssueHovercards() {
+  chrome.storage.local.get(['issueHovercardsEnabled'], (data) => {
+    hovercardsEnabled = data?.issueHovercardsEnabled !== false;
+    scheduleIssueKeyScan();
+  });
+
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== 'local') return;
+    if (changes.issueHovercardsEnabled) {
+      hovercardsEnabled = changes.issueHovercardsEnabled.newValue !== false;
+      if (!hovercardsEnabled) clearIssueKeyMarks();
+    }
+    // New credentials or another Jira site: what the old ones answered no longer holds.
+    if (Object.keys(changes).some((key) => key.startsWith('jira'))) {
+      issueCardsUnavailable = false;
+      issueCards.clear();
+    }
+    scheduleIssueKeyScan();
+  });
+
+  // Scan once per page, again when the change detail has loaded, then follow the
+  // scoped roots with observers.
+  onGerritNavigate(() => {
+    clearIssueKeyMarks();
+    scheduleIssueKeyScan(HOVERCARD_RESCAN_DELAY_MS);
+    if (extractChangeNum()) {
+      fetchGerritDetailContext().finally(() => scheduleIssueKeyScan(HOVERCARD_SETTLE_MS));
+    }
+  });
+  if (extractChangeNum()) {
+    fetchGerritDetailContext().finally(() => scheduleIssueKeyScan(HOVERCARD_SETTLE_MS));
+  }
+
+  hovercardResizeObserver.observe(document.documentElement);
+  window.addEventListener('resize', scheduleIssueKeyLayout);
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'visible') scheduleIssueKeyScan();
+  });
+}
+
+// -- Commit policy check -------------------------------------------------------
+// The service worker holds the policy and does the checking; this side reports each change
+// page and patchset it sees, then shows the violations as a banner. Leaving the change
+// page (or turning the check off) tells the worker to clear the icon badge.
+
+const POLICY_BANNER_ID = '__gj_policy_banner__';
+
+let policyEnabled = false;
+let policyBadgeShown = false;
+let policyDismissedChange = '';
+let policyCheckRunning = false;
+let policyCheckPending = false;
+
+function removePolicyBanner() {
+  document.getElementById(POLICY_BANNER_ID)?.remove();
+}
+
+function renderPolicyBanner(changeNum, resp) {
+  removePolicyBanner();
+  const violations = Array.isArray(resp?.violations) ? resp.violations : [];
+  if (violations.length === 0 || policyDismissedChange === changeNum) return;
+
+  const banner = document.createElement('div');
+  banner.id = POLICY_BANNER_ID;
+  banner.setAttribute('role', 'alert');
+  Object.assign(banner.style, {
+    position: 'fixed',
+    top: '12px',
+    left: '50%',
+    transform: 'translateX(-50%)',
+    zIndex: '2147483645',
+    display: 'flex',
+    gap: '12px',
+    alignItems: 'flex-start',
+    width: 'max-content',
+    maxWidth: 'min(720px, calc(100vw - 32px))',
+    padding: '10px 14px',
+    background: '#fff4e5',
+    color: '#172b4d',
+    border: `1px solid ${TOAST_COLORS.warn}`,
+    borderLeftWidth: '4px',
+    borderRadius: '8px',
+    boxShadow: '0 6px 18px rgba(0,0,0,0.18)',
+    fontFamily: 'system-ui, -apple-system, sans-serif',
+    fontSize: '13px',
+    lineHeight: '1.5',
+  });
+
+  const text = document.createElement('div');
+  const title = document.createElement('div');
+  title.textContent = `커밋 메시지 정책 위반 ${violations.length}건`;
+  title.style.fontWeight = '700';
+  const list = document.createElement('div');
+  list.textContent = violations.map((v) => `• ${v.issueKey ? `${v.issueKey}: ` : ''}${v.message}`).join('\n');
+  list.style.whiteSpace = 'pre-line';
+  text.append(title, list);
+  if (resp.notes?.length) {
+    const notes = document.createElement('div');
+    notes.textContent = resp.notes.join('\n');
+    Object.assign(notes.style, { marginTop: '4px', color: '#6b778c', fontSize: '12px', whiteSpace: 'pre-line' });
+    text.appendChild(notes);
+  }
+
+  const closeBtn = document.createElement('button');
+  closeBtn.type = 'button';
+  closeBtn.textContent = '✕';
+  closeBtn.title = '닫기';
+  closeBtn.setAttribute('aria-label', '닫기');
+  Object.assign(closeBtn.style, {
+    border: 'none',
+    background: 'transparent',
+    color: '#42526e',
+    fontSize: '14px',
+    cursor: 'pointer',
+  });
+  // Hidden for this change until the page is reloaded; the icon badge stays.
+  closeBtn.addEventListener('click', () => {
+    policyDismissedChange = changeNum;
+    removePolicyBanner();
+  });
+
+  banner.append(text, closeBtn);
+  document.body.appendChild(banner);
+}
+
+async function checkCommitPolicy() {
+  const changeNum = extractChangeNum();
+  if (!policyEnabled || !changeNum) {
+    removePolicyBanner();
+    if (policyBadgeShown) {
+      policyBadgeShown = false;
+      sendRuntimeMessage({ type: MSG.POLICY_CHECK_CHANGE, context: null }).catch(() => {});
+    }
+    return;
+  }
+  if (policyCheckRunning) {
+    // Navigated while the previous check was running; this page is checked right after.
+    policyCheckPending = true;
+    return;
+  }
+
+  policyCheckRunning = true;
+  try {
+    // The commit message comes from the detail API; without it a key-less page would look
+    // like a commit without keys.
+    await fetchGerritDetailContext();
+    const context = await extractContextWithRetry();
+    if (context.changeNum !== changeNum) {
+      // The context still belonged to another change; check this page again instead of skipping it.
+      policyCheckPending = true;
+      return;
+    }
+    const resp = await sendRuntimeMessage({ type: MSG.POLICY_CHECK_CHANGE, context });
+    if (extractChangeNum() !== changeNum) return;
+    policyBadgeShown = resp?.violations?.length > 0;
+    renderPolicyBanner(changeNum, resp);
+  } catch {
+    // Checked again on the next navigation.
+  } finally {
+    policyCheckRunning = false;
+    if (policyCheckPending) {
+      policyCheckPending = false;
+      checkCommitPolicy();
+    }
+  }
+}
+
+function initCommitPolicy() {
+  chrome.storage.local.get(['commitPolicy'], (data) => {
+    policyEnabled = data?.commitPolicy?.enabled === true;
+    checkCommitPolicy();
+  });
+
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== 'local' || !changes.commitPolicy) return;
+    policyEnabled = changes.commitPolicy.newValue?.enabled === true;
+    policyDismissedChange = '';
+    checkCommitPolicy();
   });
+
+  // A new patchset changes the path too, so its commit message is checked again.
+  onGerritNavigate(() => checkCommitPolicy());
 }
 
 // -- Message listener ----------------------------------------------------------
@@ -935,6 +2602,11 @@ chrome.runtime.onMessage.addListener((msg, _sender, sendResponse) => {
     return false;
   }
 
+  if (msg.type === MSG.GERRIT_POST_REVIEW) {
+    postJiraInfoToGerrit(msg).then(sendResponse);
+    return true;
+  }
+
   if (msg.type === MSG.FAB_ENABLE) {
     applyFabEnabled(true);
     sendResponse({ ok: true });
@@ -952,3 +2624,7 @@ chrome.runtime.onMessage.addListener((msg, _sender, sendResponse) => {
 
 initFabFromStorage();
 initNetworkContextBridge();
+initNavigationWatcher();
+initAutoSync();
+initIssueHovercards();
+initCommitPolicy();
@@ -0,0 +1,280 @@
+// Gerrit change parsing shared by the content script (current change, list pages) and
+// the backfill page: REST payload → extension context, plus issue-key extraction from
+// commit messages so every entry point finds the same keys.
+(function initGerritChange(root) {
+  // Bare keys are upper case only, so words like utf-8 or sha-256 are not keys.
+  const ISSUE_KEY_GLOBAL_RE = /\b([A-Z][A-Z0-9]+-\d+)\b/g;
+  // Keys after an explicit `JIRA:` may be typed in lower case.
+  const JIRA_TAG_KEY_RE = /\b([A-Z][A-Z0-9]+-\d+)\b/gi;
+  const JIRA_TAG_LINE_RE = /jira\s*:\s*([^\n]*)/gi;
+  const FOOTER_LINE_RE = /^[A-Za-z][\w-]*\s*:\s*\S/;
+
+  function normalizeIssueKey(key) {
+    return key ? String(key).toUpperCase() : null;
+  }
+
+  function pushIssueKey(list, key, source) {
+    const normalized = normalizeIssueKey(key);
+    if (!normalized || list.some((item) => item.key === normalized)) return;
+    list.push({ key: normalized, source });
+  }
+
+  /** Trailer lines (`Token: value`) of the last paragraph, when it is not the subject. */
+  function footerLines(commitText) {
+    const paragraphs = commitText.trim().split(/\n\s*\n/);
+    if (paragraphs.length < 2) return [];
+    const lines = paragraphs[paragraphs.length - 1].split('\n').filter((line) => line.trim());
+    return lines.every((line) => FOOTER_LINE_RE.test(line.trim())) ? lines : [];
+  }
+
+  /**
+   * Ordered issue keys from a commit message. Keys on `JIRA:` lines (e.g.
+   * `JIRA: TF-101, TF-102`) win outright; without them, bare keys from the subject
+   * (`subject`, falling back to the message's first line) and the footer lines.
+   * Body prose such as "reverts part of TF-88" never contributes keys.
+   */
+  function collectIssueKeysFromCommit(commitText, subject = '') {
+    const list = [];
+    const text = String(commitText || '');
+
+    for (const tagLine of text.matchAll(JIRA_TAG_LINE_RE)) {
+      for (const m of tagLine[1].matchAll(JIRA_TAG_KEY_RE)) {
+        pushIssueKey(list, m[1], 'jira-tag');
+      }
+    }
+    if (list.length > 0) return list;
+
+    const subjectLine = String(subject || '').trim() || text.trim().split('\n')[0] || '';
+    for (const m of subjectLine.matchAll(ISSUE_KEY_GLOBAL_RE)) {
+      pushIssueKey(list, m[1], 'subject');
+    }
+    for (const line of footerLines(text)) {
+      for (const m of line.matchAll(ISSUE_KEY_GLOBAL_RE)) {
+        pushIssueKey(list, m[1], 'footer');
+      }
+    }
+
+    return list;
+  }
+
+  function parseGerritJson(raw) {
+    if (!raw) return null;
+    const stripped = String(raw).replace(/^\)\]\}'\s*\n?/, '').trim();
+    if (!stripped) return null;
+    try {
+      return JSON.parse(stripped);
+    } catch {
+      return null;
+    }
+  }
+
+  function buildDetailCandidates(changeNum, project, baseUrl) {
+    if (!changeNum) return [];
+
+    const list = [];
+    if (project) {
+      const id = encodeURIComponent(`${project}~${changeNum}`);
+      list.push(`${baseUrl}/a/changes/${id}/detail?o=CURRENT_REVISION&o=CURRENT_COMMIT`);
+      list.push(`${baseUrl}/changes/${id}/detail?o=CURRENT_REVISION&o=CURRENT_COMMIT`);
+    }
+
+    const numeric = encodeURIComponent(changeNum);
+    list.push(`${baseUrl}/a/changes/${numeric}/detail?o=CURRENT_REVISION&o=CURRENT_COMMIT`);
+    list.push(`${baseUrl}/changes/${numeric}/detail?o=CURRENT_REVISION&o=CURRENT_COMMIT`);
+    return list;
+  }
+
+  // Gerrit's pseudo files for the commit message / merge parents, not part of the diff.
+  const GERRIT_MAGIC_FILES = new Set(['/COMMIT_MSG', '/MERGE_LIST', '/PATCHSET_LEVEL']);
+
+  function deriveFilesFromPayload(payload) {
+    if (!payload || typeof payload !== 'object') return [];
+    return Object.entries(payload)
+      .filter(([path]) => !GERRIT_MAGIC_FILES.has(path))
+      .map(([path, info]) => ({
+        path,
+        status: String(info?.status || 'M'),
+        insertions: Number(info?.lines_inserted || 0),
+        deletions: Number(info?.lines_deleted || 0),
+        binary: info?.binary === true,
+      }))
+      .sort((a, b) => a.path.localeCompare(b.path));
+  }
+
+  /** Same change endpoint family as the detail path that worked; failures just mean no files. */
+  async function fetchGerritFiles(detailPath) {
+    const filesPath = detailPath.replace(/\/detail\?.*$/, '/revisions/current/files');
+    try {
+      const resp = await fetch(filesPath, {
+        method: 'GET',
+        credentials: 'include',
+        headers: { Accept: 'application/json' },
+      });
+      if (!resp.ok) return [];
+      return deriveFilesFromPayload(parseGerritJson(await resp.text()));
+    } catch {
+      return [];
+    }
+  }
+
+  /**
+   * Detail + files of a change, or null when no endpoint answers. `baseUrl` is the Gerrit
+   * origin for extension pages; content scripts leave it empty and stay same-origin.
+   */
+  async function fetchChangeContext(changeNum, project, baseUrl = '') {
+    for (const path of buildDetailCandidates(changeNum, project, baseUrl)) {
+      try {
+        const resp = await fetch(path, {
+          method: 'GET',
+          credentials: 'include',
+          headers: { Accept: 'application/json' },
+        });
+        if (!resp.ok) continue;
+
+        const text = await resp.text();
+        const payload = parseGerritJson(text);
+        const derived = deriveContextFromPayload(payload);
+        if (!derived) continue;
+
+        derived.files = await fetchGerritFiles(path);
+        return derived;
+      } catch {
+        // Try next candidate endpoint.
+      }
+    }
+    return null;
+  }
+
+  /**
+   * GETs `path` from a Gerrit origin, trying the authenticated `/a/` endpoint first.
+   * Throws with `status` (0 when unreachable) of the last attempt.
+   */
+  async function fetchGerritJson(baseUrl, path) {
+    let lastStatus = 0;
+    for (const prefix of ['/a', '']) {
+      try {
+        const resp = await fetch(`${baseUrl}${prefix}${path}`, {
+          method: 'GET',
+          credentials: 'include',
+          headers: { Accept: 'application/json' },
+        });
+        if (resp.ok) return parseGerritJson(await resp.text());
+        lastStatus = resp.status;
+      } catch {
+        // Try the next endpoint.
+      }
+    }
+    const error = new Error('Gerrit request failed');
+    error.status = lastStatus;
+    throw error;
+  }
+
+  function accountName(account) {
+    return String(account?.name || account?.display_name || account?.username || account?.email || '').trim();
+  }
+
+  /**
+   * Summarizes a DETAILED_LABELS entry as the strongest vote and who cast it,
+   * e.g. "+2 (Kim)" or "-1 (Lee, Park)". A negative vote wins over positives.
+   */
+  function summarizeLabel(label) {
+    const votes = (Array.isArray(label?.all) ? label.all : [])
+      .filter((v) => Number(v?.value || 0) !== 0);
+    if (votes.length === 0) return '';
+
+    const values = votes.map((v) => Number(v.value));
+    const min = Math.min(...values);
+    const decisive = min < 0 ? min : Math.max(...values);
+    const voters = votes
+      .filter((v) => Number(v.value) === decisive)
+      .map(accountName)
+      .filter(Boolean);
+    const score = decisive > 0 ? `+${decisive}` : String(decisive);
+    return voters.length > 0 ? `${score} (${voters.join(', ')})` : score;
+  }
+
+  function deriveContextFromPayload(payload) {
+    if (!payload || typeof payload !== 'object') return null;
+
+    const subject = String(payload.subject || '').trim();
+    const branch = String(payload.branch || '').trim();
+    const project = String(payload.project || '').trim();
+    const owner = String(payload?.owner?.name || payload?.owner?.username || '').trim();
+    const changeNum = String(payload?._number || '').trim();
+    const submittedAt = String(payload.submitted || payload.updated || '').trim();
+    const status = String(payload.status || '').trim().toUpperCase();
+
+    const revisions = payload.revisions || {};
+    const currentRevisionKey = payload.current_revision;
+    const currentRevision = currentRevisionKey ? revisions[currentRevisionKey] : null;
+    const commitMessage = String(currentRevision?.commit?.message || '').trim();
+    const patchset = String(currentRevision?._number || '').trim();
+
+    const topic = String(payload.topic || '').trim();
+    const hashtags = (Array.isArray(payload.hashtags) ? payload.hashtags : [])
+      .map((tag) => String(tag || '').trim())
+      .filter(Boolean);
+    const ownerId = payload?.owner?._account_id;
+    const reviewers = (Array.isArray(payload?.reviewers?.REVIEWER) ? payload.reviewers.REVIEWER : [])
+      .filter((account) => ownerId === undefined || account?._account_id !== ownerId)
+      .map(accountName)
+      .filter(Boolean);
+    const submitter = accountName(payload.submitter);
+    const codeReview = summarizeLabel(payload?.labels?.['Code-Review']);
+    const verified = summarizeLabel(payload?.labels?.Verified);
+    const insertions = Number.isFinite(payload.insertions) ? String(payload.insertions) : '';
+    const deletions = Number.isFinite(payload.deletions) ? String(payload.deletions) : '';
+
+    const payloadChangeId = String(payload.change_id || '').trim();
+    const changeIdMatch = commitMessage.match(/\bChange-Id\s*:\s*(I[a-f0-9]{40})\b/i);
+    const changeId = payloadChangeId || (changeIdMatch ? changeIdMatch[1] : '');
+
+    const body = commitMessage
+      ? commitMessage
+        .split('\n')
+        .slice(1)
+        .filter((line) => !/^\s*jira\s*:/i.test(line))
+        .filter((line) => !/^\s*change-id\s*:/i.test(line))
+        .filter((line) => !/^\s*cherry[- ]picked\s+from\b/i.test(line))
+        .filter((line) => !/^\s*cherry[- ]picked[- ]from\s*:/i.test(line))
+        .join('\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim()
+      : '';
+
+    const issueKeys = collectIssueKeysFromCommit(commitMessage, subject);
+    const issueKey = issueKeys[0]?.key || null;
+
+    return {
+      issueKey,
+      issueKeys,
+      subject,
+      branch,
+      body,
+      changeNum,
+      project,
+      owner,
+      changeId,
+      submittedAt,
+      status,
+      patchset,
+      topic,
+      hashtags,
+      reviewers,
+      submitter,
+      codeReview,
+      verified,
+      insertions,
+      deletions,
+    };
+  }
+
+  root.GERRIT_CHANGE = Object.freeze({
+    normalizeIssueKey,
+    collectIssueKeysFromCommit,
+    parseGerritJson,
+    deriveContextFromPayload,
+    fetchChangeContext,
+    fetchGerritJson,
+  });
+})(typeof self !== 'undefined' ? self : window);
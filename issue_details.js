@@ -0,0 +1,198 @@
+// Issue detail fields shown in the popup issue card and the FAB issue dialog.
+// The service worker fills the values (jiraClient.getIssue); this file only knows
+// which fields exist, which are enabled, and how to render them with inline styles.
+(function initIssueDetails(root) {
+  const STORAGE_KEY = 'issueDetailFields';
+
+  // `label` is shown next to the value, `title` on the options page.
+  const FIELDS = Object.freeze([
+    { key: 'issueType', label: 'Type', title: '이슈 유형' },
+    { key: 'priority', label: 'Priority', title: '우선순위' },
+    { key: 'reporter', label: 'Reporter', title: '보고자' },
+    { key: 'labels', label: 'Labels', title: '레이블' },
+    { key: 'components', label: 'Components', title: '컴포넌트' },
+    { key: 'fixVersions', label: 'Fix versions', title: '수정 버전' },
+    { key: 'sprint', label: 'Sprint', title: '스프린트' },
+    { key: 'parent', label: 'Parent', title: '상위 이슈 / 에픽' },
+    { key: 'description', label: 'Description', title: '설명' },
+    { key: 'comments', label: 'Comments', title: '최근 코멘트' },
+  ]);
+
+  const DEFAULT_FIELDS = Object.freeze(FIELDS.map((f) => f.key));
+
+  // Jira lozenge colors per status category (new / indeterminate / done).
+  const STATUS_COLORS = Object.freeze({
+    new: { background: '#dfe1e6', color: '#42526e' },
+    indeterminate: { background: '#deebff', color: '#0747a6' },
+    done: { background: '#e3fcef', color: '#006644' },
+  });
+
+  /** Stored list of enabled keys, in FIELDS order; defaults to all fields. */
+  function resolveFields(stored) {
+    if (!Array.isArray(stored)) return [...DEFAULT_FIELDS];
+    return FIELDS.map((f) => f.key).filter((key) => stored.includes(key));
+  }
+
+  function formatValue(issue, key) {
+    const value = issue?.[key];
+    if (Array.isArray(value)) return value.join(', ');
+    if (key === 'parent') return value?.key ? `${value.key}${value.summary ? ` ${value.summary}` : ''}` : '';
+    return String(value || '');
+  }
+
+  function renderStatusLozenge(issue, doc = root.document) {
+    const lozenge = doc.createElement('span');
+    lozenge.textContent = issue?.status || '-';
+    Object.assign(lozenge.style, {
+      display: 'inline-block',
+      padding: '0 6px',
+      borderRadius: '3px',
+      fontSize: '11px',
+      fontWeight: '700',
+      textTransform: 'uppercase',
+      lineHeight: '18px',
+      ...(STATUS_COLORS[issue?.statusCategory] || STATUS_COLORS.new),
+    });
+    return lozenge;
+  }
+
+  function buildRow(doc, label, valueNode) {
+    const row = doc.createElement('div');
+    row.style.margin = '2px 0';
+    const name = doc.createElement('span');
+    name.textContent = `${label}: `;
+    name.style.color = '#6b778c';
+    row.appendChild(name);
+    row.appendChild(valueNode);
+    return row;
+  }
+
+  function buildBlock(doc, label, children) {
+    const block = doc.createElement('div');
+    block.style.margin = '6px 0 2px';
+    const name = doc.createElement('div');
+    name.textContent = label;
+    name.style.color = '#6b778c';
+    block.appendChild(name);
+    for (const child of children) block.appendChild(child);
+    return block;
+  }
+
+  // Server/DC descriptions are HTML rendered by Jira; only these tags are copied over.
+  const RICH_HTML_TAGS = new Set([
+    'P', 'BR', 'B', 'STRONG', 'I', 'EM', 'U', 'S', 'DEL', 'INS', 'SUP', 'SUB', 'CODE', 'PRE', 'TT',
+    'UL', 'OL', 'LI', 'BLOCKQUOTE', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'HR', 'A', 'SPAN', 'DIV',
+    'TABLE', 'THEAD', 'TBODY', 'TR', 'TH', 'TD',
+  ]);
+  const DROPPED_HTML_TAGS = new Set(['SCRIPT', 'STYLE', 'TEMPLATE', 'IFRAME', 'OBJECT', 'EMBED']);
+
+  /** Rebuilds `html` from an inert document, keeping text and RICH_HTML_TAGS without attributes. */
+  function sanitizeHtml(html, doc) {
+    const parsed = new DOMParser().parseFromString(String(html), 'text/html');
+    const copy = (node, parent) => {
+      if (node.nodeType === 3) {
+        parent.appendChild(doc.createTextNode(node.nodeValue));
+        return;
+      }
+      if (node.nodeType !== 1 || DROPPED_HTML_TAGS.has(node.tagName)) return;
+      let target = parent;
+      if (RICH_HTML_TAGS.has(node.tagName)) {
+        target = doc.createElement(node.tagName.toLowerCase());
+        if (node.tagName === 'A') {
+          const href = node.getAttribute('href') || '';
+          if (/^https?:\/\//i.test(href)) target.href = href;
+          target.target = '_blank';
+          target.rel = 'noopener noreferrer';
+        }
+        if (node.tagName === 'PRE') Object.assign(target.style, { whiteSpace: 'pre-wrap', margin: '4px 0' });
+        if (node.tagName === 'P') target.style.margin = '0 0 6px';
+        parent.appendChild(target);
+      }
+      for (const child of node.childNodes) copy(child, target);
+    };
+    const fragment = doc.createDocumentFragment();
+    for (const child of parsed.body.childNodes) copy(child, fragment);
+    return fragment;
+  }
+
+  // Cloud descriptions arrive as ADF, Server/DC ones as HTML; the plain excerpt is the fallback.
+  function buildDescription(doc, issue) {
+    const box = doc.createElement('div');
+    Object.assign(box.style, {
+      background: '#f7f8fa',
+      padding: '4px 6px',
+      borderRadius: '4px',
+      maxHeight: '220px',
+      overflow: 'auto',
+      wordBreak: 'break-word',
+    });
+    if (issue?.descriptionAdf && root.MARKDOWN_ADF) {
+      box.appendChild(root.MARKDOWN_ADF.renderAdf(issue.descriptionAdf, doc));
+    } else if (issue?.descriptionHtml) {
+      box.appendChild(sanitizeHtml(issue.descriptionHtml, doc));
+    } else if (issue?.description) {
+      box.style.whiteSpace = 'pre-line';
+      box.textContent = issue.description;
+    } else {
+      return null;
+    }
+    return box;
+  }
+
+  function buildText(doc, text, style) {
+    const el = doc.createElement('div');
+    el.textContent = text;
+    Object.assign(el.style, { whiteSpace: 'pre-line', wordBreak: 'break-word' }, style || {});
+    return el;
+  }
+
+  /**
+   * Renders the enabled `fields` of `issue` (skipping empty values) as a fragment.
+   * @param {Record<string, any>} issue
+   * @param {string[]} fields
+   * @param {Document} [doc]
+   */
+  function renderIssueDetails(issue, fields, doc = root.document) {
+    const fragment = doc.createDocumentFragment();
+
+    for (const field of FIELDS) {
+      if (!fields.includes(field.key)) continue;
+
+      if (field.key === 'description') {
+        const description = buildDescription(doc, issue);
+        if (description) fragment.appendChild(buildBlock(doc, field.label, [description]));
+        continue;
+      }
+
+      if (field.key === 'comments') {
+        const comments = Array.isArray(issue?.comments) ? issue.comments : [];
+        if (comments.length === 0) continue;
+        fragment.appendChild(buildBlock(doc, field.label, comments.map((c) => {
+          const item = doc.createElement('div');
+          item.style.margin = '3px 0';
+          item.appendChild(buildText(doc, `${c.author || '-'} · ${c.created || ''}`, { color: '#6b778c', fontSize: '11px' }));
+          item.appendChild(buildText(doc, c.body || ''));
+          return item;
+        })));
+        continue;
+      }
+
+      const text = formatValue(issue, field.key);
+      if (!text) continue;
+      const value = doc.createElement('span');
+      value.textContent = text;
+      fragment.appendChild(buildRow(doc, field.label, value));
+    }
+
+    return fragment;
+  }
+
+  root.ISSUE_DETAILS = Object.freeze({
+    STORAGE_KEY,
+    FIELDS,
+    DEFAULT_FIELDS,
+    resolveFields,
+    renderStatusLozenge,
+    renderIssueDetails,
+  });
+})(typeof self !== 'undefined' ? self : window);
@@ -0,0 +1,282 @@
+// jira_content_script.js
+// Runs on the Jira site: shows the Gerrit changes linked to the open issue with their
+// live status. The service worker finds the changes and queries Gerrit; this side only
+// follows the issue in the URL and renders the panel.
+
+'use strict';
+
+const MSG = self.MESSAGE_TYPES;
+const GERRIT_PANEL_ID = '__gj_gerrit_panel__';
+const PANEL_COLLAPSED_KEY = 'jiraPanelCollapsed';
+const URL_CHECK_MS = 1500; // fallback without the Navigation API
+
+const STATUS_BADGE_COLORS = {
+  MERGED: { background: '#e3fcef', color: '#006644' },
+  NEW: { background: '#deebff', color: '#0747a6' },
+  ABANDONED: { background: '#dfe1e6', color: '#42526e' },
+};
+
+let currentIssueKey = '';
+let panelCollapsed = false;
+let loadSeq = 0;
+
+// -- Issue key -----------------------------------------------------------------
+
+/** `/browse/TF-123`, or the issue opened over a board/backlog (`?selectedIssue=TF-123`). */
+function extractIssueKeyFromUrl() {
+  const browse = window.location.pathname.match(/\/browse\/([A-Z][A-Z0-9]+-\d+)(?:\/|$)/i);
+  if (browse) return browse[1].toUpperCase();
+  const selected = new URLSearchParams(window.location.search).get('selectedIssue') || '';
+  return /^[A-Z][A-Z0-9]+-\d+$/i.test(selected) ? selected.toUpperCase() : '';
+}
+
+// -- Runtime messaging ---------------------------------------------------------
+
+function sendRuntimeMessage(msg) {
+  return new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage(msg, (response) => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+        return;
+      }
+      resolve(response);
+    });
+  });
+}
+
+// -- Panel ---------------------------------------------------------------------
+
+function removePanel() {
+  const existing = document.getElementById(GERRIT_PANEL_ID);
+  if (existing) existing.remove();
+}
+
+function buildStatusBadge(status) {
+  const badge = document.createElement('span');
+  badge.textContent = status || '?';
+  Object.assign(badge.style, {
+    display: 'inline-block',
+    flex: 'none',
+    minWidth: '74px',
+    padding: '0 6px',
+    borderRadius: '3px',
+    fontSize: '11px',
+    fontWeight: '700',
+    lineHeight: '18px',
+    textAlign: 'center',
+    ...(STATUS_BADGE_COLORS[status] || STATUS_BADGE_COLORS.ABANDONED),
+  });
+  return badge;
+}
+
+function buildChangeLink(url, text) {
+  const a = document.createElement('a');
+  a.href = url;
+  a.target = '_blank';
+  a.rel = 'noopener noreferrer';
+  a.textContent = text;
+  Object.assign(a.style, { color: '#0052cc', textDecoration: 'none', fontWeight: '600' });
+  return a;
+}
+
+function buildChangeRow(change) {
+  const row = document.createElement('div');
+  Object.assign(row.style, { display: 'flex', gap: '8px', padding: '6px 0', borderTop: '1px solid #ebecf0' });
+
+  const text = document.createElement('div');
+  text.style.minWidth = '0';
+  text.appendChild(buildChangeLink(change.url, `${change.changeNum} ${change.subject}`.trim()));
+
+  const meta = [
+    change.project,
+    change.branch,
+    change.patchset ? `PS ${change.patchset}` : '',
+    change.codeReview ? `CR ${change.codeReview}` : '',
+    change.verified ? `V ${change.verified}` : '',
+  ].filter(Boolean).join(' · ');
+  const metaEl = document.createElement('div');
+  metaEl.textContent = change.updated ? `${meta}\n업데이트 ${change.updated}` : meta;
+  Object.assign(metaEl.style, { color: '#6b778c', fontSize: '11px', whiteSpace: 'pre-line', wordBreak: 'break-word' });
+  text.appendChild(metaEl);
+
+  row.appendChild(buildStatusBadge(change.status));
+  row.appendChild(text);
+  return row;
+}
+
+function buildNote(text, color) {
+  const note = document.createElement('div');
+  note.textContent = text;
+  Object.assign(note.style, { padding: '6px 0', color: color || '#6b778c', fontSize: '12px', whiteSpace: 'pre-line' });
+  return note;
+}
+
+function ensurePanel() {
+  let panel = document.getElementById(GERRIT_PANEL_ID);
+  if (panel) return panel;
+
+  panel = document.createElement('div');
+  panel.id = GERRIT_PANEL_ID;
+  panel.setAttribute('role', 'complementary');
+  panel.setAttribute('aria-label', 'Gerrit changes');
+  Object.assign(panel.style, {
+    position: 'fixed',
+    right: '24px',
+    bottom: '24px',
+    zIndex: '2147483646',
+    width: '380px',
+    maxWidth: 'calc(100vw - 48px)',
+    maxHeight: '50vh',
+    display: 'flex',
+    flexDirection: 'column',
+    background: '#fff',
+    color: '#172b4d',
+    borderRadius: '8px',
+    boxShadow: '0 8px 24px rgba(9,30,66,0.25)',
+    fontFamily: 'system-ui, -apple-system, sans-serif',
+    fontSize: '13px',
+    lineHeight: '1.4',
+  });
+
+  const header = document.createElement('div');
+  Object.assign(header.style, { display: 'flex', alignItems: 'center', gap: '8px', padding: '8px 12px' });
+
+  const title = document.createElement('button');
+  title.type = 'button';
+  title.className = 'gj-panel-title';
+  Object.assign(title.style, {
+    flex: '1',
+    border: 'none',
+    background: 'transparent',
+    padding: '0',
+    textAlign: 'left',
+    font: 'inherit',
+    fontWeight: '700',
+    color: 'inherit',
+    cursor: 'pointer',
+  });
+  title.addEventListener('click', () => {
+    panelCollapsed = !panelCollapsed;
+    chrome.storage.local.set({ [PANEL_COLLAPSED_KEY]: panelCollapsed });
+    applyCollapsed(panel);
+  });
+
+  const refresh = document.createElement('button');
+  refresh.type = 'button';
+  refresh.textContent = '↻';
+  refresh.title = '새로고침';
+  refresh.setAttribute('aria-label', '새로고침');
+  Object.assign(refresh.style, {
+    border: 'none',
+    background: 'transparent',
+    fontSize: '15px',
+    color: '#42526e',
+    cursor: 'pointer',
+  });
+  refresh.addEventListener('click', () => loadPanel(currentIssueKey));
+
+  const body = document.createElement('div');
+  body.className = 'gj-panel-body';
+  Object.assign(body.style, { overflowY: 'auto', padding: '0 12px 8px' });
+
+  header.appendChild(title);
+  header.appendChild(refresh);
+  panel.appendChild(header);
+  panel.appendChild(body);
+  document.body.appendChild(panel);
+  return panel;
+}
+
+function applyCollapsed(panel) {
+  panel.querySelector('.gj-panel-body').style.display = panelCollapsed ? 'none' : '';
+  const title = panel.querySelector('.gj-panel-title');
+  title.textContent = `${panelCollapsed ? '▸' : '▾'} ${title.dataset.label || 'Gerrit'}`;
+}
+
+function renderPanel(label, nodes) {
+  const panel = ensurePanel();
+  const title = panel.querySelector('.gj-panel-title');
+  title.dataset.label = label;
+  const body = panel.querySelector('.gj-panel-body');
+  body.textContent = '';
+  for (const node of nodes) body.appendChild(node);
+  applyCollapsed(panel);
+}
+
+function renderChanges(resp) {
+  const changes = Array.isArray(resp.changes) ? resp.changes : [];
+  const unresolved = Array.isArray(resp.unresolved) ? resp.unresolved : [];
+  const errors = Array.isArray(resp.errors) ? resp.errors : [];
+  if (changes.length === 0 && unresolved.length === 0 && errors.length === 0) {
+    removePanel();
+    return;
+  }
+
+  const counts = ['NEW', 'MERGED', 'ABANDONED']
+    .map((status) => [status, changes.filter((c) => c.status === status).length])
+    .filter(([, n]) => n > 0)
+    .map(([status, n]) => `${status} ${n}`);
+  const nodes = changes.map(buildChangeRow);
+  for (const ref of unresolved) {
+    const row = buildNote('', '#6b778c');
+    row.appendChild(buildChangeLink(ref.url, ref.changeNum || ref.url));
+    row.appendChild(document.createTextNode(' — 상태를 확인할 수 없습니다.'));
+    nodes.push(row);
+  }
+  if (errors.length > 0) nodes.push(buildNote(errors.join('\n'), '#bf2600'));
+
+  renderPanel(`Gerrit change ${changes.length + unresolved.length}${counts.length > 0 ? ` (${counts.join(', ')})` : ''}`, nodes);
+}
+
+async function loadPanel(issueKey) {
+  const seq = ++loadSeq;
+  if (!issueKey) {
+    removePanel();
+    return;
+  }
+  if (document.getElementById(GERRIT_PANEL_ID)) renderPanel('Gerrit', [buildNote('불러오는 중...')]);
+
+  let resp;
+  try {
+    resp = await sendRuntimeMessage({ type: MSG.JIRA_GET_GERRIT_CHANGES, issueKey });
+  } catch {
+    resp = null;
+  }
+  // A newer issue was opened while this one was loading.
+  if (seq !== loadSeq) return;
+
+  if (!resp?.ok) {
+    // Not configured / not signed in: stay out of the way unless the panel is already up.
+    if (document.getElementById(GERRIT_PANEL_ID)) {
+      renderPanel('Gerrit', [buildNote(resp?.message || 'Gerrit change를 불러오지 못했습니다.', '#bf2600')]);
+    }
+    return;
+  }
+  renderChanges(resp);
+}
+
+// -- Init ----------------------------------------------------------------------
+
+function checkIssueChange() {
+  const issueKey = extractIssueKeyFromUrl();
+  if (issueKey === currentIssueKey) return;
+  currentIssueKey = issueKey;
+  loadPanel(issueKey);
+}
+
+chrome.storage.local.get([PANEL_COLLAPSED_KEY], (data) => {
+  panelCollapsed = data?.[PANEL_COLLAPSED_KEY] === true;
+  checkIssueChange();
+});
+
+// Jira is a single-page app: follow its in-app navigations instead of relying on page loads.
+// The Navigation API reports the page's pushState navigations to content scripts too;
+// `popstate` plus a URL check cover browsers without it.
+if (window.navigation) {
+  window.navigation.addEventListener('navigatesuccess', checkIssueChange);
+} else {
+  window.addEventListener('popstate', checkIssueChange);
+  setInterval(() => {
+    if (!document.hidden) checkIssueChange();
+  }, URL_CHECK_MS);
+}
@@ -0,0 +1,339 @@
+// Markdown subset → Atlassian Document Format, used for Jira Cloud comment bodies.
+//
+// Blocks: ATX headings, bullet/numbered lists (nested by indentation), fenced code, paragraphs.
+// Inline: `code`, **bold**, [text](url), bare http(s) URLs, known Jira issue keys.
+// Anything else stays literal text; single newlines inside a paragraph become hardBreaks.
+(function initMarkdownAdf(root) {
+  const FENCE_RE = /^\s*(`{3,}|~{3,})\s*([\w+#.-]*)\s*$/;
+  const HEADING_RE = /^(#{1,6})\s+(.+?)\s*#*\s*$/;
+  const LIST_ITEM_RE = /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+  const ISSUE_KEY_RE = /^[A-Z][A-Z0-9_]+-\d+$/;
+  // ADF inline node types; taskItem and decisionItem hold these directly instead of a paragraph.
+  const INLINE_NODE_TYPES = new Set(['text', 'hardBreak', 'mention', 'emoji', 'inlineCard', 'status', 'date']);
+
+  // Order matters: earlier alternatives win when matches start at the same index.
+  const INLINE_RE = new RegExp([
+    /(`+)([^`\n]+?)\1(?!`)/.source,                             // 1,2: code span
+    /\*\*([^*\n]+?)\*\*/.source,                                 // 3: bold
+    /\[([^\]\n]+)\]\((https?:\/\/[^\s)]+)\)/.source,             // 4,5: [text](url)
+    /(https?:\/\/[^\s<>()]*[^\s<>().,;:!?'"])/.source,           // 6: bare URL
+    /(?<![\w-])([A-Z][A-Z0-9_]+-\d+)(?![\w-])/.source,           // 7: issue key
+  ].join('|'), 'g');
+
+  function expandTabs(line) {
+    return line.replace(/\t/g, '    ');
+  }
+
+  function indentOf(line) {
+    return expandTabs(line).match(/^ */)[0].length;
+  }
+
+  function isBlank(line) {
+    return line.trim() === '';
+  }
+
+  function textNode(text, marks) {
+    const node = { type: 'text', text };
+    if (marks && marks.length > 0) node.marks = marks;
+    return node;
+  }
+
+  function linkMark(href) {
+    return { type: 'link', attrs: { href } };
+  }
+
+  function withMark(nodes, mark) {
+    // ADF only lets `code` combine with `link`, and inline cards take no marks at all.
+    return nodes.map((node) => {
+      if (node.type !== 'text') return node;
+      if ((node.marks || []).some((m) => m.type === 'code')) return node;
+      return { ...node, marks: [...(node.marks || []), mark] };
+    });
+  }
+
+  function urlNode(url, options, label) {
+    if (!label && options.smartLink && options.gerritUrl && url === options.gerritUrl) {
+      return { type: 'inlineCard', attrs: { url } };
+    }
+    return textNode(label || url, [linkMark(url)]);
+  }
+
+  // Key-shaped words such as UTF-8 or SHA-256 stay plain: with configured projects only
+  // their keys link, otherwise only the keys listed for the change.
+  function isLinkableIssueKey(key, options) {
+    if (!ISSUE_KEY_RE.test(key)) return false;
+    const projects = options.issueProjects || [];
+    if (projects.length > 0) return projects.includes(key.slice(0, key.lastIndexOf('-')));
+    return (options.issueKeys || []).includes(key);
+  }
+
+  function inlineNodes(text, options) {
+    const nodes = [];
+    let cursor = 0;
+
+    for (const m of text.matchAll(INLINE_RE)) {
+      if (m.index > cursor) nodes.push(textNode(text.slice(cursor, m.index)));
+      cursor = m.index + m[0].length;
+
+      if (m[2] !== undefined) {
+        nodes.push(textNode(m[2], [{ type: 'code' }]));
+      } else if (m[3] !== undefined) {
+        nodes.push(...withMark(inlineNodes(m[3], options), { type: 'strong' }));
+      } else if (m[4] !== undefined) {
+        nodes.push(urlNode(m[5], options, m[4]));
+      } else if (m[6] !== undefined) {
+        nodes.push(urlNode(m[6], options));
+      } else if (options.issueBaseUrl && isLinkableIssueKey(m[7], options)) {
+        nodes.push(textNode(m[7], [linkMark(`${options.issueBaseUrl}/browse/${m[7]}`)]));
+      } else {
+        nodes.push(textNode(m[0]));
+      }
+    }
+
+    if (cursor < text.length) nodes.push(textNode(text.slice(cursor)));
+    return nodes;
+  }
+
+  function paragraphNode(lines, options) {
+    const content = [];
+    lines.forEach((line, i) => {
+      if (i > 0) content.push({ type: 'hardBreak' });
+      content.push(...inlineNodes(line, options));
+    });
+    return { type: 'paragraph', content };
+  }
+
+  function listKind(marker) {
+    return /\d/.test(marker) ? 'ordered' : 'bullet';
+  }
+
+  function parseList(lines, start, options) {
+    const first = lines[start].match(LIST_ITEM_RE);
+    const baseIndent = indentOf(first[1]);
+    const kind = listKind(first[2]);
+    const items = [];
+    let i = start;
+
+    while (i < lines.length) {
+      const line = lines[i];
+
+      if (isBlank(line)) {
+        let j = i + 1;
+        while (j < lines.length && isBlank(lines[j])) j++;
+        const next = j < lines.length ? lines[j].match(LIST_ITEM_RE) : null;
+        if (!next || indentOf(next[1]) < baseIndent || (indentOf(next[1]) === baseIndent && listKind(next[2]) !== kind)) break;
+        i = j;
+        continue;
+      }
+
+      const m = line.match(LIST_ITEM_RE);
+      const indent = indentOf(line);
+      const item = items[items.length - 1];
+
+      if (m && indent === baseIndent && listKind(m[2]) === kind) {
+        items.push({ lines: [m[3]], children: [] });
+        i++;
+      } else if (m && indent > baseIndent && item) {
+        const nested = parseList(lines, i, options);
+        item.children.push(nested.node);
+        i = nested.next;
+      } else if (!m && indent > baseIndent && item) {
+        item.lines.push(line.trim());
+        i++;
+      } else {
+        break;
+      }
+    }
+
+    const content = items.map((item) => ({
+      type: 'listItem',
+      content: [paragraphNode(item.lines, options), ...item.children],
+    }));
+    const node = kind === 'ordered'
+      ? { type: 'orderedList', attrs: { order: Number.parseInt(first[2], 10) || 1 }, content }
+      : { type: 'bulletList', content };
+
+    return { node, next: i };
+  }
+
+  function startsBlock(line) {
+    return FENCE_RE.test(line) || HEADING_RE.test(line) || LIST_ITEM_RE.test(line);
+  }
+
+  /**
+   * @param {string} text
+   * @param {{ gerritUrl?: string, issueBaseUrl?: string, issueKeys?: string[], issueProjects?: string[], smartLink?: boolean }} [options]
+   *   `issueBaseUrl` enables links for keys whose project is in `issueProjects`, or, when that
+   *   is empty, for the keys in `issueKeys`; `smartLink` renders `gerritUrl` as an inlineCard.
+   * @returns {{ type: 'doc', version: 1, content: any[] }}
+   */
+  function markdownToAdf(text, options = {}) {
+    const lines = String(text || '').replace(/\r\n?/g, '\n').split('\n');
+    const content = [];
+    let i = 0;
+
+    while (i < lines.length) {
+      const line = lines[i];
+      if (isBlank(line)) {
+        i++;
+        continue;
+      }
+
+      const fence = line.match(FENCE_RE);
+      if (fence) {
+        const code = [];
+        i++;
+        while (i < lines.length && !(lines[i].trim().startsWith(fence[1]) && /^[`~]+$/.test(lines[i].trim()))) {
+          code.push(lines[i]);
+          i++;
+        }
+        i++; // closing fence (or end of text)
+        const node = { type: 'codeBlock' };
+        if (fence[2]) node.attrs = { language: fence[2] };
+        if (code.length > 0) node.content = [textNode(code.join('\n'))];
+        content.push(node);
+        continue;
+      }
+
+      const heading = line.match(HEADING_RE);
+      if (heading) {
+        content.push({
+          type: 'heading',
+          attrs: { level: heading[1].length },
+          content: inlineNodes(heading[2], options),
+        });
+        i++;
+        continue;
+      }
+
+      if (LIST_ITEM_RE.test(line)) {
+        const list = parseList(lines, i, options);
+        content.push(list.node);
+        i = list.next;
+        continue;
+      }
+
+      const para = [line];
+      i++;
+      while (i < lines.length && !isBlank(lines[i]) && !startsBlock(lines[i])) {
+        para.push(lines[i]);
+        i++;
+      }
+      content.push(paragraphNode(para, options));
+    }
+
+    if (content.length === 0) content.push({ type: 'paragraph', content: [] });
+    return { type: 'doc', version: 1, content };
+  }
+
+  function isSafeHref(href) {
+    return /^https?:\/\//i.test(String(href || ''));
+  }
+
+  function renderInline(node, doc) {
+    if (node.type === 'hardBreak') return doc.createElement('br');
+    // Mentions, emoji, status and date nodes from Jira-authored documents carry their text in attrs.
+    if (node.type !== 'text' && node.type !== 'inlineCard') return doc.createTextNode(node.attrs?.text || '');
+    if (node.type === 'inlineCard') {
+      const a = doc.createElement('a');
+      a.textContent = `🔗 ${node.attrs.url}`;
+      if (isSafeHref(node.attrs.url)) a.href = node.attrs.url;
+      a.target = '_blank';
+      a.rel = 'noopener noreferrer';
+      Object.assign(a.style, {
+        display: 'inline-block',
+        padding: '0 6px',
+        border: '1px solid #c1c7d0',
+        borderRadius: '4px',
+        background: '#f4f5f7',
+      });
+      return a;
+    }
+
+    let el = doc.createTextNode(node.text || '');
+    for (const mark of node.marks || []) {
+      let wrapper;
+      if (mark.type === 'code') {
+        wrapper = doc.createElement('code');
+        Object.assign(wrapper.style, { background: '#f4f5f7', padding: '0 3px', borderRadius: '3px' });
+      } else if (mark.type === 'strong') {
+        wrapper = doc.createElement('strong');
+      } else if (mark.type === 'em' || mark.type === 'strike' || mark.type === 'underline') {
+        wrapper = doc.createElement({ em: 'em', strike: 's', underline: 'u' }[mark.type]);
+      } else if (mark.type === 'link') {
+        wrapper = doc.createElement('a');
+        if (isSafeHref(mark.attrs.href)) wrapper.href = mark.attrs.href;
+        wrapper.target = '_blank';
+        wrapper.rel = 'noopener noreferrer';
+      } else {
+        continue;
+      }
+      wrapper.appendChild(el);
+      el = wrapper;
+    }
+    return el;
+  }
+
+  function renderBlock(node, doc) {
+    let el;
+    switch (node.type) {
+      case 'heading':
+        el = doc.createElement(`h${Math.min(6, Math.max(1, node.attrs.level))}`);
+        break;
+      case 'bulletList':
+        el = doc.createElement('ul');
+        break;
+      case 'orderedList':
+        el = doc.createElement('ol');
+        if (node.attrs?.order > 1) el.start = node.attrs.order;
+        break;
+      case 'listItem':
+        el = doc.createElement('li');
+        break;
+      case 'blockquote':
+        el = doc.createElement('blockquote');
+        Object.assign(el.style, { borderLeft: '2px solid #dfe1e6', paddingLeft: '8px', color: '#42526e' });
+        break;
+      case 'rule':
+        return doc.createElement('hr');
+      case 'codeBlock': {
+        el = doc.createElement('pre');
+        Object.assign(el.style, {
+          background: '#f4f5f7',
+          padding: '8px',
+          borderRadius: '4px',
+          whiteSpace: 'pre-wrap',
+          fontFamily: 'monospace',
+        });
+        el.textContent = (node.content || []).map((c) => c.text).join('');
+        return el;
+      }
+      default:
+        el = doc.createElement('p');
+    }
+    Object.assign(el.style, { margin: '0 0 8px' });
+    if (node.type === 'taskItem') el.appendChild(doc.createTextNode(node.attrs?.state === 'DONE' ? '☑ ' : '☐ '));
+    for (const child of node.content || []) {
+      el.appendChild(INLINE_NODE_TYPES.has(child.type)
+        ? renderInline(child, doc)
+        : renderBlock(child, doc));
+    }
+    return el;
+  }
+
+  /**
+   * Renders an ADF doc produced by markdownToAdf, or a Jira issue description, into DOM nodes
+   * approximating Jira's own rendering. Only http(s) hrefs become clickable.
+   * Media and other unsupported nodes are left out or reduced to their text.
+   * @param {{ content: any[] }} adf
+   * @param {Document} [doc]
+   * @returns {DocumentFragment}
+   */
+  function renderAdf(adf, doc = root.document) {
+    const fragment = doc.createDocumentFragment();
+    for (const node of adf?.content || []) fragment.appendChild(renderBlock(node, doc));
+    return fragment;
+  }
+
+  root.MARKDOWN_ADF = Object.freeze({ markdownToAdf, renderAdf });
+})(typeof self !== 'undefined' ? self : window);
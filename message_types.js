@@ -11,7 +11,27 @@
     POPUP_SET_FAB_ENABLED: 'POPUP_SET_FAB_ENABLED',
     POPUP_GET_ISSUE: 'POPUP_GET_ISSUE',
     POPUP_ADD_REMOTE_LINK: 'POPUP_ADD_REMOTE_LINK',
+    POPUP_GET_LINK_STATE: 'POPUP_GET_LINK_STATE',
     POPUP_ADD_COMMENT: 'POPUP_ADD_COMMENT',
+    POPUP_PREVIEW_COMMENT: 'POPUP_PREVIEW_COMMENT',
+    POPUP_GET_TRANSITIONS: 'POPUP_GET_TRANSITIONS',
+    POPUP_DO_TRANSITION: 'POPUP_DO_TRANSITION',
+    POPUP_SEARCH_ISSUES: 'POPUP_SEARCH_ISSUES',
+    POPUP_POST_TO_GERRIT: 'POPUP_POST_TO_GERRIT',
+    POPUP_GET_CREATE_META: 'POPUP_GET_CREATE_META',
+    POPUP_CREATE_ISSUE: 'POPUP_CREATE_ISSUE',
+    AUTO_SYNC_MERGED: 'AUTO_SYNC_MERGED',
+    AUTO_SYNC_UNDO: 'AUTO_SYNC_UNDO',
+    GERRIT_POST_REVIEW: 'GERRIT_POST_REVIEW',
+    GERRIT_GET_ISSUE_CARDS: 'GERRIT_GET_ISSUE_CARDS',
+    POLICY_CHECK_CHANGE: 'POLICY_CHECK_CHANGE',
+    BATCH_SYNC_CHANGE: 'BATCH_SYNC_CHANGE',
+    BACKFILL_SYNC_CHANGE: 'BACKFILL_SYNC_CHANGE',
+    JIRA_GET_GERRIT_CHANGES: 'JIRA_GET_GERRIT_CHANGES',
+    HISTORY_GET: 'HISTORY_GET',
+    QUEUE_GET: 'QUEUE_GET',
+    QUEUE_RETRY: 'QUEUE_RETRY',
+    QUEUE_DISCARD: 'QUEUE_DISCARD',
     TEST_CONNECTION: 'TEST_CONNECTION',
   });
 
@@ -1,5 +1,5 @@
 // options.js
-// Handles options page UI: load/save credentials, run connection test.
+// Handles options page UI: load/save credentials and site config, run connection test.
 //
 // Security rules enforced here:
 //   - chrome.storage.local only (no sync).
@@ -10,25 +10,48 @@
 'use strict';
 
 const MSG = self.MESSAGE_TYPES;
+const SITE = self.SITE_CONFIG;
+const TEMPLATE = self.COMMENT_TEMPLATE;
+const ISSUE_DETAILS = self.ISSUE_DETAILS;
 
+const jiraBaseEl = /** @type {HTMLInputElement}  */ (document.getElementById('jira-base'));
+const gerritOriginsEl = /** @type {HTMLTextAreaElement} */ (document.getElementById('gerrit-origins'));
+const deploymentEl = /** @type {HTMLSelectElement} */ (document.getElementById('deployment'));
 const emailEl    = /** @type {HTMLInputElement}  */ (document.getElementById('email'));
 const tokenEl    = /** @type {HTMLInputElement}  */ (document.getElementById('token'));
 const templateEl = /** @type {HTMLTextAreaElement} */ (document.getElementById('template'));
+const smartLinkEl = /** @type {HTMLInputElement} */ (document.getElementById('adf-smart-link'));
+const issueLinkProjectsEl = /** @type {HTMLInputElement} */ (document.getElementById('issue-link-projects'));
+const templateSelectEl = /** @type {HTMLSelectElement} */ (document.getElementById('template-select'));
+const btnTemplateAdd = document.getElementById('btn-template-add');
+const btnTemplateRename = document.getElementById('btn-template-rename');
+const btnTemplateDuplicate = document.getElementById('btn-template-duplicate');
+const btnTemplateDelete = document.getElementById('btn-template-delete');
+const btnTemplateDefault = document.getElementById('btn-template-default');
+const ruleListEl = document.getElementById('rule-list');
+const btnRuleAdd = document.getElementById('btn-rule-add');
+const autoSyncEnabledEl = /** @type {HTMLInputElement} */ (document.getElementById('auto-sync-enabled'));
+const autoSyncTransitionEl = /** @type {HTMLInputElement} */ (document.getElementById('auto-sync-transition'));
+const autoSyncTransitionNameEl = /** @type {HTMLInputElement} */ (document.getElementById('auto-sync-transition-name'));
+const gerritHashtagModeEl = /** @type {HTMLSelectElement} */ (document.getElementById('gerrit-hashtag-mode'));
+const issueHovercardsEnabledEl = /** @type {HTMLInputElement} */ (document.getElementById('issue-hovercards-enabled'));
+const policyEnabledEl = /** @type {HTMLInputElement} */ (document.getElementById('policy-enabled'));
+const policyRequireKeyEl = /** @type {HTMLInputElement} */ (document.getElementById('policy-require-key'));
+const policyRejectDoneEl = /** @type {HTMLInputElement} */ (document.getElementById('policy-reject-done'));
+const policyProjectsEl = /** @type {HTMLInputElement} */ (document.getElementById('policy-projects'));
+const policyBranchTypesEl = /** @type {HTMLTextAreaElement} */ (document.getElementById('policy-branch-types'));
+const jqlListEl = document.getElementById('jql-list');
+const btnJqlAdd = document.getElementById('btn-jql-add');
+const issueDetailFieldsEl = document.getElementById('issue-detail-fields');
 const statusEl   = document.getElementById('status');
 const btnSave    = document.getElementById('btn-save');
 const btnTest    = document.getElementById('btn-test');
 const btnReset   = document.getElementById('btn-reset');
+const tokenLabelEl = document.getElementById('token-label');
+const tokenNoteEl  = document.getElementById('token-note');
+const emailOptionalEl = document.getElementById('email-optional');
 
-// Must match DEFAULT_TEMPLATE in service_worker.js
-const DEFAULT_TEMPLATE =
-`{title}
-
-{body}
-
-브랜치: {branch}
-반영 일시: {date}
-Gerrit: {url}
-Change-Id: {change_id}`;
+const DEFAULT_TEMPLATE = TEMPLATE.DEFAULT_TEMPLATE;
 
 // ── Status helper ─────────────────────────────────────────────────────────────
 
@@ -45,25 +68,513 @@ function setStatus(msg, cls, autoClearMs) {
   }
 }
 
+// ── Deployment type ───────────────────────────────────────────────────────────
+
+function isServerDeployment() {
+  return deploymentEl.value === 'server';
+}
+
+function syncDeploymentFields() {
+  const server = isServerDeployment();
+  emailOptionalEl.style.display = server ? '' : 'none';
+  tokenLabelEl.textContent = server ? 'Personal Access Token (PAT)' : 'Jira API 토큰';
+  tokenNoteEl.textContent = server
+    ? 'Jira Server/DC 프로필의 Personal Access Tokens 메뉴에서 발급한 값을 사용하세요.'
+    : 'API 토큰은 Atlassian 계정에서 발급한 값을 사용하세요.';
+}
+
+deploymentEl.addEventListener('change', syncDeploymentFields);
+
+// ── Site config helpers ───────────────────────────────────────────────────────
+
+// Only https origins can be granted at runtime; plain-HTTP hosts work only when the
+// manifest already lists them (the bundled Gerrit default).
+const MANIFEST_HOST_PATTERNS = chrome.runtime.getManifest().host_permissions || [];
+
+function isGrantableUrl(url) {
+  return url.startsWith('https://') || MANIFEST_HOST_PATTERNS.includes(SITE.toOriginPattern(url));
+}
+
+/**
+ * Reads the Jira URL and Gerrit origin fields.
+ * @returns {{ ok: true, jiraBaseUrl: string, gerritOrigins: string[] } | { ok: false, message: string }}
+ */
+function readSiteConfigFields() {
+  const jiraBaseUrl = SITE.normalizeJiraBaseUrl(jiraBaseEl.value);
+  if (!jiraBaseUrl) {
+    return { ok: false, message: 'Jira 사이트 URL을 http(s):// 형식으로 입력하세요.' };
+  }
+  if (!isGrantableUrl(jiraBaseUrl)) {
+    return { ok: false, message: 'Jira 사이트 URL은 https:// 주소만 사용할 수 있습니다.' };
+  }
+
+  const lines = gerritOriginsEl.value.split('\n').map((l) => l.trim()).filter(Boolean);
+  const gerritOrigins = [];
+  for (const line of lines) {
+    const origin = SITE.normalizeGerritOrigin(line);
+    if (!origin) {
+      return { ok: false, message: `올바르지 않은 Gerrit 주소입니다: ${line}` };
+    }
+    if (!isGrantableUrl(origin)) {
+      return { ok: false, message: `Gerrit 주소는 https:// 주소만 사용할 수 있습니다: ${line}` };
+    }
+    if (!gerritOrigins.includes(origin)) gerritOrigins.push(origin);
+  }
+  if (gerritOrigins.length === 0) {
+    return { ok: false, message: 'Gerrit 주소를 하나 이상 입력하세요.' };
+  }
+
+  return { ok: true, jiraBaseUrl, gerritOrigins };
+}
+
+/**
+ * Splits a comma/space separated list of Jira project prefixes ("TF, OF-").
+ * @returns {{ ok: true, prefixes: string[] } | { ok: false, invalid: string }}
+ */
+function parseProjectPrefixes(value) {
+  const prefixes = [];
+  for (const raw of String(value || '').split(/[\s,]+/)) {
+    const prefix = raw.trim().toUpperCase().replace(/-$/, '');
+    if (!prefix) continue;
+    // Same project part as the service worker's isValidIssueKey.
+    if (!/^[A-Z][A-Z0-9]+$/.test(prefix)) return { ok: false, invalid: raw.trim() };
+    if (!prefixes.includes(prefix)) prefixes.push(prefix);
+  }
+  return { ok: true, prefixes };
+}
+
+/**
+ * Must be called directly from a click handler: Chrome only shows the
+ * permission prompt during a user gesture.
+ * @param {string[]} urls
+ * @param {(granted: boolean) => void} callback
+ */
+function requestHostPermissions(urls, callback) {
+  const origins = urls.map(SITE.toOriginPattern).filter(Boolean);
+  chrome.permissions.request({ origins }, (granted) => {
+    callback(!chrome.runtime.lastError && !!granted);
+  });
+}
+
+// ── Template library ──────────────────────────────────────────────────────────
+// Edited in memory; written to storage together with everything else on Save.
+
+/** @type {{ templates: Array<{ id: string, name: string, body: string }>, defaultId: string }} */
+let templateLibrary = TEMPLATE.resolveTemplateLibrary({});
+let selectedTemplateId = templateLibrary.defaultId;
+
+function getSelectedTemplate() {
+  return TEMPLATE.pickTemplate(templateLibrary, selectedTemplateId);
+}
+
+function renderTemplateSelect() {
+  templateSelectEl.textContent = '';
+  for (const t of templateLibrary.templates) {
+    const option = document.createElement('option');
+    option.value = t.id;
+    option.textContent = t.id === templateLibrary.defaultId ? `${t.name} (기본)` : t.name;
+    templateSelectEl.appendChild(option);
+  }
+  templateSelectEl.value = selectedTemplateId;
+  btnTemplateDelete.disabled = templateLibrary.templates.length <= 1;
+  btnTemplateDefault.disabled = selectedTemplateId === templateLibrary.defaultId;
+  // Rule cards list template names.
+  renderRuleList();
+}
+
+function selectTemplate(id) {
+  selectedTemplateId = templateLibrary.templates.some((t) => t.id === id) ? id : templateLibrary.defaultId;
+  templateEl.value = getSelectedTemplate().body;
+  renderTemplateSelect();
+}
+
+/** @returns {string|null} trimmed unique name, or null when cancelled/invalid */
+function promptTemplateName(message, initial, ignoreId) {
+  const input = window.prompt(message, initial);
+  if (input === null) return null;
+  const name = input.trim();
+  if (!name) {
+    setStatus('템플릿 이름을 입력하세요.', 'err', 3000);
+    return null;
+  }
+  if (templateLibrary.templates.some((t) => t.id !== ignoreId && t.name === name)) {
+    setStatus(`같은 이름의 템플릿이 이미 있습니다: ${name}`, 'err', 3000);
+    return null;
+  }
+  return name;
+}
+
+function addTemplate(name, body) {
+  const template = { id: crypto.randomUUID(), name, body };
+  templateLibrary.templates.push(template);
+  selectTemplate(template.id);
+  setStatus('템플릿이 추가됐습니다. 저장 버튼을 눌러 적용하세요.', 'inf', 4000);
+}
+
+templateSelectEl.addEventListener('change', () => selectTemplate(templateSelectEl.value));
+
+templateEl.addEventListener('input', () => {
+  getSelectedTemplate().body = templateEl.value;
+});
+
+btnTemplateAdd.addEventListener('click', () => {
+  const name = promptTemplateName('새 템플릿 이름', '');
+  if (name) addTemplate(name, DEFAULT_TEMPLATE);
+});
+
+btnTemplateDuplicate.addEventListener('click', () => {
+  const source = getSelectedTemplate();
+  const name = promptTemplateName('복제할 템플릿 이름', `${source.name} 복사본`);
+  if (name) addTemplate(name, source.body);
+});
+
+btnTemplateRename.addEventListener('click', () => {
+  const template = getSelectedTemplate();
+  const name = promptTemplateName('템플릿 이름 변경', template.name, template.id);
+  if (!name) return;
+  template.name = name;
+  renderTemplateSelect();
+});
+
+btnTemplateDelete.addEventListener('click', () => {
+  const template = getSelectedTemplate();
+  if (templateLibrary.templates.length <= 1) return;
+  if (!window.confirm(`"${template.name}" 템플릿을 삭제할까요?`)) return;
+  templateLibrary.templates = templateLibrary.templates.filter((t) => t.id !== template.id);
+  if (templateLibrary.defaultId === template.id) templateLibrary.defaultId = templateLibrary.templates[0].id;
+  for (const rule of actionRules) {
+    if (rule.templateId === template.id) rule.templateId = '';
+  }
+  selectTemplate(templateLibrary.defaultId);
+  setStatus('템플릿이 삭제됐습니다. 저장 버튼을 눌러 적용하세요.', 'inf', 4000);
+});
+
+btnTemplateDefault.addEventListener('click', () => {
+  templateLibrary.defaultId = selectedTemplateId;
+  renderTemplateSelect();
+  setStatus('기본 템플릿이 변경됐습니다. 저장 버튼을 눌러 적용하세요.', 'inf', 4000);
+});
+
+// ── Action rules ──────────────────────────────────────────────────────────────
+// Same shape the service worker reads from `actionRules` (see normalizeActionRule there).
+
+/** @type {Array<{ id: string, name: string, project: string, branch: string, issuePrefix: string, templateId: string, remoteLink: boolean|null, transition: string }>} */
+let actionRules = [];
+
+const RULE_REMOTE_LINK_OPTIONS = [
+  { value: '', label: '변경 없음' },
+  { value: 'on', label: '추가' },
+  { value: 'off', label: '추가 안 함' },
+];
+
+function buildRuleField(labelText, control) {
+  const wrap = document.createElement('div');
+  const label = document.createElement('label');
+  label.textContent = labelText;
+  wrap.appendChild(label);
+  wrap.appendChild(control);
+  return wrap;
+}
+
+function buildRuleInput(rule, key, placeholder) {
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.spellcheck = false;
+  input.placeholder = placeholder;
+  input.value = rule[key];
+  input.addEventListener('input', () => {
+    rule[key] = input.value;
+  });
+  return input;
+}
+
+function buildRuleSelect(options, value, onChange) {
+  const select = document.createElement('select');
+  for (const opt of options) {
+    const option = document.createElement('option');
+    option.value = opt.value;
+    option.textContent = opt.label;
+    select.appendChild(option);
+  }
+  select.value = value;
+  select.addEventListener('change', () => onChange(select.value));
+  return select;
+}
+
+function buildRuleButton(text, onClick, disabled) {
+  const btn = document.createElement('button');
+  btn.type = 'button';
+  btn.className = 'btn-secondary';
+  btn.textContent = text;
+  btn.disabled = !!disabled;
+  btn.addEventListener('click', onClick);
+  return btn;
+}
+
+function moveRule(index, delta) {
+  const [rule] = actionRules.splice(index, 1);
+  actionRules.splice(index + delta, 0, rule);
+  renderRuleList();
+}
+
+function renderRuleList() {
+  ruleListEl.textContent = '';
+
+  actionRules.forEach((rule, index) => {
+    const card = document.createElement('div');
+    card.className = 'rule-card';
+
+    const templateOptions = [{ value: '', label: '(기본 템플릿)' }]
+      .concat(templateLibrary.templates.map((t) => ({ value: t.id, label: t.name })));
+    const remoteLinkValue = rule.remoteLink === true ? 'on' : rule.remoteLink === false ? 'off' : '';
+
+    card.appendChild(buildRuleField('규칙 이름', buildRuleInput(rule, 'name', `규칙 ${index + 1}`)));
+    card.appendChild(buildRuleField('이슈 키 접두어', buildRuleInput(rule, 'issuePrefix', '예: TF (비우면 모두)')));
+    card.appendChild(buildRuleField('Gerrit 프로젝트', buildRuleInput(rule, 'project', '예: platform/* (비우면 모두)')));
+    card.appendChild(buildRuleField('브랜치', buildRuleInput(rule, 'branch', '예: release/* (비우면 모두)')));
+    card.appendChild(buildRuleField('코멘트 템플릿', buildRuleSelect(templateOptions, rule.templateId, (v) => {
+      rule.templateId = v;
+    })));
+    card.appendChild(buildRuleField('웹링크', buildRuleSelect(RULE_REMOTE_LINK_OPTIONS, remoteLinkValue, (v) => {
+      rule.remoteLink = v === '' ? null : v === 'on';
+    })));
+    card.appendChild(buildRuleField('기본 상태 전환', buildRuleInput(rule, 'transition', '전환 또는 상태 이름 (예: Resolve)')));
+
+    const actions = document.createElement('div');
+    actions.className = 'rule-actions';
+    actions.appendChild(buildRuleButton('위로', () => moveRule(index, -1), index === 0));
+    actions.appendChild(buildRuleButton('아래로', () => moveRule(index, 1), index === actionRules.length - 1));
+    actions.appendChild(buildRuleButton('삭제', () => {
+      actionRules.splice(index, 1);
+      renderRuleList();
+    }));
+    card.appendChild(actions);
+
+    ruleListEl.appendChild(card);
+  });
+}
+
+function loadRules(stored) {
+  actionRules = (Array.isArray(stored) ? stored : [])
+    .filter((r) => r && r.id)
+    .map((r) => ({
+      id: String(r.id),
+      name: String(r.name || ''),
+      project: String(r.project || ''),
+      branch: String(r.branch || ''),
+      issuePrefix: String(r.issuePrefix || ''),
+      templateId: String(r.templateId || ''),
+      remoteLink: typeof r.remoteLink === 'boolean' ? r.remoteLink : null,
+      transition: String(r.transition || ''),
+    }));
+  renderRuleList();
+}
+
+/** @returns {{ ok: true, rules: any[] } | { ok: false, message: string }} */
+function readRules() {
+  const rules = [];
+  for (const [index, rule] of actionRules.entries()) {
+    const issuePrefix = rule.issuePrefix.trim().toUpperCase().replace(/-$/, '');
+    if (issuePrefix && !/^[A-Z][A-Z0-9_]*$/.test(issuePrefix)) {
+      return { ok: false, message: `규칙 ${index + 1}: 이슈 키 접두어가 올바르지 않습니다. (예: TF)` };
+    }
+    rules.push({
+      id: rule.id,
+      name: rule.name.trim() || `규칙 ${index + 1}`,
+      project: rule.project.trim(),
+      branch: rule.branch.trim(),
+      issuePrefix,
+      templateId: templateLibrary.templates.some((t) => t.id === rule.templateId) ? rule.templateId : '',
+      remoteLink: rule.remoteLink,
+      transition: rule.transition.trim(),
+    });
+  }
+  return { ok: true, rules };
+}
+
+btnRuleAdd.addEventListener('click', () => {
+  actionRules.push({
+    id: crypto.randomUUID(),
+    name: '',
+    project: '',
+    branch: '',
+    issuePrefix: '',
+    templateId: '',
+    remoteLink: null,
+    transition: '',
+  });
+  renderRuleList();
+});
+
+// ── Saved JQL ─────────────────────────────────────────────────────────────────
+// Read by the service worker (loadSavedJqlQueries) for the popup issue suggestions.
+
+const SAVED_JQL_MAX = 10;
+
+/** @type {Array<{ id: string, name: string, jql: string }>} */
+let savedJqlQueries = [];
+
+function renderJqlList() {
+  jqlListEl.textContent = '';
+
+  savedJqlQueries.forEach((query, index) => {
+    const card = document.createElement('div');
+    card.className = 'rule-card';
+
+    card.appendChild(buildRuleField('이름', buildRuleInput(query, 'name', `JQL ${index + 1}`)));
+    const jqlField = buildRuleField('JQL', buildRuleInput(query, 'jql', '예: project = TF AND sprint in openSprints() ORDER BY rank'));
+    jqlField.className = 'wide';
+    card.appendChild(jqlField);
+
+    const actions = document.createElement('div');
+    actions.className = 'rule-actions';
+    actions.appendChild(buildRuleButton('삭제', () => {
+      savedJqlQueries.splice(index, 1);
+      renderJqlList();
+    }));
+    card.appendChild(actions);
+
+    jqlListEl.appendChild(card);
+  });
+  btnJqlAdd.disabled = savedJqlQueries.length >= SAVED_JQL_MAX;
+}
+
+function loadJqlQueries(stored) {
+  savedJqlQueries = (Array.isArray(stored) ? stored : [])
+    .filter((q) => q && q.id)
+    .slice(0, SAVED_JQL_MAX)
+    .map((q) => ({ id: String(q.id), name: String(q.name || ''), jql: String(q.jql || '') }));
+  renderJqlList();
+}
+
+/** Rows with an empty JQL are dropped; a nameless row is named after its query. */
+function readJqlQueries() {
+  return savedJqlQueries
+    .filter((q) => q.jql.trim())
+    .map((q) => ({ id: q.id, name: q.name.trim() || q.jql.trim(), jql: q.jql.trim() }));
+}
+
+btnJqlAdd.addEventListener('click', () => {
+  if (savedJqlQueries.length >= SAVED_JQL_MAX) return;
+  savedJqlQueries.push({ id: crypto.randomUUID(), name: '', jql: '' });
+  renderJqlList();
+});
+
+// ── Issue detail fields ───────────────────────────────────────────────────────
+
+function renderIssueDetailFields(enabled) {
+  issueDetailFieldsEl.replaceChildren();
+  for (const field of ISSUE_DETAILS.FIELDS) {
+    const label = document.createElement('label');
+    label.className = 'inline-check';
+    const input = document.createElement('input');
+    input.type = 'checkbox';
+    input.value = field.key;
+    input.checked = enabled.includes(field.key);
+    label.appendChild(input);
+    label.appendChild(document.createTextNode(field.title));
+    issueDetailFieldsEl.appendChild(label);
+  }
+}
+
+function readIssueDetailFields() {
+  return [...issueDetailFieldsEl.querySelectorAll('input[type="checkbox"]')]
+    .filter((input) => input.checked)
+    .map((input) => input.value);
+}
+
+// ── Commit policy ─────────────────────────────────────────────────────────────
+// Same shape the service worker reads from `commitPolicy` (see normalizeCommitPolicy there).
+
+function loadCommitPolicy(stored) {
+  const policy = stored && typeof stored === 'object' ? stored : {};
+  policyEnabledEl.checked = policy.enabled === true;
+  policyRequireKeyEl.checked = policy.requireKey !== false;
+  policyRejectDoneEl.checked = policy.rejectDone !== false;
+  policyProjectsEl.value = (Array.isArray(policy.projects) ? policy.projects : []).join(', ');
+  policyBranchTypesEl.value = (Array.isArray(policy.branchIssueTypes) ? policy.branchIssueTypes : [])
+    .map((entry) => `${entry.branch}: ${(entry.types || []).join(', ')}`)
+    .join('\n');
+}
+
+/** @returns {{ ok: true, policy: any } | { ok: false, message: string }} */
+function readCommitPolicy() {
+  const parsed = parseProjectPrefixes(policyProjectsEl.value);
+  if (!parsed.ok) {
+    return { ok: false, message: `커밋 메시지 정책: 프로젝트 접두어가 올바르지 않습니다. (${parsed.invalid})` };
+  }
+  const projects = parsed.prefixes;
+
+  const branchIssueTypes = [];
+  for (const [index, line] of policyBranchTypesEl.value.split('\n').entries()) {
+    if (!line.trim()) continue;
+    const sep = line.indexOf(':');
+    const branch = sep > 0 ? line.slice(0, sep).trim() : '';
+    const types = sep > 0 ? line.slice(sep + 1).split(',').map((t) => t.trim()).filter(Boolean) : [];
+    if (!branch || types.length === 0) {
+      return { ok: false, message: `커밋 메시지 정책: ${index + 1}번째 줄은 "브랜치: 유형, 유형" 형식이어야 합니다.` };
+    }
+    branchIssueTypes.push({ branch, types });
+  }
+
+  return {
+    ok: true,
+    policy: {
+      enabled: policyEnabledEl.checked,
+      requireKey: policyRequireKeyEl.checked,
+      rejectDone: policyRejectDoneEl.checked,
+      projects,
+      branchIssueTypes,
+    },
+  };
+}
+
 // ── Load saved values on page open ───────────────────────────────────────────
 
 chrome.storage.local.get(
-  ['jiraEmail', 'jiraToken', 'commentTemplate'],
-  ({ jiraEmail, jiraToken, commentTemplate }) => {
+  [
+    'jiraDeployment', 'jiraEmail', 'jiraToken', 'adfSmartLink', 'issueLinkProjects', 'actionRules', 'savedJqlQueries', ISSUE_DETAILS.STORAGE_KEY,
+    'autoSyncEnabled', 'autoSyncTransition', 'autoSyncTransitionName', 'gerritHashtagMode', 'issueHovercardsEnabled', 'commitPolicy',
+    ...TEMPLATE.LIBRARY_STORAGE_KEYS, ...SITE.STORAGE_KEYS,
+  ],
+  ({
+    jiraDeployment, jiraEmail, jiraToken, adfSmartLink, issueLinkProjects, actionRules: storedRules, savedJqlQueries: storedJql,
+    [ISSUE_DETAILS.STORAGE_KEY]: issueDetailFields,
+    autoSyncEnabled, autoSyncTransition, autoSyncTransitionName, gerritHashtagMode, issueHovercardsEnabled, commitPolicy,
+    commentTemplates, defaultTemplateId, commentTemplate, ...siteData
+  }) => {
+    deploymentEl.value = jiraDeployment === 'server' ? 'server' : 'cloud';
+    syncDeploymentFields();
+    const site = SITE.resolveSiteConfig(siteData);
+    jiraBaseEl.value = site.jiraBaseUrl;
+    gerritOriginsEl.value = site.gerritOrigins.join('\n');
     if (jiraEmail) emailEl.value = jiraEmail;
     if (jiraToken) tokenEl.value = jiraToken;
-    // Show saved template; initialize with default when not set yet.
-    templateEl.value = commentTemplate ?? DEFAULT_TEMPLATE;
+    // Older versions stored a single `commentTemplate`; it becomes the first library entry.
+    templateLibrary = TEMPLATE.resolveTemplateLibrary({ commentTemplates, defaultTemplateId, commentTemplate });
+    loadRules(storedRules);
+    selectTemplate(templateLibrary.defaultId);
+    smartLinkEl.checked = adfSmartLink === true;
+    issueLinkProjectsEl.value = (Array.isArray(issueLinkProjects) ? issueLinkProjects : []).join(', ');
+    renderIssueDetailFields(ISSUE_DETAILS.resolveFields(issueDetailFields));
+    loadJqlQueries(storedJql);
+    autoSyncEnabledEl.checked = autoSyncEnabled === true;
+    autoSyncTransitionEl.checked = autoSyncTransition === true;
+    autoSyncTransitionNameEl.value = autoSyncTransitionName || '';
+    gerritHashtagModeEl.value = ['key', 'status', 'both'].includes(gerritHashtagMode) ? gerritHashtagMode : 'none';
+    issueHovercardsEnabledEl.checked = issueHovercardsEnabled !== false;
+    loadCommitPolicy(commitPolicy);
   },
 );
 
 // ── Save ──────────────────────────────────────────────────────────────────────
 
 btnSave.addEventListener('click', () => {
+  const deployment = isServerDeployment() ? 'server' : 'cloud';
   const email = emailEl.value.trim();
   const token = tokenEl.value.trim();
 
-  if ((email && !token) || (!email && token)) {
+  if (deployment === 'cloud' && ((email && !token) || (!email && token))) {
     setStatus('이메일과 토큰은 함께 입력하거나 둘 다 비워두세요.', 'err');
     return;
   }
@@ -73,35 +584,91 @@ btnSave.addEventListener('click', () => {
     return;
   }
 
-  // commentTemplate: empty string means "use default" (service worker handles this)
-  const templateVal = templateEl.value; // preserve as-is, including empty
+  const site = readSiteConfigFields();
+  if (!site.ok) {
+    setStatus(site.message, 'err');
+    return;
+  }
+
+  // Template bodies are kept as-is; an empty body means "use default" (service worker handles this)
+  for (const template of templateLibrary.templates) {
+    const templateErrors = TEMPLATE.validateTemplate(template.body);
+    if (templateErrors.length > 0) {
+      selectTemplate(template.id);
+      setStatus(`템플릿 "${template.name}" 오류로 저장하지 않았습니다.\n${templateErrors.slice(0, 5).join('\n')}`, 'err');
+      templateEl.focus();
+      return;
+    }
+  }
+
+  const linkProjects = parseProjectPrefixes(issueLinkProjectsEl.value);
+  if (!linkProjects.ok) {
+    setStatus(`이슈 키 링크 프로젝트 접두어가 올바르지 않습니다. (${linkProjects.invalid})`, 'err');
+    issueLinkProjectsEl.focus();
+    return;
+  }
+
+  const rules = readRules();
+  if (!rules.ok) {
+    setStatus(rules.message, 'err');
+    return;
+  }
+
+  const commitPolicy = readCommitPolicy();
+  if (!commitPolicy.ok) {
+    setStatus(commitPolicy.message, 'err');
+    return;
+  }
 
-  const payload = { commentTemplate: templateVal };
-  if (email && token) {
-    payload.jiraEmail = email;
+  const payload = {
+    jiraDeployment: deployment,
+    commentTemplates: templateLibrary.templates.map(({ id, name, body }) => ({ id, name, body })),
+    defaultTemplateId: templateLibrary.defaultId,
+    actionRules: rules.rules,
+    savedJqlQueries: readJqlQueries(),
+    autoSyncEnabled: autoSyncEnabledEl.checked,
+    autoSyncTransition: autoSyncTransitionEl.checked,
+    autoSyncTransitionName: autoSyncTransitionNameEl.value.trim(),
+    gerritHashtagMode: gerritHashtagModeEl.value,
+    issueHovercardsEnabled: issueHovercardsEnabledEl.checked,
+    commitPolicy: commitPolicy.policy,
+    adfSmartLink: smartLinkEl.checked,
+    issueLinkProjects: linkProjects.prefixes,
+    [ISSUE_DETAILS.STORAGE_KEY]: readIssueDetailFields(),
+    jiraBaseUrl: site.jiraBaseUrl,
+    gerritOrigins: site.gerritOrigins,
+  };
+  if (token) {
     payload.jiraToken = token;
+    if (email) payload.jiraEmail = email;
   }
 
-  // Persisted to local storage only — no sync, no logging.
-  chrome.storage.local.set(payload, () => {
-    if (chrome.runtime.lastError) {
-      setStatus('저장 중 오류가 발생했습니다.', 'err');
+  requestHostPermissions([site.jiraBaseUrl, ...site.gerritOrigins], (granted) => {
+    if (!granted) {
+      setStatus('Jira/Gerrit 주소 접근 권한이 허용되지 않아 저장하지 않았습니다.', 'err');
       return;
     }
 
-    // When fields are empty, clear previously saved credentials.
-    if (!email && !token) {
-      chrome.storage.local.remove(['jiraEmail', 'jiraToken'], () => {
+    // Persisted to local storage only — no sync, no logging.
+    chrome.storage.local.set(payload, () => {
+      if (chrome.runtime.lastError) {
+        setStatus('저장 중 오류가 발생했습니다.', 'err');
+        return;
+      }
+
+      // When fields are empty, clear previously saved credentials.
+      // The legacy single template has been folded into commentTemplates.
+      const cleared = ['commentTemplate'];
+      if (!token) cleared.push('jiraToken');
+      if (!email) cleared.push('jiraEmail');
+      chrome.storage.local.remove(cleared, () => {
         if (chrome.runtime.lastError) {
           setStatus('저장 중 오류가 발생했습니다.', 'err');
           return;
         }
         setStatus('저장되었습니다.', 'ok', 3000);
       });
-      return;
-    }
-
-    setStatus('저장되었습니다.', 'ok', 3000);
+    });
   });
 });
 
@@ -109,6 +676,7 @@ btnSave.addEventListener('click', () => {
 
 btnReset.addEventListener('click', () => {
   templateEl.value = DEFAULT_TEMPLATE;
+  getSelectedTemplate().body = DEFAULT_TEMPLATE;
   setStatus('기본 템플릿으로 초기화됐습니다. 저장 버튼을 눌러 적용하세요.', 'inf', 4000);
 });
 
@@ -117,15 +685,33 @@ btnReset.addEventListener('click', () => {
 // This page only sends the current field values and receives the HTTP status.
 
 btnTest.addEventListener('click', async () => {
+  const deployment = isServerDeployment() ? 'server' : 'cloud';
   const email = emailEl.value.trim();
   const token = tokenEl.value.trim();
+  const jiraBaseUrl = SITE.normalizeJiraBaseUrl(jiraBaseEl.value);
 
-  if (!email || !token) {
-    setStatus('이메일과 토큰을 입력한 뒤 테스트하세요.', 'err');
+  if (!token || (deployment === 'cloud' && !email)) {
+    setStatus(deployment === 'server' ? 'PAT를 입력한 뒤 테스트하세요.' : '이메일과 토큰을 입력한 뒤 테스트하세요.', 'err');
+    return;
+  }
+  if (!jiraBaseUrl) {
+    setStatus('Jira 사이트 URL을 http(s):// 형식으로 입력하세요.', 'err');
+    return;
+  }
+  if (!isGrantableUrl(jiraBaseUrl)) {
+    setStatus('Jira 사이트 URL은 https:// 주소만 사용할 수 있습니다.', 'err');
     return;
   }
 
   btnTest.disabled = true;
+
+  const granted = await new Promise((resolve) => requestHostPermissions([jiraBaseUrl], resolve));
+  if (!granted) {
+    setStatus('Jira 사이트 접근 권한이 허용되지 않았습니다.', 'err');
+    btnTest.disabled = false;
+    return;
+  }
+
   setStatus('테스트 중…', 'inf');
 
   let result;
@@ -134,7 +720,7 @@ btnTest.addEventListener('click', async () => {
     // The service worker discards the response body and returns only { status }.
     result = await new Promise((resolve, reject) => {
       chrome.runtime.sendMessage(
-        { type: MSG.TEST_CONNECTION, email, token },
+        { type: MSG.TEST_CONNECTION, email, token, jiraBaseUrl, deployment },
         (response) => {
           if (chrome.runtime.lastError) {
             reject(new Error(chrome.runtime.lastError.message));
@@ -150,12 +736,18 @@ btnTest.addEventListener('click', async () => {
     return;
   }
 
-  if (result.networkError) {
+  if (result.invalidBase) {
+    setStatus('Jira 사이트 URL이 올바르지 않습니다.', 'err');
+  } else if (result.missingPermission) {
+    setStatus('Jira 사이트 접근 권한이 없습니다.', 'err');
+  } else if (result.networkError) {
     setStatus('네트워크 오류: 인터넷 연결을 확인하세요.', 'err');
   } else if (result.status === 200) {
     setStatus('연결 성공 (200 OK) — 인증이 정상입니다.', 'ok');
   } else if (result.status === 401) {
-    setStatus('인증 실패 (401) — 이메일 또는 토큰을 확인하세요.', 'err');
+    setStatus(deployment === 'server'
+      ? '인증 실패 (401) — PAT를 확인하세요.'
+      : '인증 실패 (401) — 이메일 또는 토큰을 확인하세요.', 'err');
   } else if (result.status === 403) {
     setStatus('권한 부족 (403) — 계정에 API 접근 권한이 없습니다.', 'err');
   } else {
@@ -164,3 +756,134 @@ btnTest.addEventListener('click', async () => {
 
   btnTest.disabled = false;
 });
+
+// ── Action history ────────────────────────────────────────────────────────────
+// Read straight from chrome.storage.local; the service worker is the only writer.
+
+const historySearchEl = /** @type {HTMLInputElement} */ (document.getElementById('history-search'));
+const historyBodyEl   = document.getElementById('history-body');
+const historyCountEl  = document.getElementById('history-count');
+const btnExportCsv    = document.getElementById('btn-export-csv');
+const btnExportJson   = document.getElementById('btn-export-json');
+const btnClearHistory = document.getElementById('btn-clear-history');
+
+const HISTORY_RENDER_LIMIT = 500;
+const HISTORY_COLUMNS = ['timestamp', 'issueKey', 'changeNum', 'patchset', 'project', 'branch', 'action', 'status', 'detail', 'source'];
+const HISTORY_ACTION_LABELS = {
+  link: '웹링크', comment: '코멘트', transition: '상태 전환', create: '이슈 생성', undo: '되돌리기',
+  gerrit: 'Gerrit 메시지',
+};
+const HISTORY_SOURCE_LABELS = { queue: '재시도', auto: '자동', batch: '일괄', backfill: '백필' };
+const HISTORY_STATUS_LABELS = { success: '성공', failed: '실패', queued: '대기열', skipped: '건너뜀' };
+
+/** @type {Array<Record<string, any>>} */
+let historyEntries = [];
+
+function formatHistoryTime(ms) {
+  const d = new Date(ms);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())} ${pad(d.getHours())}:${pad(d.getMinutes())}:${pad(d.getSeconds())}`;
+}
+
+function formatHistoryAction(e) {
+  const action = HISTORY_ACTION_LABELS[e.action] || e.action;
+  return HISTORY_SOURCE_LABELS[e.source] ? `${action} (${HISTORY_SOURCE_LABELS[e.source]})` : action;
+}
+
+function getFilteredHistory() {
+  const q = historySearchEl.value.trim().toLowerCase();
+  const newestFirst = [...historyEntries].reverse();
+  if (!q) return newestFirst;
+
+  return newestFirst.filter((e) => [
+    e.issueKey, e.changeNum, e.project, e.branch, e.action, e.status, e.detail,
+    HISTORY_ACTION_LABELS[e.action], HISTORY_STATUS_LABELS[e.status], HISTORY_SOURCE_LABELS[e.source],
+  ].some((v) => String(v || '').toLowerCase().includes(q)));
+}
+
+function renderHistoryTable() {
+  const rows = getFilteredHistory();
+  historyBodyEl.textContent = '';
+
+  for (const e of rows.slice(0, HISTORY_RENDER_LIMIT)) {
+    const tr = document.createElement('tr');
+    const cells = [
+      formatHistoryTime(e.timestamp),
+      e.issueKey,
+      e.changeNum,
+      e.patchset,
+      formatHistoryAction(e),
+      HISTORY_STATUS_LABELS[e.status] || e.status,
+      e.detail,
+    ];
+    for (const value of cells) {
+      const td = document.createElement('td');
+      td.textContent = value || '';
+      tr.appendChild(td);
+    }
+    historyBodyEl.appendChild(tr);
+  }
+
+  const shown = Math.min(rows.length, HISTORY_RENDER_LIMIT);
+  historyCountEl.textContent = rows.length > shown
+    ? `${rows.length}건 중 최근 ${shown}건 표시 (내보내기는 전체 포함)`
+    : `${rows.length}건`;
+}
+
+function loadHistory() {
+  chrome.storage.local.get(['actionHistory'], ({ actionHistory }) => {
+    historyEntries = Array.isArray(actionHistory) ? actionHistory : [];
+    renderHistoryTable();
+  });
+}
+
+function toCsvValue(value) {
+  const text = String(value ?? '');
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function downloadFile(filename, mime, content) {
+  const url = URL.createObjectURL(new Blob([content], { type: mime }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function exportRows() {
+  return getFilteredHistory().map((e) => {
+    const row = {};
+    for (const col of HISTORY_COLUMNS) {
+      row[col] = col === 'timestamp' ? new Date(e.timestamp).toISOString() : (e[col] ?? '');
+    }
+    return row;
+  });
+}
+
+btnExportCsv.addEventListener('click', () => {
+  const rows = exportRows();
+  const lines = [HISTORY_COLUMNS.join(',')]
+    .concat(rows.map((row) => HISTORY_COLUMNS.map((col) => toCsvValue(row[col])).join(',')));
+  // BOM so Excel opens Korean text as UTF-8.
+  downloadFile('gerrit-jira-history.csv', 'text/csv;charset=utf-8', `\uFEFF${lines.join('\r\n')}`);
+});
+
+btnExportJson.addEventListener('click', () => {
+  downloadFile('gerrit-jira-history.json', 'application/json', JSON.stringify(exportRows(), null, 2));
+});
+
+btnClearHistory.addEventListener('click', () => {
+  if (!window.confirm('작업 기록을 모두 삭제할까요?')) return;
+  chrome.storage.local.remove(['actionHistory'], () => {
+    setStatus('작업 기록을 삭제했습니다.', 'inf', 3000);
+  });
+});
+
+historySearchEl.addEventListener('input', renderHistoryTable);
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && changes.actionHistory) loadHistory();
+});
+
+loadHistory();
@@ -1,24 +1,83 @@
 'use strict';
 
 const MSG = self.MESSAGE_TYPES;
+const SITE = self.SITE_CONFIG;
+const MARKDOWN = self.MARKDOWN_ADF;
+const ISSUE_DETAILS = self.ISSUE_DETAILS;
 
 const subjectEl = document.getElementById('subject');
 const issueCardEl = document.getElementById('issue-card');
 const issueSummaryEl = document.getElementById('issue-summary');
 const issueStatusEl = document.getElementById('issue-status');
 const issueAssigneeEl = document.getElementById('issue-assignee');
+const issueDetailsEl = document.getElementById('issue-details');
+const issueLinkBadgeEl = document.getElementById('issue-link-badge');
 const statusEl = document.getElementById('status');
 const btnRefresh = document.getElementById('btn-refresh');
 const btnLink = document.getElementById('btn-link');
 const btnComment = document.getElementById('btn-comment');
+const commentDupEl = document.getElementById('comment-dup');
+const commentDupTextEl = document.getElementById('comment-dup-text');
+const btnCommentUpdate = document.getElementById('btn-comment-update');
+const btnCommentNew = document.getElementById('btn-comment-new');
+const btnCommentCancel = document.getElementById('btn-comment-cancel');
+const commentPreviewEl = document.getElementById('comment-preview');
+const commentPreviewHeadEl = document.getElementById('comment-preview-head');
+const commentPreviewTemplateEl = document.getElementById('comment-preview-template');
+const commentPreviewKeyEl = document.getElementById('comment-preview-key');
+const commentPreviewTextEl = document.getElementById('comment-preview-text');
+const commentPreviewRenderEl = document.getElementById('comment-preview-render');
+const btnCommentPost = document.getElementById('btn-comment-post');
+const btnCommentPreviewCancel = document.getElementById('btn-comment-preview-cancel');
+const btnCreateIssue = document.getElementById('btn-create-issue');
+const btnPostGerrit = document.getElementById('btn-post-gerrit');
+const createIssueEl = document.getElementById('create-issue');
+const createProjectEl = document.getElementById('create-project');
+const createIssueTypeEl = document.getElementById('create-issue-type');
+const createAssigneeEl = document.getElementById('create-assignee');
+const createSummaryEl = document.getElementById('create-summary');
+const createDescriptionEl = document.getElementById('create-description');
+const btnCreateSubmit = document.getElementById('btn-create-submit');
+const btnCreateCancel = document.getElementById('btn-create-cancel');
 const fabEnabledEl = document.getElementById('fab-enabled');
 const btnOptions = document.getElementById('btn-options');
 const issueKeyInputEl = document.getElementById('issue-key-input');
 const btnOpenIssue = document.getElementById('btn-open-issue');
+const issueKeyListEl = document.getElementById('issue-key-list');
+const issueSuggestEl = document.getElementById('issue-suggest');
+const transitionRowEl = document.getElementById('transition-row');
+const transitionSelectEl = document.getElementById('transition-select');
+const transitionFieldsEl = document.getElementById('transition-fields');
+const transitionRuleEl = document.getElementById('transition-rule');
+const commentPreviewRuleEl = document.getElementById('comment-preview-rule');
+const btnTransition = document.getElementById('btn-transition');
+const historyPanelEl = document.getElementById('history-panel');
+const historyListEl = document.getElementById('history-list');
+const queuePanelEl = document.getElementById('queue-panel');
+const queueListEl = document.getElementById('queue-list');
 
 let currentContext = null;
 let authConfigured = true;
-const JIRA_BASE = 'https://thinkfree.atlassian.net';
+let currentTransitions = [];
+let issueKeyOptions = [];
+/** issueKey → { id, name } of the action rule that applies, from POPUP_GET_CONTEXT */
+let appliedRules = {};
+let pendingDuplicateKeys = [];
+/** issueKey → { commentText, templateId } posted with the last comment request */
+let pendingDrafts = {};
+/** One { issueKey, text, templateId, rule } per key, edited independently. */
+let commentPreviews = [];
+let commentPreviewIndex = 0;
+let commentPreviewFormat = null;
+let jiraBaseUrl = SITE.DEFAULTS.jiraBaseUrl;
+const ISSUE_SUGGEST_DELAY_MS = 300;
+let issueSuggestTimer = null;
+/** Bumped per search so a slow response for older input is dropped. */
+let issueSuggestSeq = 0;
+let issueSuggestButtons = [];
+let issueSuggestActive = -1;
+/** Last used project/issue type from POPUP_GET_CREATE_META; null until the project list is loaded. */
+let createIssueDefaults = null;
 
 function setStatus(message, cls) {
   statusEl.textContent = message;
@@ -38,9 +97,15 @@ function syncActionButtons() {
   issueKeyInputEl.disabled = false;
   btnRefresh.disabled = false;
   const key = getEffectiveIssueKey();
-  btnLink.disabled = !authConfigured || !key;
-  btnComment.disabled = !authConfigured || !key;
+  const targets = getSelectedIssueKeys();
+  btnLink.disabled = !authConfigured || targets.length === 0;
+  btnComment.disabled = !authConfigured || targets.length === 0;
+  btnCreateIssue.disabled = !authConfigured || !currentContext;
+  btnPostGerrit.disabled = !authConfigured || targets.length === 0;
+  btnCreateSubmit.disabled = !authConfigured || !createIssueTypeEl.value;
   btnOpenIssue.disabled = !key;
+  transitionSelectEl.disabled = !authConfigured || currentTransitions.length === 0;
+  btnTransition.disabled = !authConfigured || !key || currentTransitions.length === 0;
 }
 
 function setActionBusy(isBusy) {
@@ -48,6 +113,10 @@ function setActionBusy(isBusy) {
     btnRefresh.disabled = true;
     btnLink.disabled = true;
     btnComment.disabled = true;
+    btnCreateIssue.disabled = true;
+    btnPostGerrit.disabled = true;
+    btnCreateSubmit.disabled = true;
+    btnTransition.disabled = true;
     return;
   }
   syncActionButtons();
@@ -59,9 +128,106 @@ function renderContext(context) {
   if (!issueKeyInputEl.value && context.issueKey) {
     issueKeyInputEl.value = context.issueKey;
   }
+
+  const manual = issueKeyOptions.filter((opt) => opt.source === 'manual' || opt.source === 'created');
+  issueKeyOptions = (context.issueKeys || []).map((item) => ({
+    key: item.key,
+    source: item.source,
+    checked: true,
+  }));
+  manual.forEach((opt) => {
+    if (!issueKeyOptions.some((o) => o.key === opt.key)) issueKeyOptions.push(opt);
+  });
+  renderIssueKeyList();
   syncActionButtons();
 }
 
+const ISSUE_KEY_SOURCE_LABELS = {
+  'jira-tag': 'JIRA:',
+  subject: '제목',
+  footer: '푸터',
+  page: '페이지',
+  manual: '직접 입력',
+  created: '새 이슈',
+};
+
+function renderIssueKeyList() {
+  issueKeyListEl.textContent = '';
+  issueKeyListEl.style.display = issueKeyOptions.length > 0 ? 'grid' : 'none';
+
+  for (const opt of issueKeyOptions) {
+    const row = document.createElement('label');
+    row.className = 'key-item';
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = opt.checked;
+    checkbox.addEventListener('change', () => {
+      opt.checked = checkbox.checked;
+      syncActionButtons();
+    });
+
+    const keyBtn = document.createElement('button');
+    keyBtn.type = 'button';
+    keyBtn.className = 'key-link';
+    keyBtn.textContent = opt.key;
+    keyBtn.title = '이 이슈 조회';
+    keyBtn.addEventListener('click', (e) => {
+      e.preventDefault();
+      issueKeyInputEl.value = opt.key;
+      syncActionButtons();
+      fetchIssue();
+    });
+
+    const source = document.createElement('span');
+    source.className = 'key-source';
+    source.textContent = ISSUE_KEY_SOURCE_LABELS[opt.source] || opt.source || '';
+
+    row.appendChild(checkbox);
+    row.appendChild(keyBtn);
+    row.appendChild(source);
+    if (appliedRules[opt.key]) {
+      const rule = document.createElement('span');
+      rule.className = 'key-rule';
+      rule.textContent = `규칙: ${appliedRules[opt.key].name}`;
+      row.appendChild(rule);
+    }
+    issueKeyListEl.appendChild(row);
+  }
+}
+
+function addManualIssueKeyOption(key, source = 'manual') {
+  if (!isValidIssueKey(key) || issueKeyOptions.some((o) => o.key === key)) return;
+  issueKeyOptions.push({ key, source, checked: true });
+  renderIssueKeyList();
+}
+
+// Link/comment targets: every checked key, plus a typed key that is not listed yet.
+function getSelectedIssueKeys() {
+  const keys = issueKeyOptions.filter((o) => o.checked).map((o) => o.key);
+  const typed = normalizeIssueKey(issueKeyInputEl.value);
+  if (isValidIssueKey(typed) && !issueKeyOptions.some((o) => o.key === typed)) {
+    keys.push(typed);
+  }
+  return keys;
+}
+
+function formatResultSummary(results, labels) {
+  return results
+    .map((r) => {
+      if (r.skipped) return `– ${r.issueKey}: ${r.message}`;
+      if (r.ok) return `✔ ${r.issueKey}: ${r.updated ? labels.updated : labels.created}`;
+      return `✖ ${r.issueKey}: ${r.message || labels.failed}`;
+    })
+    .join('\n');
+}
+
+function resultStatusClass(results) {
+  const okCount = results.filter((r) => r.ok).length;
+  if (okCount === results.length) return 'ok';
+  return okCount > 0 ? 'warn' : 'err';
+}
+
 function normalizeIssueKey(key) {
   return String(key || '').trim().toUpperCase();
 }
@@ -79,7 +245,7 @@ function getEffectiveIssueKey() {
 }
 
 function buildIssueUrl(issueKey) {
-  return `${JIRA_BASE}/browse/${encodeURIComponent(issueKey)}`;
+  return `${jiraBaseUrl}/browse/${encodeURIComponent(issueKey)}`;
 }
 
 function loadFabSetting() {
@@ -102,15 +268,125 @@ async function loadAuthState() {
   syncActionButtons();
 }
 
-function renderIssueCard(issue) {
+function renderIssueCard(issue, displayFields) {
   issueSummaryEl.textContent = issue.summary || '(제목 없음)';
-  issueStatusEl.textContent = `Status: ${issue.status || '-'}`;
+  issueStatusEl.textContent = 'Status: ';
+  issueStatusEl.appendChild(ISSUE_DETAILS.renderStatusLozenge(issue, document));
   issueAssigneeEl.textContent = `Assignee: ${issue.assignee || 'Unassigned'}`;
+  issueDetailsEl.replaceChildren(
+    ISSUE_DETAILS.renderIssueDetails(issue, displayFields || ISSUE_DETAILS.DEFAULT_FIELDS, document),
+  );
   issueCardEl.style.display = 'block';
 }
 
+function renderLinkBadge(linked) {
+  if (linked === true) {
+    issueLinkBadgeEl.textContent = 'Gerrit 링크: 연결됨';
+    issueLinkBadgeEl.className = 'badge ok';
+  } else if (linked === false) {
+    issueLinkBadgeEl.textContent = 'Gerrit 링크: 연결 안 됨';
+    issueLinkBadgeEl.className = 'badge warn';
+  } else {
+    issueLinkBadgeEl.textContent = 'Gerrit 링크: 확인 불가';
+    issueLinkBadgeEl.className = 'badge';
+  }
+}
+
+async function loadLinkState(issueKey) {
+  try {
+    const resp = await sendMessage({ type: MSG.POPUP_GET_LINK_STATE, issueKeyOverride: issueKey });
+    renderLinkBadge(resp?.ok ? resp.linked : null);
+  } catch {
+    renderLinkBadge(null);
+  }
+}
+
 function hideIssueCard() {
   issueCardEl.style.display = 'none';
+  renderTransitions([]);
+}
+
+function getSelectedTransition() {
+  return currentTransitions.find((t) => t.id === transitionSelectEl.value) || null;
+}
+
+function renderTransitions(transitions, defaultTransitionId, rule) {
+  currentTransitions = Array.isArray(transitions) ? transitions : [];
+  transitionSelectEl.textContent = '';
+
+  for (const t of currentTransitions) {
+    const option = document.createElement('option');
+    option.value = t.id;
+    option.textContent = t.to && t.to !== t.name ? `${t.name} → ${t.to}` : t.name;
+    transitionSelectEl.appendChild(option);
+  }
+  if (defaultTransitionId) transitionSelectEl.value = defaultTransitionId;
+  transitionRuleEl.textContent = rule ? `규칙 "${rule.name}"의 기본 전환이 선택되었습니다.` : '';
+  transitionRuleEl.style.display = rule ? 'block' : 'none';
+
+  transitionRowEl.style.display = currentTransitions.length > 0 ? 'block' : 'none';
+  renderTransitionFields(getSelectedTransition());
+  syncActionButtons();
+}
+
+function buildTransitionFieldInput(field) {
+  if (field.kind === 'select' || field.kind === 'multiselect') {
+    const select = document.createElement('select');
+    select.multiple = field.kind === 'multiselect';
+    if (!select.multiple) {
+      const empty = document.createElement('option');
+      empty.value = '';
+      empty.textContent = field.required ? '선택하세요' : '(선택 안 함)';
+      select.appendChild(empty);
+    }
+    for (const opt of field.options) {
+      const option = document.createElement('option');
+      option.value = opt.id;
+      option.textContent = opt.name;
+      select.appendChild(option);
+    }
+    return select;
+  }
+
+  const input = document.createElement('input');
+  input.type = field.kind === 'number' ? 'number' : 'text';
+  return input;
+}
+
+function renderTransitionFields(transition) {
+  transitionFieldsEl.textContent = '';
+  if (!transition) return;
+
+  for (const field of transition.fields) {
+    const wrap = document.createElement('div');
+    wrap.className = 'field';
+
+    const id = `transition-field-${field.key}`;
+    const label = document.createElement('label');
+    label.htmlFor = id;
+    label.textContent = field.required ? `${field.name} *` : field.name;
+
+    const input = buildTransitionFieldInput(field);
+    input.id = id;
+    input.dataset.fieldKey = field.key;
+
+    wrap.appendChild(label);
+    wrap.appendChild(input);
+    transitionFieldsEl.appendChild(wrap);
+  }
+}
+
+function collectTransitionFieldValues() {
+  const values = {};
+  for (const el of transitionFieldsEl.querySelectorAll('[data-field-key]')) {
+    const key = el.dataset.fieldKey;
+    if (el.multiple) {
+      values[key] = Array.from(el.selectedOptions).map((o) => o.value);
+    } else {
+      values[key] = el.value;
+    }
+  }
+  return values;
 }
 
 function sendMessage(msg) {
@@ -137,10 +413,11 @@ async function loadContext() {
       return false;
     }
 
+    appliedRules = resp.rules || {};
     renderContext(resp.context);
     if (!getEffectiveIssueKey()) {
       hideIssueCard();
-      setStatus('Issue key를 입력하거나 자동 감지를 확인하세요.', 'warn');
+      setStatus('Issue key를 입력하거나 자동 감지를 확인하세요.\n해당 이슈가 없으면 `새 이슈 만들기`로 만들 수 있습니다.', 'warn');
       return true;
     }
     setStatus('컨텍스트 확인 완료. 이슈 조회를 실행합니다.', 'ok');
@@ -204,8 +481,9 @@ async function fetchIssue() {
       return;
     }
 
-    renderIssueCard(resp.issue);
+    renderIssueCard(resp.issue, resp.displayFields);
     setStatus(`이슈 조회 완료: ${issueKey}`, 'ok');
+    await Promise.all([loadLinkState(issueKey), loadTransitions(issueKey)]);
   } catch {
     setStatus('요청 중 오류가 발생했습니다.', 'err');
   } finally {
@@ -218,21 +496,79 @@ async function addRemoteLink() {
     setStatus('Jira 인증이 없어 웹링크 추가는 비활성화되었습니다.', 'warn');
     return;
   }
-  const issueKey = getEffectiveIssueKey();
-  if (!issueKey) {
+  const issueKeys = getSelectedIssueKeys();
+  if (issueKeys.length === 0) {
     setStatus('이슈키를 먼저 확인하세요.', 'warn');
     return;
   }
 
   setActionBusy(true);
-  setStatus('웹링크 추가 중...', '');
+  setStatus(`웹링크 추가 중... (${issueKeys.join(', ')})`, '');
   try {
-    const resp = await sendMessage({ type: MSG.POPUP_ADD_REMOTE_LINK, issueKeyOverride: issueKey });
-    if (!resp?.ok) {
+    const resp = await sendMessage({ type: MSG.POPUP_ADD_REMOTE_LINK, issueKeys });
+    if (!Array.isArray(resp?.results)) {
       setStatus(resp?.message || '웹링크 추가에 실패했습니다.', 'err');
       return;
     }
-    setStatus(`웹링크 추가 완료: ${issueKey}`, 'ok');
+
+    const active = getEffectiveIssueKey();
+    const activeResult = resp.results.find((r) => r.issueKey === active);
+    if (activeResult?.ok && !activeResult.skipped && issueCardEl.style.display !== 'none') renderLinkBadge(true);
+
+    let summary = formatResultSummary(resp.results, {
+      created: '웹링크 추가 완료',
+      updated: '기존 웹링크 업데이트 완료',
+      failed: '웹링크 추가에 실패했습니다.',
+    });
+    let cls = resultStatusClass(resp.results);
+
+    if (resp.undetectedKeys?.length) {
+      const note = resp.detectedLinkedKeys?.length
+        ? `이 change는 커밋에서 감지된 ${resp.detectedLinkedKeys.join(', ')}에도 이미 연결되어 있습니다.`
+        : `커밋에서 감지된 이슈는 ${resp.detectedKeys.join(', ')}입니다. 올바른 이슈인지 확인하세요.`;
+      summary = `${summary}\n${note}`;
+      if (cls === 'ok') cls = 'warn';
+    }
+    setStatus(summary, cls);
+  } catch {
+    setStatus('요청 중 오류가 발생했습니다.', 'err');
+  } finally {
+    setActionBusy(false);
+  }
+}
+
+async function postToGerrit() {
+  if (!authConfigured) {
+    setStatus('Jira 인증이 없어 Gerrit 게시는 비활성화되었습니다.', 'warn');
+    return;
+  }
+  const issueKeys = getSelectedIssueKeys();
+  if (issueKeys.length === 0) {
+    setStatus('이슈키를 먼저 확인하세요.', 'warn');
+    return;
+  }
+
+  setActionBusy(true);
+  setStatus(`Gerrit에 게시 중... (${issueKeys.join(', ')})`, '');
+  try {
+    const resp = await sendMessage({ type: MSG.POPUP_POST_TO_GERRIT, issueKeys });
+    if (!Array.isArray(resp?.results)) {
+      setStatus(resp?.message || 'Gerrit 메시지 작성에 실패했습니다.', 'err');
+      return;
+    }
+
+    let summary = formatResultSummary(resp.results, {
+      created: 'Gerrit 메시지 작성 완료',
+      updated: 'Gerrit 메시지 작성 완료',
+      failed: 'Gerrit 메시지 작성에 실패했습니다.',
+    });
+    let cls = resultStatusClass(resp.results);
+    if (resp.hashtags?.length) summary = `${summary}\n해시태그: ${resp.hashtags.join(', ')}`;
+    if (resp.hashtagMessage) {
+      summary = `${summary}\n${resp.hashtagMessage}`;
+      if (cls === 'ok') cls = 'warn';
+    }
+    setStatus(summary, cls);
   } catch {
     setStatus('요청 중 오류가 발생했습니다.', 'err');
   } finally {
@@ -240,26 +576,178 @@ async function addRemoteLink() {
   }
 }
 
-async function addComment() {
+function showCommentDuplicateChoice(duplicates) {
+  pendingDuplicateKeys = duplicates.map((d) => d.issueKey);
+  const lines = duplicates.map((d) => {
+    const when = d.existing?.updated || d.existing?.created || '';
+    const patchset = d.existing?.patchset ? `Patchset ${d.existing.patchset}` : '';
+    const detail = [patchset, when].filter(Boolean).join(', ');
+    return `- ${d.issueKey}${detail ? ` (${detail})` : ''}`;
+  });
+  commentDupTextEl.textContent =
+    `이 change의 코멘트가 이미 있습니다.\n${lines.join('\n')}\n기존 코멘트를 업데이트하거나 새로 작성하세요.`;
+  commentDupEl.style.display = 'block';
+}
+
+function hideCommentDuplicateChoice() {
+  commentDupEl.style.display = 'none';
+}
+
+// Mirrors COMMENT_FORMATS in the service worker so the preview matches what Jira renders.
+function renderCommentPreview() {
+  const text = commentPreviewTextEl.value;
+  commentPreviewRenderEl.textContent = '';
+  if (commentPreviewFormat?.deployment === 'cloud') {
+    commentPreviewRenderEl.classList.remove('plain');
+    commentPreviewRenderEl.appendChild(MARKDOWN.renderAdf(MARKDOWN.markdownToAdf(text, {
+      gerritUrl: commentPreviewFormat.gerritUrl,
+      issueBaseUrl: commentPreviewFormat.jiraBaseUrl,
+      issueKeys: commentPreviewFormat.issueKeys,
+      issueProjects: commentPreviewFormat.issueProjects,
+      smartLink: commentPreviewFormat.smartLink,
+    })));
+    return;
+  }
+  // Server/DC bodies are escaped wiki markup, so the text shows up as written.
+  commentPreviewRenderEl.classList.add('plain');
+  commentPreviewRenderEl.textContent = text;
+}
+
+function hideCommentPreview() {
+  commentPreviewEl.style.display = 'none';
+}
+
+function renderCommentTemplateOptions(templates, selectedId, defaultId) {
+  commentPreviewTemplateEl.textContent = '';
+  if (commentPreviews.length > 1) {
+    const option = document.createElement('option');
+    option.value = '';
+    option.textContent = '이슈별 규칙 템플릿';
+    commentPreviewTemplateEl.appendChild(option);
+  }
+  for (const t of templates || []) {
+    const option = document.createElement('option');
+    option.value = t.id;
+    option.textContent = t.id === defaultId ? `${t.name} (기본)` : t.name;
+    commentPreviewTemplateEl.appendChild(option);
+  }
+  commentPreviewTemplateEl.value = selectedId;
+  commentPreviewTemplateEl.style.display = commentPreviewTemplateEl.options.length > 1 ? 'block' : 'none';
+}
+
+function renderCommentPreviewKeyOptions() {
+  commentPreviewKeyEl.textContent = '';
+  for (const preview of commentPreviews) {
+    const option = document.createElement('option');
+    option.value = preview.issueKey;
+    option.textContent = preview.issueKey;
+    commentPreviewKeyEl.appendChild(option);
+  }
+  commentPreviewKeyEl.style.display = commentPreviews.length > 1 ? 'block' : 'none';
+}
+
+function showCommentPreviewAt(index) {
+  commentPreviewIndex = index;
+  const preview = commentPreviews[index];
+  commentPreviewKeyEl.value = preview.issueKey;
+  commentPreviewRuleEl.textContent = preview.rule ? `규칙 "${preview.rule.name}" 적용` : '';
+  commentPreviewRuleEl.style.display = preview.rule ? 'block' : 'none';
+  commentPreviewTextEl.value = preview.text;
+  renderCommentPreview();
+}
+
+function switchCommentPreviewKey() {
+  commentPreviews[commentPreviewIndex].text = commentPreviewTextEl.value;
+  const index = commentPreviews.findIndex((p) => p.issueKey === commentPreviewKeyEl.value);
+  if (index >= 0) showCommentPreviewAt(index);
+}
+
+/** Switching templates re-renders from scratch, discarding edits to the previous text. */
+async function openCommentPreview(templateId) {
+  hideCommentDuplicateChoice();
   if (!authConfigured) {
     setStatus('Jira 인증이 없어 코멘트 생성은 비활성화되었습니다.', 'warn');
     return;
   }
-  const issueKey = getEffectiveIssueKey();
-  if (!issueKey) {
+  const issueKeys = getSelectedIssueKeys();
+  if (issueKeys.length === 0) {
     setStatus('이슈키를 먼저 확인하세요.', 'warn');
     return;
   }
 
   setActionBusy(true);
-  setStatus('코멘트 생성 중...', '');
   try {
-    const resp = await sendMessage({ type: MSG.POPUP_ADD_COMMENT, issueKeyOverride: issueKey });
+    const resp = await sendMessage({
+      type: MSG.POPUP_PREVIEW_COMMENT,
+      issueKeys,
+      templateId: typeof templateId === 'string' ? templateId : undefined,
+    });
     if (!resp?.ok) {
+      setStatus(resp?.message || '코멘트 미리보기를 만들지 못했습니다.', 'err');
+      return;
+    }
+    commentPreviews = resp.previews;
+    commentPreviewFormat = resp.format;
+    renderCommentTemplateOptions(resp.templates, resp.templateId, resp.defaultTemplateId);
+    renderCommentPreviewKeyOptions();
+    commentPreviewHeadEl.textContent = `코멘트 미리보기 → ${resp.issueKeys.join(', ')}`;
+    showCommentPreviewAt(0);
+    commentPreviewEl.style.display = 'block';
+    setStatus('내용을 확인·수정한 뒤 게시하세요.', '');
+  } catch {
+    setStatus('요청 중 오류가 발생했습니다.', 'err');
+  } finally {
+    setActionBusy(false);
+  }
+}
+
+function postPreviewedComment() {
+  commentPreviews[commentPreviewIndex].text = commentPreviewTextEl.value;
+  const empty = commentPreviews.findIndex((p) => !p.text.trim());
+  if (empty >= 0) {
+    showCommentPreviewAt(empty);
+    setStatus(`${commentPreviews[empty].issueKey} 코멘트 내용이 비어 있습니다.`, 'warn');
+    return;
+  }
+  const drafts = {};
+  for (const p of commentPreviews) drafts[p.issueKey] = { commentText: p.text.trim(), templateId: p.templateId };
+  hideCommentPreview();
+  addComment(undefined, commentPreviews.map((p) => p.issueKey), drafts);
+}
+
+async function addComment(mode, issueKeysOverride, drafts) {
+  hideCommentDuplicateChoice();
+  pendingDrafts = drafts || {};
+  if (!authConfigured) {
+    setStatus('Jira 인증이 없어 코멘트 생성은 비활성화되었습니다.', 'warn');
+    return;
+  }
+  const issueKeys = issueKeysOverride || getSelectedIssueKeys();
+  if (issueKeys.length === 0) {
+    setStatus('이슈키를 먼저 확인하세요.', 'warn');
+    return;
+  }
+
+  setActionBusy(true);
+  setStatus(`코멘트 생성 중... (${issueKeys.join(', ')})`, '');
+  try {
+    const resp = await sendMessage({ type: MSG.POPUP_ADD_COMMENT, issueKeys, mode, drafts: pendingDrafts });
+    if (!Array.isArray(resp?.results)) {
       setStatus(resp?.message || '코멘트 생성에 실패했습니다.', 'err');
       return;
     }
-    setStatus(`코멘트 생성 완료: ${issueKey}`, 'ok');
+
+    const summary = formatResultSummary(resp.results, {
+      created: '코멘트 생성 완료',
+      updated: '코멘트 업데이트 완료',
+      failed: '코멘트 생성에 실패했습니다.',
+    });
+    if (resp.duplicates?.length) {
+      showCommentDuplicateChoice(resp.duplicates);
+      setStatus(summary, 'warn');
+      return;
+    }
+    setStatus(summary, resultStatusClass(resp.results));
   } catch {
     setStatus('요청 중 오류가 발생했습니다.', 'err');
   } finally {
@@ -267,6 +755,491 @@ async function addComment() {
   }
 }
 
+function fillSelect(selectEl, options, selectedValue) {
+  selectEl.textContent = '';
+  for (const { value, label } of options) {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    selectEl.appendChild(option);
+  }
+  if (options.some((o) => o.value === selectedValue)) selectEl.value = selectedValue;
+}
+
+function hideCreateIssue() {
+  createIssueEl.style.display = 'none';
+}
+
+// Without a remembered choice, a Bug type is the usual pick for a change that has no ticket.
+function pickDefaultIssueType(issueTypes) {
+  const remembered = issueTypes.find((t) => t.id === createIssueDefaults?.issueTypeId);
+  const bug = issueTypes.find((t) => /^(bug|버그)$/i.test(t.name));
+  return (remembered || bug || issueTypes[0])?.id || '';
+}
+
+async function loadCreateProjectMeta(projectKey) {
+  fillSelect(createIssueTypeEl, [{ value: '', label: '불러오는 중...' }]);
+  fillSelect(createAssigneeEl, [{ value: '', label: '불러오는 중...' }]);
+  syncActionButtons();
+  try {
+    const resp = await sendMessage({ type: MSG.POPUP_GET_CREATE_META, projectKey });
+    if (createProjectEl.value !== projectKey) return; // another project was picked meanwhile
+    if (!resp?.ok) {
+      fillSelect(createIssueTypeEl, []);
+      fillSelect(createAssigneeEl, []);
+      setStatus(resp?.message || '이슈 유형을 불러오지 못했습니다.', 'err');
+      return;
+    }
+    fillSelect(
+      createIssueTypeEl,
+      resp.issueTypes.map((t) => ({ value: t.id, label: t.name })),
+      pickDefaultIssueType(resp.issueTypes),
+    );
+    fillSelect(createAssigneeEl, [
+      { value: '', label: '(지정 안 함)' },
+      ...resp.users.map((u) => ({ value: u.id, label: u.displayName })),
+    ], '');
+    syncActionButtons();
+    if (resp.issueTypes.length === 0) {
+      setStatus(`${projectKey} 프로젝트에서 만들 수 있는 이슈 유형이 없습니다.`, 'warn');
+    }
+  } catch {
+    setStatus('요청 중 오류가 발생했습니다.', 'err');
+  }
+}
+
+async function openCreateIssue() {
+  hideCommentPreview();
+  hideCommentDuplicateChoice();
+  if (!authConfigured) {
+    setStatus('Jira 인증이 없어 이슈 생성은 비활성화되었습니다.', 'warn');
+    return;
+  }
+  if (!currentContext) {
+    setStatus('Gerrit change 페이지에서 실행하세요.', 'warn');
+    return;
+  }
+
+  createSummaryEl.value = currentContext.subject || '';
+  createDescriptionEl.value = [currentContext.body, `Gerrit: ${currentContext.gerritUrl}`]
+    .filter(Boolean)
+    .join('\n\n');
+  createIssueEl.style.display = 'block';
+
+  if (createIssueDefaults) {
+    setStatus('프로젝트와 이슈 유형을 확인한 뒤 만드세요.', '');
+    return;
+  }
+
+  setActionBusy(true);
+  setStatus('Jira 프로젝트 목록을 불러오는 중...', '');
+  try {
+    const resp = await sendMessage({ type: MSG.POPUP_GET_CREATE_META });
+    if (!resp?.ok) {
+      hideCreateIssue();
+      setStatus(resp?.message || '프로젝트 목록을 불러오지 못했습니다.', 'err');
+      return;
+    }
+    if (resp.projects.length === 0) {
+      hideCreateIssue();
+      setStatus('이슈를 만들 수 있는 Jira 프로젝트가 없습니다.', 'warn');
+      return;
+    }
+    createIssueDefaults = resp.defaults || {};
+    fillSelect(
+      createProjectEl,
+      resp.projects.map((p) => ({ value: p.key, label: `${p.name} (${p.key})` })),
+      createIssueDefaults.projectKey,
+    );
+    setStatus('프로젝트와 이슈 유형을 확인한 뒤 만드세요.', '');
+  } catch {
+    hideCreateIssue();
+    setStatus('요청 중 오류가 발생했습니다.', 'err');
+    return;
+  } finally {
+    setActionBusy(false);
+  }
+  await loadCreateProjectMeta(createProjectEl.value);
+}
+
+async function submitCreateIssue() {
+  const issue = {
+    projectKey: createProjectEl.value,
+    issueTypeId: createIssueTypeEl.value,
+    assigneeId: createAssigneeEl.value,
+    summary: createSummaryEl.value.trim(),
+    description: createDescriptionEl.value,
+  };
+  if (!issue.projectKey || !issue.issueTypeId) {
+    setStatus('프로젝트와 이슈 유형을 선택하세요.', 'warn');
+    return;
+  }
+  if (!issue.summary) {
+    setStatus('요약을 입력하세요.', 'warn');
+    createSummaryEl.focus();
+    return;
+  }
+
+  setActionBusy(true);
+  setStatus(`${issue.projectKey}에 이슈 만드는 중...`, '');
+  try {
+    const resp = await sendMessage({ type: MSG.POPUP_CREATE_ISSUE, issue });
+    if (!resp?.ok) {
+      setStatus(resp?.message || '이슈 생성에 실패했습니다.', 'err');
+      return;
+    }
+
+    createIssueDefaults = { projectKey: issue.projectKey, issueTypeId: issue.issueTypeId };
+    hideCreateIssue();
+    issueKeyInputEl.value = resp.issueKey;
+    addManualIssueKeyOption(resp.issueKey, 'created');
+    setActionBusy(false);
+    await fetchIssue();
+
+    const linkSummary = formatResultSummary([resp.link], {
+      created: '웹링크 추가 완료',
+      updated: '기존 웹링크 업데이트 완료',
+      failed: '웹링크 추가에 실패했습니다.',
+    });
+    setStatus(`이슈 생성 완료: ${resp.issueKey}\n${linkSummary}`, resp.link.ok ? 'ok' : 'warn');
+  } catch {
+    setStatus('요청 중 오류가 발생했습니다.', 'err');
+  } finally {
+    setActionBusy(false);
+  }
+}
+
+// ── Issue search suggestions ──────────────────────────────────────────────────
+
+function hideIssueSuggestions() {
+  clearTimeout(issueSuggestTimer);
+  issueSuggestSeq += 1;
+  issueSuggestEl.style.display = 'none';
+  issueSuggestEl.textContent = '';
+  issueSuggestButtons = [];
+  issueSuggestActive = -1;
+  issueKeyInputEl.setAttribute('aria-expanded', 'false');
+}
+
+function setActiveIssueSuggestion(index) {
+  issueSuggestButtons.forEach((btn, i) => btn.classList.toggle('active', i === index));
+  issueSuggestActive = index;
+  issueSuggestButtons[index]?.scrollIntoView({ block: 'nearest' });
+}
+
+function appendSuggestNote(text) {
+  const note = document.createElement('div');
+  note.className = 'suggest-note';
+  note.textContent = text;
+  issueSuggestEl.appendChild(note);
+}
+
+function renderIssueSuggestions(groups, message) {
+  issueSuggestEl.textContent = '';
+  issueSuggestButtons = [];
+  issueSuggestActive = -1;
+
+  if (message) appendSuggestNote(message);
+  for (const group of groups || []) {
+    if (group.name) {
+      const head = document.createElement('div');
+      head.className = 'suggest-group';
+      head.textContent = group.name;
+      issueSuggestEl.appendChild(head);
+    }
+    if (group.message || group.issues.length === 0) {
+      appendSuggestNote(group.message || '결과 없음');
+      continue;
+    }
+    for (const issue of group.issues) {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'suggest-item';
+      btn.setAttribute('role', 'option');
+      btn.title = issue.summary;
+
+      const key = document.createElement('span');
+      key.className = 'key';
+      key.textContent = issue.key;
+      const summary = document.createElement('span');
+      summary.className = 'summary';
+      summary.textContent = issue.summary;
+      const state = document.createElement('span');
+      state.className = 'state';
+      state.textContent = issue.status;
+      btn.append(key, summary, state);
+
+      // mousedown keeps focus in the input, so the blur handler does not close the list first.
+      btn.addEventListener('mousedown', (e) => e.preventDefault());
+      btn.addEventListener('click', () => selectIssueSuggestion(issue.key));
+      issueSuggestButtons.push(btn);
+      issueSuggestEl.appendChild(btn);
+    }
+  }
+
+  issueSuggestEl.style.display = issueSuggestEl.childElementCount > 0 ? 'block' : 'none';
+  issueKeyInputEl.setAttribute('aria-expanded', String(issueSuggestEl.childElementCount > 0));
+}
+
+async function loadIssueSuggestions() {
+  const seq = ++issueSuggestSeq;
+  const query = issueKeyInputEl.value.trim();
+  try {
+    const resp = await sendMessage({ type: MSG.POPUP_SEARCH_ISSUES, query });
+    if (seq !== issueSuggestSeq || document.activeElement !== issueKeyInputEl) return;
+    if (!resp?.ok) {
+      renderIssueSuggestions([], resp?.message || '이슈 검색에 실패했습니다.');
+      return;
+    }
+    renderIssueSuggestions(resp.groups);
+  } catch {
+    if (seq === issueSuggestSeq) hideIssueSuggestions();
+  }
+}
+
+function scheduleIssueSuggestions() {
+  clearTimeout(issueSuggestTimer);
+  if (!authConfigured) return;
+  issueSuggestTimer = setTimeout(loadIssueSuggestions, ISSUE_SUGGEST_DELAY_MS);
+}
+
+function selectIssueSuggestion(key) {
+  hideIssueSuggestions();
+  issueKeyInputEl.value = key;
+  addManualIssueKeyOption(key);
+  syncActionButtons();
+  fetchIssue();
+}
+
+function handleIssueKeyInputKeydown(e) {
+  const open = issueSuggestEl.style.display === 'block';
+  if (e.key === 'Escape' && open) {
+    e.preventDefault();
+    hideIssueSuggestions();
+    return;
+  }
+  if (!open || issueSuggestButtons.length === 0) return;
+
+  if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+    e.preventDefault();
+    const step = e.key === 'ArrowDown' ? 1 : -1;
+    const count = issueSuggestButtons.length;
+    setActiveIssueSuggestion((issueSuggestActive + step + count) % count);
+  } else if (e.key === 'Enter' && issueSuggestActive >= 0) {
+    e.preventDefault();
+    issueSuggestButtons[issueSuggestActive].click();
+  }
+}
+
+async function loadTransitions(issueKey) {
+  try {
+    const resp = await sendMessage({ type: MSG.POPUP_GET_TRANSITIONS, issueKey });
+    if (resp?.ok) renderTransitions(resp.transitions, resp.defaultTransitionId, resp.rule);
+    else renderTransitions([]);
+  } catch {
+    renderTransitions([]);
+  }
+}
+
+async function runTransition() {
+  if (!authConfigured) {
+    setStatus('Jira 인증이 없어 상태 전환은 비활성화되었습니다.', 'warn');
+    return;
+  }
+  const issueKey = getEffectiveIssueKey();
+  const transition = getSelectedTransition();
+  if (!issueKey || !transition) {
+    setStatus('이슈와 전환할 상태를 먼저 확인하세요.', 'warn');
+    return;
+  }
+
+  const fields = collectTransitionFieldValues();
+  const missing = transition.fields
+    .filter((f) => f.required)
+    .filter((f) => [].concat(fields[f.key] || []).every((v) => !String(v).trim()))
+    .map((f) => f.name);
+  if (missing.length > 0) {
+    setStatus(`필수 항목을 입력하세요: ${missing.join(', ')}`, 'warn');
+    return;
+  }
+
+  setActionBusy(true);
+  setStatus(`상태 전환 중: ${transition.name}`, '');
+  try {
+    const resp = await sendMessage({
+      type: MSG.POPUP_DO_TRANSITION,
+      issueKey,
+      transitionId: transition.id,
+      fields,
+    });
+    if (!resp?.ok) {
+      setStatus(resp?.message || '상태 전환에 실패했습니다.', 'err');
+      return;
+    }
+    setActionBusy(false);
+    await fetchIssue();
+    setStatus(`상태 전환 완료: ${issueKey} → ${resp.transition?.to || transition.name}`, 'ok');
+  } catch {
+    setStatus('요청 중 오류가 발생했습니다.', 'err');
+  } finally {
+    setActionBusy(false);
+  }
+}
+
+const QUEUE_TYPE_LABELS = {
+  link: '웹링크',
+  comment: '코멘트',
+  transition: '상태 전환',
+  create: '이슈 생성',
+  undo: '되돌리기',
+  gerrit: 'Gerrit 메시지',
+};
+
+const QUEUE_STATUS_LABELS = {
+  pending: '재시도 대기',
+  retrying: '재시도 중',
+  failed: '실패',
+};
+
+const HISTORY_STATUS_LABELS = {
+  success: '성공',
+  failed: '실패',
+  queued: '대기열',
+  skipped: '건너뜀',
+};
+
+function formatDateTime(ms) {
+  const d = new Date(ms);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${pad(d.getMonth() + 1)}-${pad(d.getDate())} ${pad(d.getHours())}:${pad(d.getMinutes())}`;
+}
+
+function renderHistory(entries) {
+  historyListEl.textContent = '';
+  historyPanelEl.style.display = entries.length > 0 ? 'block' : 'none';
+
+  for (const entry of entries) {
+    const row = document.createElement('div');
+    row.className = `history-item ${entry.status}`;
+
+    const what = document.createElement('span');
+    const patchset = entry.patchset ? ` · PS ${entry.patchset}` : '';
+    what.textContent = `${entry.issueKey || '-'} · ${QUEUE_TYPE_LABELS[entry.action] || entry.action}${patchset}`;
+    what.title = entry.detail || '';
+
+    const result = document.createElement('span');
+    result.className = 'result';
+    result.textContent = HISTORY_STATUS_LABELS[entry.status] || entry.status;
+
+    const when = document.createElement('span');
+    when.className = 'when';
+    when.textContent = formatDateTime(entry.timestamp);
+
+    row.appendChild(what);
+    row.appendChild(result);
+    row.appendChild(when);
+    historyListEl.appendChild(row);
+  }
+}
+
+async function loadHistory() {
+  if (!currentContext?.changeNum) {
+    renderHistory([]);
+    return;
+  }
+  try {
+    const resp = await sendMessage({
+      type: MSG.HISTORY_GET,
+      changeNum: currentContext.changeNum,
+      project: currentContext.project,
+    });
+    renderHistory(resp?.ok ? resp.entries.slice(0, 20) : []);
+  } catch {
+    renderHistory([]);
+  }
+}
+
+function formatClock(ms) {
+  if (!ms) return '';
+  const d = new Date(ms);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${pad(d.getHours())}:${pad(d.getMinutes())}`;
+}
+
+function renderQueue(items) {
+  queueListEl.textContent = '';
+  queuePanelEl.style.display = items.length > 0 ? 'block' : 'none';
+
+  for (const item of items) {
+    const row = document.createElement('div');
+    row.className = 'queue-item';
+
+    const title = document.createElement('div');
+    title.className = 'value';
+    title.textContent = `${item.issueKey} · ${QUEUE_TYPE_LABELS[item.type] || item.type}`
+      + (item.changeNum ? ` · change ${item.changeNum}` : '');
+
+    const meta = document.createElement('div');
+    meta.className = 'meta';
+    const state = `${QUEUE_STATUS_LABELS[item.status] || item.status} (${item.attempts}/${item.maxAttempts})`;
+    const next = item.status === 'pending' && item.nextAttemptAt ? ` · 다음 시도 ${formatClock(item.nextAttemptAt)}` : '';
+    meta.textContent = `${state}${next}${item.lastError ? `\n${item.lastError}` : ''}`;
+
+    const actions = document.createElement('div');
+    actions.className = 'actions';
+
+    const retryBtn = document.createElement('button');
+    retryBtn.textContent = '재시도';
+    retryBtn.disabled = item.status === 'retrying';
+    retryBtn.addEventListener('click', () => retryQueueItem(item.id));
+
+    const discardBtn = document.createElement('button');
+    discardBtn.textContent = '삭제';
+    discardBtn.addEventListener('click', () => discardQueueItem(item.id));
+
+    actions.appendChild(retryBtn);
+    actions.appendChild(discardBtn);
+    row.appendChild(title);
+    row.appendChild(meta);
+    row.appendChild(actions);
+    queueListEl.appendChild(row);
+  }
+}
+
+async function loadQueue() {
+  try {
+    const resp = await sendMessage({ type: MSG.QUEUE_GET });
+    renderQueue(resp?.ok ? resp.items : []);
+  } catch {
+    renderQueue([]);
+  }
+}
+
+async function retryQueueItem(id) {
+  setStatus('대기열 항목 재시도 중...', '');
+  try {
+    const resp = await sendMessage({ type: MSG.QUEUE_RETRY, id });
+    if (!resp?.ok) {
+      setStatus(resp?.message || '재시도에 실패했습니다.', 'err');
+    } else {
+      setStatus('재시도 성공: 대기열에서 제거되었습니다.', 'ok');
+    }
+  } catch {
+    setStatus('요청 중 오류가 발생했습니다.', 'err');
+  }
+  await loadQueue();
+}
+
+async function discardQueueItem(id) {
+  try {
+    await sendMessage({ type: MSG.QUEUE_DISCARD, id });
+    setStatus('대기열 항목을 삭제했습니다.', '');
+  } catch {
+    setStatus('요청 중 오류가 발생했습니다.', 'err');
+  }
+  await loadQueue();
+}
+
 function openIssuePage() {
   const issueKey = getEffectiveIssueKey();
   if (!issueKey) {
@@ -289,29 +1262,78 @@ btnRefresh.addEventListener('click', async () => {
 });
 
 btnLink.addEventListener('click', addRemoteLink);
-btnComment.addEventListener('click', addComment);
+btnPostGerrit.addEventListener('click', postToGerrit);
+btnCreateIssue.addEventListener('click', openCreateIssue);
+createProjectEl.addEventListener('change', () => loadCreateProjectMeta(createProjectEl.value));
+btnCreateSubmit.addEventListener('click', submitCreateIssue);
+btnCreateCancel.addEventListener('click', () => {
+  hideCreateIssue();
+  setStatus('이슈 생성을 취소했습니다.', '');
+});
+btnComment.addEventListener('click', () => openCommentPreview());
+commentPreviewTemplateEl.addEventListener('change', () => openCommentPreview(commentPreviewTemplateEl.value));
+commentPreviewKeyEl.addEventListener('change', switchCommentPreviewKey);
+btnCommentPost.addEventListener('click', postPreviewedComment);
+btnCommentPreviewCancel.addEventListener('click', () => {
+  hideCommentPreview();
+  setStatus('코멘트 작성을 취소했습니다.', '');
+});
+commentPreviewTextEl.addEventListener('input', renderCommentPreview);
+btnCommentUpdate.addEventListener('click', () => {
+  addComment('update', pendingDuplicateKeys, pendingDrafts);
+});
+btnCommentNew.addEventListener('click', () => {
+  addComment('new', pendingDuplicateKeys, pendingDrafts);
+});
+btnCommentCancel.addEventListener('click', () => {
+  hideCommentDuplicateChoice();
+  setStatus('코멘트 작성을 취소했습니다.', '');
+});
 fabEnabledEl.addEventListener('change', () => {
   setFabEnabled(fabEnabledEl.checked);
 });
 issueKeyInputEl.addEventListener('input', () => {
-  const normalized = normalizeIssueKey(issueKeyInputEl.value);
-  if (normalized !== issueKeyInputEl.value) {
-    issueKeyInputEl.value = normalized;
+  // Only key-shaped input is upper-cased; anything else is a search text.
+  if (/^\s*[a-z][a-z0-9]*-\d*\s*$/i.test(issueKeyInputEl.value)) {
+    const normalized = normalizeIssueKey(issueKeyInputEl.value);
+    if (normalized !== issueKeyInputEl.value) {
+      issueKeyInputEl.value = normalized;
+    }
   }
   syncActionButtons();
+  scheduleIssueSuggestions();
+});
+issueKeyInputEl.addEventListener('focus', scheduleIssueSuggestions);
+issueKeyInputEl.addEventListener('blur', hideIssueSuggestions);
+issueKeyInputEl.addEventListener('keydown', handleIssueKeyInputKeydown);
+issueKeyInputEl.addEventListener('change', () => {
+  addManualIssueKeyOption(normalizeIssueKey(issueKeyInputEl.value));
+  syncActionButtons();
 });
 btnOptions.addEventListener('click', () => {
   chrome.runtime.openOptionsPage();
 });
 btnOpenIssue.addEventListener('click', openIssuePage);
+transitionSelectEl.addEventListener('change', () => {
+  renderTransitionFields(getSelectedTransition());
+});
+btnTransition.addEventListener('click', runTransition);
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== 'local') return;
+  if (changes.actionQueue) loadQueue();
+  if (changes.actionHistory) loadHistory();
+});
 
 (async () => {
   currentContext = null;
   authConfigured = true;
   syncActionButtons();
+  jiraBaseUrl = (await SITE.loadSiteConfig()).jiraBaseUrl;
   await loadAuthState();
   await loadFabSetting();
+  await loadQueue();
   const ready = await loadContext();
+  await loadHistory();
   if (ready && authConfigured && isGerritChangeUrl(currentContext?.gerritUrl || '') && getEffectiveIssueKey()) {
     await fetchIssue();
   } else if (ready && !authConfigured) {
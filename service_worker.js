@@ -4,31 +4,111 @@
 
 'use strict';
 
-importScripts('message_types.js');
+importScripts(
+  'message_types.js',
+  'site_config.js',
+  'comment_template.js',
+  'markdown_adf.js',
+  'issue_details.js',
+  'gerrit_change.js',
+);
 
 const MSG = self.MESSAGE_TYPES;
-
-const GERRIT_ORIGINS = [
-  'http://gerrit.thinkfree.com',
-  'https://gerrit.thinkfree.com',
+const SITE = self.SITE_CONFIG;
+const TEMPLATE = self.COMMENT_TEMPLATE;
+const MARKDOWN = self.MARKDOWN_ADF;
+const ISSUE_DETAILS = self.ISSUE_DETAILS;
+const GERRIT = self.GERRIT_CHANGE;
+
+const CONTENT_SCRIPT_ID = 'gj-gerrit-content';
+const CONTENT_SCRIPT_FILES = [
+  'message_types.js',
+  'site_config.js',
+  'markdown_adf.js',
+  'issue_details.js',
+  'gerrit_change.js',
+  'content_script.js',
 ];
+const JIRA_CONTENT_SCRIPT_ID = 'gj-jira-content';
+const JIRA_CONTENT_SCRIPT_FILES = ['message_types.js', 'jira_content_script.js'];
+
+// Jira base URL and Gerrit origins come from the options page (defaults in
+// site_config.js). Cached here and reloaded whenever storage changes.
+let siteConfig = SITE.resolveSiteConfig({});
+let siteConfigPromise = null;
+
+// Comment entity property used as an invisible marker on comments created by
+// this extension, so later runs can find them per change.
+const COMMENT_MARKER_PROPERTY_KEY = 'gerrit-jira-tools.change';
+const COMMENT_LIST_PAGE_SIZE = 100;
+const COMMENT_LIST_MAX = 1000;
+
+// Failed link/comment/transition actions are persisted here and retried with
+// exponential backoff from a chrome.alarms alarm.
+const ACTION_QUEUE_KEY = 'actionQueue';
+const ACTION_QUEUE_ALARM = 'gj-action-queue';
+const ACTION_QUEUE_MAX_ATTEMPTS = 6;
+const ACTION_QUEUE_BASE_DELAY_MS = 30 * 1000;
+const ACTION_QUEUE_MAX_DELAY_MS = 30 * 60 * 1000;
+
+// Local audit log of Jira actions (no credentials or comment bodies), newest last.
+const ACTION_HISTORY_KEY = 'actionHistory';
+const ACTION_HISTORY_MAX = 1000;
+
+const ACTION_RULES_KEY = 'actionRules';
+
+const SAVED_JQL_KEY = 'savedJqlQueries';
+const SAVED_JQL_MAX = 10;
+const ISSUE_SEARCH_LIMIT = 8;
+const ISSUE_PRESET_LIMIT = 5;
+
+// Suggestions shown before anything is typed, ahead of the user's saved JQL.
+const BUILTIN_ISSUE_QUERIES = Object.freeze([
+  { id: 'recent', name: '최근 본 이슈', jql: 'issue in issueHistory() ORDER BY lastViewed DESC' },
+  {
+    id: 'mine',
+    name: '나에게 할당된 진행 중 이슈',
+    jql: 'assignee = currentUser() AND statusCategory = "In Progress" ORDER BY updated DESC',
+  },
+]);
 
-const JIRA_BASE = 'https://thinkfree.atlassian.net';
-const JIRA_ALLOWED_HOST = 'thinkfree.atlassian.net';
+const AUTO_SYNC_SETTINGS_KEYS = ['autoSyncEnabled', 'autoSyncTransition', 'autoSyncTransitionName'];
+const AUTO_SYNC_PROCESSED_KEY = 'autoSyncProcessed';
+const AUTO_SYNC_PROCESSED_MAX = 2000;
 
-const DEFAULT_TEMPLATE =
-`{title}
+const CREATE_META_MAX = 100;
+const CREATE_ISSUE_DEFAULTS_KEY = 'createIssueDefaults';
+const ISSUE_SUMMARY_MAX = 255;
+
+// Jira Cloud speaks REST v3 with ADF bodies; Server/Data Center uses v2 with wiki markup.
+const JIRA_DEPLOYMENTS = Object.freeze({
+  cloud: { apiRoot: '/rest/api/3' },
+  server: { apiRoot: '/rest/api/2' },
+});
 
-{body}
+/**
+ * Also records which configured Gerrit origins the user actually granted; only those
+ * count as Gerrit tabs. Reloaded when storage or permissions change.
+ */
+function refreshSiteConfig() {
+  siteConfigPromise = SITE.loadSiteConfig().then(async (config) => {
+    const grantedGerritOrigins = [];
+    for (const origin of config.gerritOrigins) {
+      if (await hasHostPermission(origin)) grantedGerritOrigins.push(origin);
+    }
+    siteConfig = { ...config, grantedGerritOrigins };
+    return siteConfig;
+  });
+  return siteConfigPromise;
+}
 
-브랜치: {branch}
-반영 일시: {date}
-Gerrit: {url}
-Change-Id: {change_id}`;
+function getSiteConfig() {
+  return siteConfigPromise || refreshSiteConfig();
+}
 
 function isGerritTab(url) {
   try {
-    return GERRIT_ORIGINS.includes(new URL(url).origin);
+    return (siteConfig.grantedGerritOrigins || []).includes(new URL(url).origin);
   } catch {
     return false;
   }
@@ -37,7 +117,7 @@ function isGerritTab(url) {
 function isAllowedChangeUrl(url) {
   try {
     const parsed = new URL(url);
-    return GERRIT_ORIGINS.includes(parsed.origin) && /\/c\/.+\/\+\/\d+/.test(parsed.pathname);
+    return (siteConfig.grantedGerritOrigins || []).includes(parsed.origin) && /\/c\/.+\/\+\/\d+/.test(parsed.pathname);
   } catch {
     return false;
   }
@@ -47,11 +127,120 @@ function isValidIssueKey(key) {
   return typeof key === 'string' && /^[A-Z][A-Z0-9]+-\d+$/.test(key);
 }
 
-function assertAllowedJiraBase() {
-  const host = new URL(JIRA_BASE).hostname;
-  if (host !== JIRA_ALLOWED_HOST) {
-    throw new Error('Jira base URL is not allowed');
+function normalizeIssueKeyList(input) {
+  const list = [];
+  for (const raw of Array.isArray(input) ? input : [input]) {
+    const key = String(raw || '').trim().toUpperCase();
+    if (isValidIssueKey(key) && !list.includes(key)) list.push(key);
+  }
+  return list;
+}
+
+// Explicit keys from the caller win; otherwise every key detected on the change.
+function resolveTargetIssueKeys(context, input) {
+  const explicit = normalizeIssueKeyList(input);
+  if (explicit.length > 0) return explicit;
+  return context.issueKeys.map((item) => item.key);
+}
+
+/**
+ * Jira requests go to the configured base (or, for the options page's connection test,
+ * the base being entered) and only once the user has granted that exact origin.
+ */
+async function resolveAllowedJiraBase(base = siteConfig.jiraBaseUrl) {
+  const normalized = SITE.normalizeJiraBaseUrl(base);
+  if (!normalized) {
+    const error = new Error('Jira base URL is not allowed');
+    error.code = 'invalid_jira_base';
+    throw error;
+  }
+  if (!(await hasHostPermission(normalized))) {
+    const error = new Error('Missing host permission');
+    error.code = 'missing_host_permission';
+    throw error;
+  }
+  return normalized;
+}
+
+function hasHostPermission(url) {
+  const pattern = SITE.toOriginPattern(url);
+  if (!pattern) return Promise.resolve(false);
+  return new Promise((resolve) => {
+    chrome.permissions.contains({ origins: [pattern] }, (granted) => {
+      resolve(!chrome.runtime.lastError && !!granted);
+    });
+  });
+}
+
+function getRegisteredContentScripts(ids) {
+  return new Promise((resolve) => {
+    chrome.scripting.getRegisteredContentScripts({ ids }, (scripts) => {
+      resolve(chrome.runtime.lastError ? [] : scripts || []);
+    });
+  });
+}
+
+function unregisterContentScripts(ids) {
+  return new Promise((resolve, reject) => {
+    chrome.scripting.unregisterContentScripts({ ids }, () => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+      } else {
+        resolve();
+      }
+    });
+  });
+}
+
+function registerContentScripts(scripts) {
+  return new Promise((resolve, reject) => {
+    chrome.scripting.registerContentScripts(scripts, () => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+      } else {
+        resolve();
+      }
+    });
+  });
+}
+
+/**
+ * (Re)register the Gerrit content script for every configured origin the user
+ * has granted host access to, and the Jira issue panel for the Jira site. Origins
+ * without permission are skipped; the options page requests access when saving.
+ */
+async function syncContentScripts() {
+  const { gerritOrigins, jiraBaseUrl } = await refreshSiteConfig();
+
+  const matches = [];
+  for (const origin of gerritOrigins) {
+    if (await hasHostPermission(origin)) matches.push(SITE.toOriginPattern(origin));
+  }
+
+  const ids = [CONTENT_SCRIPT_ID, JIRA_CONTENT_SCRIPT_ID];
+  const existing = await getRegisteredContentScripts(ids);
+  if (existing.length > 0) {
+    await unregisterContentScripts(existing.map((script) => script.id));
+  }
+
+  const scripts = [];
+  if (matches.length > 0) {
+    scripts.push({
+      id: CONTENT_SCRIPT_ID,
+      matches,
+      js: CONTENT_SCRIPT_FILES,
+      runAt: 'document_idle',
+    });
+  }
+  if (await hasHostPermission(jiraBaseUrl)) {
+    scripts.push({
+      id: JIRA_CONTENT_SCRIPT_ID,
+      matches: [SITE.toOriginPattern(jiraBaseUrl)],
+      js: JIRA_CONTENT_SCRIPT_FILES,
+      runAt: 'document_idle',
+    });
   }
+  if (scripts.length > 0) await registerContentScripts(scripts);
 }
 
 function sendToTab(tabId, message) {
@@ -79,7 +268,7 @@ function injectContentScripts(tabId) {
     chrome.scripting.executeScript(
       {
         target: { tabId },
-        files: ['message_types.js', 'content_script.js'],
+        files: CONTENT_SCRIPT_FILES,
       },
       () => {
         if (chrome.runtime.lastError) {
@@ -116,12 +305,28 @@ function getActiveTab() {
 function loadStorageData() {
   return new Promise((resolve) => {
     chrome.storage.local.get(
-      ['jiraEmail', 'jiraToken', 'commentTemplate'],
+      ['jiraDeployment', 'jiraEmail', 'jiraToken', 'adfSmartLink', 'issueLinkProjects', ...TEMPLATE.LIBRARY_STORAGE_KEYS],
       resolve,
     );
   });
 }
 
+function resolveDeployment(value) {
+  return value === 'server' ? 'server' : 'cloud';
+}
+
+function hasCredentials(deployment, email, token) {
+  if (!token) return false;
+  return deployment === 'server' || !!email;
+}
+
+// Cloud: Basic auth with account email + API token. Server/DC: Bearer personal access token.
+function buildAuthorizationHeader(deployment, email, token) {
+  return deployment === 'server'
+    ? `Bearer ${token}`
+    : `Basic ${btoa(`${email}:${token}`)}`;
+}
+
 function setFabEnabled(enabled) {
   return new Promise((resolve) => {
     chrome.storage.local.set({ fabEnabled: !!enabled }, resolve);
@@ -129,6 +334,7 @@ function setFabEnabled(enabled) {
 }
 
 async function getActiveGerritContext() {
+  await getSiteConfig();
   const tab = await getActiveTab();
   if (!tab || !tab.id || !tab.url || !isGerritTab(tab.url)) {
     return {
@@ -144,25 +350,15 @@ async function getActiveGerritContext() {
   }
 
   try {
-    const context = await sendToTabWithRecovery(tab.id, { type: MSG.EXTRACT_CONTEXT });
-    const safeContext = {
-      issueKey: isValidIssueKey(context?.issueKey || '') ? context.issueKey : null,
-      subject: String(context?.subject || '').trim().slice(0, 500),
-      gerritUrl: String(context?.gerritUrl || tab.url),
-      branch: String(context?.branch || '').trim(),
-      body: String(context?.body || '').trim(),
-      changeNum: String(context?.changeNum || '').trim(),
-      project: String(context?.project || '').trim(),
-      owner: String(context?.owner || '').trim(),
-      changeId: String(context?.changeId || '').trim(),
-      submittedAt: String(context?.submittedAt || '').trim(),
-    };
-
-    if (!isAllowedChangeUrl(safeContext.gerritUrl)) {
+    const context = sanitizeContext(
+      await sendToTabWithRecovery(tab.id, { type: MSG.EXTRACT_CONTEXT }),
+      tab.url,
+    );
+    if (!isAllowedChangeUrl(context.gerritUrl)) {
       return { ok: false, message: '허용된 Gerrit 도메인이 아닙니다.' };
     }
 
-    return { ok: true, tabId: tab.id, context: safeContext };
+    return { ok: true, tabId: tab.id, context };
   } catch {
     return {
       ok: false,
@@ -171,9 +367,65 @@ async function getActiveGerritContext() {
   }
 }
 
-function formatDate(d) {
-  const pad = (n) => String(n).padStart(2, '0');
-  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())} ${pad(d.getHours())}:${pad(d.getMinutes())}`;
+/** Bounds and normalizes a context object received from the content script. */
+function sanitizeContext(context, fallbackUrl) {
+  const issueKeys = (Array.isArray(context?.issueKeys) ? context.issueKeys : [])
+    .map((item) => ({
+      key: String(item?.key || '').trim().toUpperCase(),
+      source: String(item?.source || '').trim(),
+    }))
+    .filter((item, idx, all) => isValidIssueKey(item.key) && all.findIndex((o) => o.key === item.key) === idx);
+  if (issueKeys.length === 0 && isValidIssueKey(context?.issueKey || '')) {
+    issueKeys.push({ key: context.issueKey, source: 'page' });
+  }
+
+  return {
+    issueKey: issueKeys.length > 0 ? issueKeys[0].key : null,
+    issueKeys,
+    subject: String(context?.subject || '').trim().slice(0, 500),
+    gerritUrl: String(context?.gerritUrl || fallbackUrl),
+    branch: String(context?.branch || '').trim(),
+    body: String(context?.body || '').trim(),
+    changeNum: String(context?.changeNum || '').trim(),
+    project: String(context?.project || '').trim(),
+    owner: String(context?.owner || '').trim(),
+    changeId: String(context?.changeId || '').trim(),
+    submittedAt: String(context?.submittedAt || '').trim(),
+    status: String(context?.status || '').trim().toUpperCase(),
+    patchset: String(context?.patchset || '').trim(),
+    topic: String(context?.topic || '').trim().slice(0, 200),
+    hashtags: normalizeNameList(context?.hashtags),
+    reviewers: normalizeNameList(context?.reviewers),
+    submitter: String(context?.submitter || '').trim().slice(0, 200),
+    codeReview: String(context?.codeReview || '').trim().slice(0, 300),
+    verified: String(context?.verified || '').trim().slice(0, 300),
+    insertions: /^\d+$/.test(String(context?.insertions ?? '')) ? String(context.insertions) : '',
+    deletions: /^\d+$/.test(String(context?.deletions ?? '')) ? String(context.deletions) : '',
+    files: normalizeChangedFiles(context?.files),
+  };
+}
+
+function normalizeNameList(input) {
+  return (Array.isArray(input) ? input : [])
+    .map((v) => String(v || '').trim().slice(0, 200))
+    .filter(Boolean)
+    .slice(0, 50);
+}
+
+const CHANGED_FILES_MAX = 300;
+
+function normalizeChangedFiles(input) {
+  const toCount = (v) => (Number.isFinite(Number(v)) && Number(v) >= 0 ? Math.floor(Number(v)) : 0);
+  return (Array.isArray(input) ? input : [])
+    .filter((f) => f && typeof f.path === 'string' && f.path.trim())
+    .slice(0, CHANGED_FILES_MAX)
+    .map((f) => ({
+      path: f.path.trim().slice(0, 500),
+      status: /^[ADRCWM]$/.test(String(f.status || '')) ? f.status : 'M',
+      insertions: toCount(f.insertions),
+      deletions: toCount(f.deletions),
+      binary: f.binary === true,
+    }));
 }
 
 function parseGerritTimestampUtc(raw) {
@@ -193,27 +445,17 @@ function parseGerritTimestampUtc(raw) {
   return new Date(Date.UTC(year, month, day, hour, minute, second, milli));
 }
 
-function formatDateMaybe(input) {
+function parseDateMaybe(input) {
   const raw = String(input || '').trim();
-  if (!raw) return '';
+  if (!raw) return null;
   const parsed = parseGerritTimestampUtc(raw) || new Date(raw);
-  if (Number.isNaN(parsed.getTime())) return '';
-  return formatDate(parsed);
-}
-
-function renderTemplate(template, vars) {
-  return template
-    .replace(/\{title\}/g, vars.title ?? '')
-    .replace(/\{body\}/g, vars.body ?? '')
-    .replace(/\{branch\}/g, vars.branch ?? '')
-    .replace(/\{change_num\}/g, vars.changeNum ?? '')
-    .replace(/\{change_id\}/g, vars.changeId ?? '')
-    .replace(/\{project\}/g, vars.project ?? '')
-    .replace(/\{owner\}/g, vars.owner ?? '')
-    .replace(/\{date\}/g, vars.date ?? '')
-    .replace(/\{url\}/g, vars.url ?? '')
-    .replace(/\n{3,}/g, '\n\n')
-    .trim();
+  return Number.isNaN(parsed.getTime()) ? null : parsed;
+}
+
+/** @param {string} [pattern] YYYY/MM/DD/HH/mm/ss tokens; defaults to TEMPLATE.DEFAULT_DATE_FORMAT */
+function formatDateMaybe(input, pattern) {
+  const parsed = parseDateMaybe(input);
+  return parsed ? TEMPLATE.formatDatePattern(parsed, pattern) : '';
 }
 
 function ensureCommentMinimum(text, vars) {
@@ -229,67 +471,61 @@ function ensureCommentMinimum(text, vars) {
   return out.trim();
 }
 
-function textToAdf(text, linkUrl) {
-  const paragraphs = text
-    .split(/\n\n+/)
-    .map((p) => buildAdfParagraph(p, linkUrl))
-    .filter((p) => p.content.length > 0);
-
-  if (paragraphs.length === 0) {
-    paragraphs.push({ type: 'paragraph', content: [{ type: 'text', text: '' }] });
-  }
+// Characters with meaning in Jira wiki markup; escaped so commit text renders literally.
+const WIKI_SPECIAL_CHARS_RE = /([\\{}[\]*_|!^~+])/g;
 
-  return { body: { type: 'doc', version: 1, content: paragraphs } };
+function escapeWikiMarkup(text) {
+  return String(text || '').replace(WIKI_SPECIAL_CHARS_RE, '\\$1');
 }
 
-function buildAdfParagraph(paraText, linkUrl) {
-  const nodes = [];
-  const lines = paraText.split('\n');
-
-  for (let i = 0; i < lines.length; i++) {
-    if (i > 0) nodes.push({ type: 'hardBreak' });
-    nodes.push(...inlineNodesForLine(lines[i], linkUrl));
-  }
+function textToWikiMarkup(text, linkUrl) {
+  const paragraphs = text
+    .split(/\n\n+/)
+    .map((p) => p.split('\n').map((line) => wikiLine(line, linkUrl)).join('\n'))
+    .filter((p) => p.trim().length > 0);
 
-  return { type: 'paragraph', content: nodes };
+  return paragraphs.join('\n\n');
 }
 
-function inlineNodesForLine(line, linkUrl) {
-  if (!line) return [];
-  if (!linkUrl || !line.includes(linkUrl)) return [{ type: 'text', text: line }];
+function wikiLine(line, linkUrl) {
+  if (!line) return '';
+  if (!linkUrl || !line.includes(linkUrl)) return escapeWikiMarkup(line);
 
-  const nodes = [];
-  let cursor = 0;
-
-  while (cursor < line.length) {
-    const idx = line.indexOf(linkUrl, cursor);
-    if (idx === -1) {
-      const tail = line.slice(cursor);
-      if (tail) nodes.push({ type: 'text', text: tail });
-      break;
-    }
-
-    const before = line.slice(cursor, idx);
-    if (before) nodes.push({ type: 'text', text: before });
-
-    nodes.push({
-      type: 'text',
-      text: linkUrl,
-      marks: [{ type: 'link', attrs: { href: linkUrl } }],
-    });
+  return line
+    .split(linkUrl)
+    .map(escapeWikiMarkup)
+    .join(`[${linkUrl}]`);
+}
 
-    cursor = idx + linkUrl.length;
-  }
+// Comment body adapters per deployment: the rendered template text goes in,
+// the request-ready `body` value comes out. Cloud gets Markdown converted to ADF.
+const COMMENT_FORMATS = Object.freeze({
+  cloud: (text, options) => MARKDOWN.markdownToAdf(text, {
+    gerritUrl: options.gerritUrl,
+    issueBaseUrl: options.jiraBaseUrl,
+    issueKeys: options.issueKeys,
+    issueProjects: options.issueProjects,
+    smartLink: options.smartLink,
+  }),
+  server: (text, options) => textToWikiMarkup(text, options.gerritUrl),
+});
 
-  return nodes;
+/** Retry-After is either delta-seconds or an HTTP date; returns ms or null. */
+function parseRetryAfter(value) {
+  const raw = String(value || '').trim();
+  if (!raw) return null;
+  if (/^\d+$/.test(raw)) return Number(raw) * 1000;
+  const at = Date.parse(raw);
+  return Number.isNaN(at) ? null : Math.max(0, at - Date.now());
 }
 
 function mapJiraError(status) {
   switch (status) {
     case 400: return '잘못된 요청 (400): 이슈 키 또는 요청 형식을 확인하세요.';
-    case 401: return '인증 실패 (401): Jira 이메일 또는 API 토큰을 확인하세요.';
+    case 401: return '인증 실패 (401): Jira 이메일/API 토큰 또는 PAT를 확인하세요.';
     case 403: return '권한 없음 (403): 해당 작업 권한이 없습니다.';
     case 404: return '대상을 찾을 수 없음 (404): 이슈 키를 확인하세요.';
+    case 429: return '요청 한도 초과 (429): 잠시 후 다시 시도하세요.';
     default: return `Jira API 오류: HTTP ${status}`;
   }
 }
@@ -297,11 +533,33 @@ function mapJiraError(status) {
 function mapClientError(err, fallbackMessage) {
   if (!err) return fallbackMessage;
   if (err.code === 'missing_credentials') {
-    return 'Jira 이메일/토큰이 설정되지 않았습니다.\n옵션 페이지에서 설정하세요.';
+    return 'Jira 인증 정보(이메일/토큰 또는 PAT)가 설정되지 않았습니다.\n옵션 페이지에서 설정하세요.';
   }
   if (err.code === 'invalid_issue_key') {
     return 'TF-123 같은 이슈키가 필요합니다. 제목 또는 커밋 메시지에 jira: KEY를 추가하세요.';
   }
+  if (err.code === 'missing_host_permission') {
+    return 'Jira 사이트 접근 권한이 없습니다.\n옵션 페이지에서 저장하여 권한을 허용하세요.';
+  }
+  if (err.code === 'transition_unavailable') {
+    return '선택한 상태 전환을 사용할 수 없습니다. 목록을 새로고침하세요.';
+  }
+  if (err.code === 'missing_transition_fields') {
+    return `필수 항목을 입력하세요: ${(err.missing || []).join(', ')}`;
+  }
+  if (err.code === 'comment_exists') {
+    return '이 change에 대해 이미 작성된 코멘트가 있어 자동 재시도를 중단했습니다.';
+  }
+  if (err.code === 'invalid_jql') {
+    return 'JQL이 올바르지 않습니다. 옵션 페이지의 저장된 JQL을 확인하세요.';
+  }
+  if (err.code === 'create_rejected') {
+    return `Jira가 이슈 생성을 거부했습니다.\n${(err.details || []).slice(0, 5).join('\n')}`;
+  }
+  if (err.code === 'template_invalid') {
+    const name = err.templateName ? ` "${err.templateName}"` : '';
+    return `코멘트 템플릿${name}에 오류가 있습니다. 옵션 페이지에서 수정하세요.\n${(err.errors || []).slice(0, 3).join('\n')}`;
+  }
   if (err.code === 'invalid_gerrit_url') {
     return '현재 페이지 URL이 허용된 Gerrit 도메인이 아닙니다.';
   }
@@ -316,27 +574,37 @@ function mapClientError(err, fallbackMessage) {
 
 const jiraClient = {
   async getCredentials() {
-    const { jiraEmail, jiraToken } = await loadStorageData();
-    if (!jiraEmail || !jiraToken) {
+    const { jiraDeployment, jiraEmail, jiraToken } = await loadStorageData();
+    const deployment = resolveDeployment(jiraDeployment);
+    if (!hasCredentials(deployment, jiraEmail, jiraToken)) {
       const error = new Error('Missing credentials');
       error.code = 'missing_credentials';
       throw error;
     }
-    return { email: jiraEmail, token: jiraToken };
+    return { deployment, email: jiraEmail || '', token: jiraToken };
+  },
+
+  async getDeployment() {
+    const { jiraDeployment } = await loadStorageData();
+    return resolveDeployment(jiraDeployment);
   },
 
+  /** `path` is relative to the REST API root of the configured deployment, e.g. `/issue/TF-1`. */
   async fetch(path, options = {}) {
-    assertAllowedJiraBase();
-    const { email, token } = await this.getCredentials();
+    await getSiteConfig();
+    const jiraBase = await resolveAllowedJiraBase();
+    const { deployment, email, token } = await this.getCredentials();
+    const apiRoot = JIRA_DEPLOYMENTS[deployment].apiRoot;
 
     const headers = {
-      Authorization: `Basic ${btoa(`${email}:${token}`)}`,
+      Authorization: buildAuthorizationHeader(deployment, email, token),
       Accept: 'application/json',
       ...(options.body ? { 'Content-Type': 'application/json' } : {}),
     };
 
+    let resp;
     try {
-      return await fetch(`${JIRA_BASE}${path}`, {
+      resp = await fetch(`${jiraBase}${apiRoot}${path}`, {
         method: options.method || 'GET',
         headers,
         body: options.body ? JSON.stringify(options.body) : undefined,
@@ -346,17 +614,42 @@ const jiraClient = {
       error.code = 'network_error';
       throw error;
     }
+
+    if (resp.status === 429) {
+      const error = new Error('Rate limited');
+      error.status = 429;
+      error.retryAfterMs = parseRetryAfter(resp.headers.get('Retry-After'));
+      throw error;
+    }
+    return resp;
   },
 
-  async getIssue(issueKey) {
+  /**
+   * Requests only the Jira fields behind `displayFields` (ISSUE_DETAILS keys) on top of
+   * summary/status/assignee. Recent comments come from the comment endpoint; Server/DC
+   * descriptions are rendered to HTML by Jira, Cloud ones stay ADF for renderAdf.
+   */
+  async getIssue(issueKey, displayFields = ISSUE_DETAILS.DEFAULT_FIELDS) {
     if (!isValidIssueKey(issueKey)) {
       const error = new Error('Invalid issue key');
       error.code = 'invalid_issue_key';
       throw error;
     }
 
-    const path = `/rest/api/3/issue/${encodeURIComponent(issueKey)}?fields=summary,status,assignee`;
-    const resp = await this.fetch(path, { method: 'GET' });
+    const wanted = new Set(displayFields);
+    const fields = ['summary', 'status', 'assignee'];
+    for (const key of wanted) fields.push(...(ISSUE_DETAIL_JIRA_FIELDS[key] || []));
+    const customIds = wanted.has('sprint') || wanted.has('parent') ? await this.getCustomFieldIds() : {};
+    if (wanted.has('sprint') && customIds.sprint) fields.push(customIds.sprint);
+    if (wanted.has('parent') && customIds.epicLink) fields.push(customIds.epicLink);
+    const rendered = wanted.has('description') && await this.getDeployment() === 'server';
+
+    const path = `/issue/${encodeURIComponent(issueKey)}?fields=${fields.join(',')}${rendered ? '&expand=renderedFields' : ''}`;
+    const [resp, comments] = await Promise.all([
+      this.fetch(path, { method: 'GET' }),
+      // A failing comment request only hides the comments; the issue request reports errors.
+      wanted.has('comments') ? this.getRecentComments(issueKey).catch(() => []) : [],
+    ]);
 
     if (resp.status !== 200) {
       const error = new Error('Issue request failed');
@@ -364,12 +657,46 @@ const jiraClient = {
       throw error;
     }
 
+    return normalizeIssue(await resp.json(), { comments, customIds });
+  },
+
+  /** Newest first, at most ISSUE_RECENT_COMMENTS. */
+  async getRecentComments(issueKey) {
+    const resp = await this.fetch(
+      `/issue/${encodeURIComponent(issueKey)}/comment?orderBy=-created&maxResults=${ISSUE_RECENT_COMMENTS}`,
+      { method: 'GET' },
+    );
+
+    if (resp.status !== 200) {
+      const error = new Error('Comment request failed');
+      error.status = resp.status;
+      throw error;
+    }
+
     const json = await resp.json();
-    return {
-      summary: String(json?.fields?.summary || ''),
-      status: String(json?.fields?.status?.name || ''),
-      assignee: String(json?.fields?.assignee?.displayName || 'Unassigned'),
-    };
+    return Array.isArray(json?.comments) ? json.comments : [];
+  },
+
+  /** Sprint and Epic Link are custom fields whose ids differ per site; cached per Jira base. */
+  async getCustomFieldIds() {
+    const { jiraBaseUrl } = await getSiteConfig();
+    if (customFieldIdsCache?.base !== jiraBaseUrl) {
+      const ids = this.fetch('/field', { method: 'GET' }).then(async (resp) => {
+        if (resp.status !== 200) {
+          const error = new Error('Field request failed');
+          error.status = resp.status;
+          throw error;
+        }
+        const list = await resp.json();
+        const names = Object.fromEntries((Array.isArray(list) ? list : []).map((f) => [f?.id, f?.name]));
+        return { sprint: findFieldIdByName(names, 'sprint'), epicLink: findFieldIdByName(names, 'epic link') };
+      });
+      customFieldIdsCache = { base: jiraBaseUrl, ids };
+      ids.catch(() => {
+        if (customFieldIdsCache?.ids === ids) customFieldIdsCache = null;
+      });
+    }
+    return customFieldIdsCache.ids;
   },
 
   async addRemoteLink(issueKey, payload) {
@@ -380,7 +707,7 @@ const jiraClient = {
     }
 
     const resp = await this.fetch(
-      `/rest/api/3/issue/${encodeURIComponent(issueKey)}/remotelink`,
+      `/issue/${encodeURIComponent(issueKey)}/remotelink`,
       {
         method: 'POST',
         body: payload,
@@ -392,9 +719,34 @@ const jiraClient = {
       error.status = resp.status;
       throw error;
     }
+
+    const json = await resp.json().catch(() => null);
+    return String(json?.id ?? '');
+  },
+
+  async getRemoteLinks(issueKey) {
+    if (!isValidIssueKey(issueKey)) {
+      const error = new Error('Invalid issue key');
+      error.code = 'invalid_issue_key';
+      throw error;
+    }
+
+    const resp = await this.fetch(
+      `/issue/${encodeURIComponent(issueKey)}/remotelink`,
+      { method: 'GET' },
+    );
+
+    if (resp.status !== 200) {
+      const error = new Error('Remote link list request failed');
+      error.status = resp.status;
+      throw error;
+    }
+
+    const json = await resp.json();
+    return Array.isArray(json) ? json : [];
   },
 
-  async addComment(issueKey, adfDoc) {
+  async updateRemoteLink(issueKey, linkId, payload) {
     if (!isValidIssueKey(issueKey)) {
       const error = new Error('Invalid issue key');
       error.code = 'invalid_issue_key';
@@ -402,163 +754,2372 @@ const jiraClient = {
     }
 
     const resp = await this.fetch(
-      `/rest/api/3/issue/${encodeURIComponent(issueKey)}/comment`,
+      `/issue/${encodeURIComponent(issueKey)}/remotelink/${encodeURIComponent(linkId)}`,
       {
-        method: 'POST',
-        body: { body: adfDoc },
+        method: 'PUT',
+        body: payload,
       },
     );
 
-    if (resp.status !== 201) {
-      const error = new Error('Comment request failed');
+    if (resp.status !== 204 && resp.status !== 200) {
+      const error = new Error('Remote link update failed');
       error.status = resp.status;
       throw error;
     }
   },
-};
 
-function buildRemoteLinkPayload(context) {
-  const payload = {
-    object: {
-      url: context.gerritUrl,
-      title: `Gerrit: ${context.subject || '(no title)'}`,
-    },
-  };
+  async deleteRemoteLink(issueKey, linkId) {
+    if (!isValidIssueKey(issueKey)) {
+      const error = new Error('Invalid issue key');
+      error.code = 'invalid_issue_key';
+      throw error;
+    }
 
-  if (context.changeNum) {
-    payload.globalId = `gerrit:change:${context.changeNum}`;
-  } else if (context.changeId) {
-    payload.globalId = `gerrit:changeid:${context.changeId}`;
-  }
+    const resp = await this.fetch(
+      `/issue/${encodeURIComponent(issueKey)}/remotelink/${encodeURIComponent(linkId)}`,
+      { method: 'DELETE' },
+    );
 
-  return payload;
-}
+    if (resp.status !== 204) {
+      const error = new Error('Remote link delete failed');
+      error.status = resp.status;
+      throw error;
+    }
+  },
 
-async function buildCommentAdf(context) {
-  const { commentTemplate } = await loadStorageData();
-  const template = (commentTemplate || '').trim() || DEFAULT_TEMPLATE;
-  const reflectedAt = formatDateMaybe(context.submittedAt);
+  /** `commentBody` is an ADF doc (Cloud) or a wiki markup string (Server), see buildCommentAdf. */
+  async addComment(issueKey, commentBody, properties) {
+    if (!isValidIssueKey(issueKey)) {
+      const error = new Error('Invalid issue key');
+      error.code = 'invalid_issue_key';
+      throw error;
+    }
 
-  const rendered = renderTemplate(template, {
-    title: context.subject || '(no title)',
-    body: context.body || '',
-    branch: context.branch || '',
-    changeNum: context.changeNum || '',
-    changeId: context.changeId || '',
-    project: context.project || '',
-    owner: context.owner || '',
-    date: reflectedAt,
-    url: context.gerritUrl,
-  });
+    const resp = await this.fetch(
+      `/issue/${encodeURIComponent(issueKey)}/comment`,
+      {
+        method: 'POST',
+        body: properties ? { body: commentBody, properties } : { body: commentBody },
+      },
+    );
 
-  const safeText = ensureCommentMinimum(rendered, {
-    title: context.subject || '(no title)',
-    url: context.gerritUrl,
-  });
+    if (resp.status !== 201) {
+      const error = new Error('Comment request failed');
+      error.status = resp.status;
+      throw error;
+    }
 
-  return textToAdf(safeText, context.gerritUrl).body;
-}
+    const json = await resp.json().catch(() => null);
+    return String(json?.id ?? '');
+  },
 
-async function handlePopupGetContext() {
-  const result = await getActiveGerritContext();
-  if (!result.ok) {
-    return { ok: false, message: result.message };
-  }
-  return { ok: true, context: result.context };
-}
+  async deleteComment(issueKey, commentId) {
+    if (!isValidIssueKey(issueKey)) {
+      const error = new Error('Invalid issue key');
+      error.code = 'invalid_issue_key';
+      throw error;
+    }
 
-async function handlePopupGetAuthState() {
-  const { jiraEmail, jiraToken } = await loadStorageData();
-  return {
-    ok: true,
-    configured: !!(jiraEmail && jiraToken),
-  };
-}
+    const resp = await this.fetch(
+      `/issue/${encodeURIComponent(issueKey)}/comment/${encodeURIComponent(commentId)}`,
+      { method: 'DELETE' },
+    );
 
-async function handlePopupGetIssue(issueKey) {
-  try {
-    const key = String(issueKey || '').trim();
-    const issue = await jiraClient.getIssue(key);
-    return { ok: true, issue };
-  } catch (err) {
-    return {
-      ok: false,
-      message: mapClientError(err, '이슈 조회에 실패했습니다.'),
-    };
-  }
-}
+    if (resp.status !== 204) {
+      const error = new Error('Comment delete failed');
+      error.status = resp.status;
+      throw error;
+    }
+  },
 
-async function handlePopupAddRemoteLink(issueKeyOverride) {
-  const contextResp = await getActiveGerritContext();
-  if (!contextResp.ok) {
-    return { ok: false, message: contextResp.message };
-  }
+  async listComments(issueKey) {
+    if (!isValidIssueKey(issueKey)) {
+      const error = new Error('Invalid issue key');
+      error.code = 'invalid_issue_key';
+      throw error;
+    }
 
-  const context = contextResp.context;
-  const overrideKey = String(issueKeyOverride || '').trim().toUpperCase();
-  const issueKey = isValidIssueKey(overrideKey) ? overrideKey : context.issueKey;
+    const comments = [];
+    let startAt = 0;
+    while (startAt < COMMENT_LIST_MAX) {
+      const resp = await this.fetch(
+        `/issue/${encodeURIComponent(issueKey)}/comment?expand=properties&startAt=${startAt}&maxResults=${COMMENT_LIST_PAGE_SIZE}`,
+        { method: 'GET' },
+      );
+
+      if (resp.status !== 200) {
+        const error = new Error('Comment list request failed');
+        error.status = resp.status;
+        throw error;
+      }
 
-  if (!issueKey) {
-    return {
-      ok: false,
-      message: 'TF-123 같은 이슈키가 필요합니다. 제목 또는 커밋 메시지에 jira: KEY를 추가하세요.',
-    };
-  }
-  if (!isAllowedChangeUrl(context.gerritUrl)) {
-    return {
-      ok: false,
-      message: '현재 페이지 URL이 허용된 Gerrit 도메인이 아닙니다.',
-    };
-  }
+      const json = await resp.json();
+      const page = Array.isArray(json?.comments) ? json.comments : [];
+      comments.push(...page);
 
-  try {
-    await jiraClient.addRemoteLink(issueKey, buildRemoteLinkPayload(context));
-    return { ok: true, issueKey };
-  } catch (err) {
-    return {
-      ok: false,
-      message: mapClientError(err, '웹링크 추가에 실패했습니다.'),
+      const total = Number(json?.total || 0);
+      startAt += page.length;
+      if (page.length === 0 || startAt >= total) break;
+    }
+    return comments;
+  },
+
+  async updateComment(issueKey, commentId, commentBody, properties) {
+    if (!isValidIssueKey(issueKey)) {
+      const error = new Error('Invalid issue key');
+      error.code = 'invalid_issue_key';
+      throw error;
+    }
+
+    const resp = await this.fetch(
+      `/issue/${encodeURIComponent(issueKey)}/comment/${encodeURIComponent(commentId)}`,
+      {
+        method: 'PUT',
+        body: properties ? { body: commentBody, properties } : { body: commentBody },
+      },
+    );
+
+    if (resp.status !== 200) {
+      const error = new Error('Comment update failed');
+      error.status = resp.status;
+      throw error;
+    }
+  },
+
+  async getIssueStatus(issueKey) {
+    if (!isValidIssueKey(issueKey)) {
+      const error = new Error('Invalid issue key');
+      error.code = 'invalid_issue_key';
+      throw error;
+    }
+
+    const resp = await this.fetch(`/issue/${encodeURIComponent(issueKey)}?fields=status`, { method: 'GET' });
+
+    if (resp.status !== 200) {
+      const error = new Error('Issue status request failed');
+      error.status = resp.status;
+      throw error;
+    }
+
+    const json = await resp.json();
+    return String(json?.fields?.status?.name || '');
+  },
+
+  /** Just enough of an issue for a hover card; much lighter than getIssue. */
+  async getIssueCard(issueKey) {
+    if (!isValidIssueKey(issueKey)) {
+      const error = new Error('Invalid issue key');
+      error.code = 'invalid_issue_key';
+      throw error;
+    }
+
+    const resp = await this.fetch(
+      `/issue/${encodeURIComponent(issueKey)}?fields=summary,status,assignee,issuetype`,
+      { method: 'GET' },
+    );
+
+    if (resp.status !== 200) {
+      const error = new Error('Issue card request failed');
+      error.status = resp.status;
+      throw error;
+    }
+
+    const fields = (await resp.json())?.fields || {};
+    return {
+      summary: String(fields.summary || ''),
+      status: String(fields.status?.name || ''),
+      statusCategory: String(fields.status?.statusCategory?.key || ''),
+      assignee: String(fields.assignee?.displayName || 'Unassigned'),
+      issueType: String(fields.issuetype?.name || ''),
+    };
+  },
+
+  async getTransitions(issueKey) {
+    if (!isValidIssueKey(issueKey)) {
+      const error = new Error('Invalid issue key');
+      error.code = 'invalid_issue_key';
+      throw error;
+    }
+
+    const resp = await this.fetch(
+      `/issue/${encodeURIComponent(issueKey)}/transitions?expand=transitions.fields`,
+      { method: 'GET' },
+    );
+
+    if (resp.status !== 200) {
+      const error = new Error('Transitions request failed');
+      error.status = resp.status;
+      throw error;
+    }
+
+    const json = await resp.json();
+    const transitions = Array.isArray(json?.transitions) ? json.transitions : [];
+    return transitions.map(normalizeTransition).filter((t) => t.id);
+  },
+
+  async doTransition(issueKey, transitionId, fields) {
+    if (!isValidIssueKey(issueKey)) {
+      const error = new Error('Invalid issue key');
+      error.code = 'invalid_issue_key';
+      throw error;
+    }
+
+    const body = { transition: { id: String(transitionId) } };
+    if (fields && Object.keys(fields).length > 0) {
+      body.fields = fields;
+    }
+
+    const resp = await this.fetch(
+      `/issue/${encodeURIComponent(issueKey)}/transitions`,
+      {
+        method: 'POST',
+        body,
+      },
+    );
+
+    if (resp.status !== 204) {
+      const error = new Error('Transition request failed');
+      error.status = resp.status;
+      throw error;
+    }
+  },
+
+  /** Returns `{ key, summary, status }` for each match; a 400 means the JQL itself is invalid. */
+  async searchIssues(jql, maxResults) {
+    const deployment = await this.getDeployment();
+    const params = new URLSearchParams({ jql, fields: 'summary,status', maxResults: String(maxResults) });
+    // Cloud retired GET /search in favour of /search/jql; Server/DC only has the former.
+    const path = deployment === 'cloud' ? '/search/jql' : '/search';
+    const resp = await this.fetch(`${path}?${params}`, { method: 'GET' });
+
+    if (resp.status !== 200) {
+      const error = new Error('Issue search request failed');
+      error.status = resp.status;
+      if (resp.status === 400) error.code = 'invalid_jql';
+      throw error;
+    }
+
+    const json = await resp.json();
+    return (Array.isArray(json?.issues) ? json.issues : [])
+      .map((issue) => ({
+        key: String(issue?.key || ''),
+        summary: String(issue?.fields?.summary || ''),
+        status: String(issue?.fields?.status?.name || ''),
+      }))
+      .filter((issue) => isValidIssueKey(issue.key));
+  },
+
+  /** Projects the user can create issues in (Cloud filters by permission; Server lists browsable ones). */
+  async listCreatableProjects() {
+    const deployment = await this.getDeployment();
+    const path = deployment === 'cloud'
+      ? `/project/search?action=create&orderBy=name&maxResults=${CREATE_META_MAX}`
+      : '/project';
+    const resp = await this.fetch(path, { method: 'GET' });
+
+    if (resp.status !== 200) {
+      const error = new Error('Project list request failed');
+      error.status = resp.status;
+      throw error;
+    }
+
+    const json = await resp.json();
+    const projects = Array.isArray(json) ? json : (Array.isArray(json?.values) ? json.values : []);
+    return projects
+      .map((p) => ({ key: String(p?.key || ''), name: String(p?.name || '') }))
+      .filter((p) => p.key)
+      .sort((a, b) => a.name.localeCompare(b.name));
+  },
+
+  async getCreateIssueTypes(projectKey) {
+    const resp = await this.fetch(
+      `/issue/createmeta/${encodeURIComponent(projectKey)}/issuetypes?maxResults=${CREATE_META_MAX}`,
+      { method: 'GET' },
+    );
+
+    if (resp.status !== 200) {
+      const error = new Error('Create metadata request failed');
+      error.status = resp.status;
+      throw error;
+    }
+
+    // Cloud answers `{ issueTypes }`, Server/DC `{ values }`.
+    const json = await resp.json();
+    const types = Array.isArray(json?.issueTypes) ? json.issueTypes : (Array.isArray(json?.values) ? json.values : []);
+    // Sub-tasks need a parent issue, which this flow does not ask for.
+    return types
+      .filter((t) => t?.id && !t.subtask)
+      .map((t) => ({ id: String(t.id), name: String(t.name || '') }));
+  },
+
+  /** Returns `{ id, displayName }` where `id` is the Cloud accountId or the Server username. */
+  async searchAssignableUsers(projectKey, query = '') {
+    const deployment = await this.getDeployment();
+    const params = new URLSearchParams({ project: projectKey, maxResults: String(CREATE_META_MAX) });
+    if (query) params.set(deployment === 'cloud' ? 'query' : 'username', query);
+    const resp = await this.fetch(`/user/assignable/search?${params}`, { method: 'GET' });
+
+    if (resp.status !== 200) {
+      const error = new Error('Assignable user request failed');
+      error.status = resp.status;
+      throw error;
+    }
+
+    const json = await resp.json();
+    return (Array.isArray(json) ? json : [])
+      .filter((u) => u?.active !== false)
+      .map((u) => ({
+        id: String((deployment === 'cloud' ? u?.accountId : u?.name) || ''),
+        displayName: String(u?.displayName || u?.name || ''),
+      }))
+      .filter((u) => u.id);
+  },
+
+  /** `fields` is the request-ready `fields` object; returns the new issue key. */
+  async createIssue(fields) {
+    const resp = await this.fetch('/issue', { method: 'POST', body: { fields } });
+
+    if (resp.status !== 201) {
+      const error = new Error('Create issue request failed');
+      error.status = resp.status;
+      if (resp.status === 400) {
+        // Missing required fields and similar come back as `{ errors: { field: message } }`.
+        const json = await resp.json().catch(() => null);
+        const details = [
+          ...(Array.isArray(json?.errorMessages) ? json.errorMessages : []),
+          ...Object.entries(json?.errors || {}).map(([field, message]) => `${field}: ${message}`),
+        ];
+        if (details.length > 0) {
+          error.code = 'create_rejected';
+          error.details = details;
+        }
+      }
+      throw error;
+    }
+
+    const json = await resp.json();
+    const key = String(json?.key || '');
+    if (!isValidIssueKey(key)) {
+      const error = new Error('Create issue response without key');
+      error.status = resp.status;
+      throw error;
+    }
+    return key;
+  },
+};
+
+// Transition screen fields are reduced to three input kinds the popup/FAB can render.
+// Fields of other shapes are skipped unless Jira marks them required.
+function resolveTransitionFieldKind(field) {
+  const hasOptions = Array.isArray(field?.allowedValues) && field.allowedValues.length > 0;
+  const schemaType = String(field?.schema?.type || '');
+  if (hasOptions && schemaType === 'array') return 'multiselect';
+  if (hasOptions) return 'select';
+  if (schemaType === 'string') return 'text';
+  if (schemaType === 'number') return 'number';
+  return null;
+}
+
+function normalizeTransitionField(key, field) {
+  const kind = resolveTransitionFieldKind(field);
+  const required = !!field?.required;
+  if (key === 'comment' || (!kind && !required)) return null;
+
+  return {
+    key,
+    name: String(field?.name || key),
+    required,
+    kind: kind || 'text',
+    options: (Array.isArray(field?.allowedValues) ? field.allowedValues : [])
+      .map((opt) => ({
+        id: String(opt?.id || ''),
+        name: String(opt?.name || opt?.value || opt?.id || ''),
+      }))
+      .filter((opt) => opt.id),
+  };
+}
+
+const ISSUE_DESCRIPTION_EXCERPT = 400;
+const ISSUE_COMMENT_EXCERPT = 240;
+const ISSUE_RECENT_COMMENTS = 3;
+
+// Jira fields requested per ISSUE_DETAILS key; sprint and the Epic Link half of parent
+// are custom fields resolved by jiraClient.getCustomFieldIds, comments use their own endpoint.
+const ISSUE_DETAIL_JIRA_FIELDS = Object.freeze({
+  issueType: ['issuetype'],
+  priority: ['priority'],
+  reporter: ['reporter'],
+  labels: ['labels'],
+  components: ['components'],
+  fixVersions: ['fixVersions'],
+  parent: ['parent'],
+  description: ['description'],
+});
+
+/** { base, ids: Promise<{ sprint, epicLink }> } for the configured Jira site. */
+let customFieldIdsCache = null;
+
+function excerpt(text, max) {
+  const clean = String(text || '').replace(/\n{3,}/g, '\n\n').trim();
+  return clean.length > max ? `${clean.slice(0, max - 1)}…` : clean;
+}
+
+/** Cloud returns ADF docs, Server/DC plain wiki strings; both become plain text. */
+function richTextToPlain(value) {
+  if (!value) return '';
+  if (typeof value === 'string') return value;
+
+  const out = [];
+  const walk = (node) => {
+    if (!node || typeof node !== 'object') return;
+    if (node.type === 'text') out.push(node.text || '');
+    else if (node.type === 'hardBreak') out.push('\n');
+    else if (node.type === 'mention' || node.type === 'emoji') out.push(node.attrs?.text || '');
+    else if (node.type === 'inlineCard') out.push(node.attrs?.url || '');
+    for (const child of node.content || []) walk(child);
+    if (['paragraph', 'heading', 'listItem', 'codeBlock', 'blockquote'].includes(node.type)) out.push('\n');
+  };
+  walk(value);
+  return out.join('');
+}
+
+function findFieldIdByName(names, wanted) {
+  const entry = Object.entries(names || {}).find(([, name]) => String(name).toLowerCase() === wanted);
+  return entry ? entry[0] : '';
+}
+
+/** Sprint values are objects on Cloud and serialized "…[name=Sprint 3,state=ACTIVE,…]" strings on Server. */
+function parseSprintName(value) {
+  const sprints = (Array.isArray(value) ? value : [value])
+    .map((s) => {
+      if (s && typeof s === 'object') return { name: String(s.name || ''), state: String(s.state || '').toLowerCase() };
+      const str = String(s || '');
+      return {
+        name: (str.match(/[[,]name=([^,\]]*)/) || [])[1] || '',
+        state: ((str.match(/[[,]state=([^,\]]*)/) || [])[1] || '').toLowerCase(),
+      };
+    })
+    .filter((s) => s.name);
+  const active = sprints.find((s) => s.state === 'active');
+  return (active || sprints[sprints.length - 1])?.name || '';
+}
+
+function namesOf(list) {
+  return (Array.isArray(list) ? list : []).map((v) => String(v?.name ?? v ?? '')).filter(Boolean);
+}
+
+/** `comments` come newest first from jiraClient.getRecentComments. */
+function normalizeIssue(json, { comments = [], customIds = {} } = {}) {
+  const fields = json?.fields || {};
+  const sprintId = customIds.sprint || '';
+  const epicLinkId = customIds.epicLink || '';
+
+  let parent = null;
+  if (fields.parent?.key) {
+    parent = { key: String(fields.parent.key), summary: String(fields.parent.fields?.summary || '') };
+  } else if (epicLinkId && typeof fields[epicLinkId] === 'string') {
+    parent = { key: fields[epicLinkId], summary: '' };
+  }
+
+  return {
+    summary: String(fields.summary || ''),
+    status: String(fields.status?.name || ''),
+    statusCategory: String(fields.status?.statusCategory?.key || ''),
+    assignee: String(fields.assignee?.displayName || 'Unassigned'),
+    issueType: String(fields.issuetype?.name || ''),
+    priority: String(fields.priority?.name || ''),
+    reporter: String(fields.reporter?.displayName || ''),
+    labels: (Array.isArray(fields.labels) ? fields.labels : []).map(String),
+    components: namesOf(fields.components),
+    fixVersions: namesOf(fields.fixVersions),
+    sprint: sprintId ? parseSprintName(fields[sprintId]) : '',
+    parent,
+    // Plain excerpt for when neither rich form is available.
+    description: excerpt(richTextToPlain(fields.description), ISSUE_DESCRIPTION_EXCERPT),
+    descriptionHtml: String(json?.renderedFields?.description || ''),
+    descriptionAdf: fields.description && typeof fields.description === 'object' ? fields.description : null,
+    comments: comments.slice(0, ISSUE_RECENT_COMMENTS).map((c) => ({
+      author: String(c?.author?.displayName || ''),
+      created: formatDateMaybe(c?.created),
+      body: excerpt(richTextToPlain(c?.body), ISSUE_COMMENT_EXCERPT),
+    })),
+  };
+}
+
+function normalizeTransition(raw) {
+  const fields = Object.entries(raw?.fields || {})
+    .map(([key, field]) => normalizeTransitionField(key, field))
+    .filter(Boolean);
+
+  return {
+    id: String(raw?.id || ''),
+    name: String(raw?.name || ''),
+    to: String(raw?.to?.name || ''),
+    fields,
+  };
+}
+
+function buildTransitionFieldsPayload(transition, values) {
+  const input = values && typeof values === 'object' ? values : {};
+  const fields = {};
+  const missing = [];
+
+  for (const field of transition.fields) {
+    const raw = input[field.key];
+    const list = (Array.isArray(raw) ? raw : [raw])
+      .map((v) => String(v ?? '').trim())
+      .filter(Boolean);
+
+    if (list.length === 0) {
+      if (field.required) missing.push(field.name);
+      continue;
+    }
+
+    if (field.kind === 'multiselect') {
+      fields[field.key] = list.map((id) => ({ id }));
+    } else if (field.kind === 'select') {
+      fields[field.key] = { id: list[0] };
+    } else if (field.kind === 'number') {
+      fields[field.key] = Number(list[0]);
+    } else {
+      fields[field.key] = list[0];
+    }
+  }
+
+  return { fields, missing };
+}
+
+function buildRemoteLinkPayload(context) {
+  const payload = {
+    object: {
+      url: context.gerritUrl,
+      title: `Gerrit: ${context.subject || '(no title)'}`,
+    },
+  };
+
+  if (context.changeNum) {
+    payload.globalId = `gerrit:change:${context.changeNum}`;
+  } else if (context.changeId) {
+    payload.globalId = `gerrit:changeid:${context.changeId}`;
+  }
+
+  if (context.status) {
+    payload.object.status = {
+      resolved: context.status === 'MERGED' || context.status === 'ABANDONED',
+      icon: { title: context.status },
+    };
+  }
+
+  return payload;
+}
+
+function extractChangeNumFromUrl(url) {
+  try {
+    const m = new URL(String(url || '')).pathname.match(/\/\+\/(\d+)/);
+    return m ? m[1] : '';
+  } catch {
+    return '';
+  }
+}
+
+// A link belongs to this change when it carries our globalId, or (for links
+// created by hand) when its URL points at the same Gerrit change number.
+function isRemoteLinkForChange(link, context) {
+  const { globalId } = buildRemoteLinkPayload(context);
+  if (globalId && link?.globalId === globalId) return true;
+
+  const url = String(link?.object?.url || '');
+  if (!url || !isGerritTab(url) || !context.changeNum) return false;
+  return extractChangeNumFromUrl(url) === context.changeNum;
+}
+
+async function findGerritRemoteLink(issueKey, context) {
+  const links = await jiraClient.getRemoteLinks(issueKey);
+  return links.find((link) => isRemoteLinkForChange(link, context)) || null;
+}
+
+function buildCommentMarkerProperties(context) {
+  return [{
+    key: COMMENT_MARKER_PROPERTY_KEY,
+    value: {
+      changeNum: context.changeNum || '',
+      changeId: context.changeId || '',
+      project: context.project || '',
+      patchset: context.patchset || '',
+    },
+  }];
+}
+
+function readCommentMarker(comment) {
+  const props = Array.isArray(comment?.properties) ? comment.properties : [];
+  const marker = props.find((p) => p?.key === COMMENT_MARKER_PROPERTY_KEY);
+  return marker && typeof marker.value === 'object' ? marker.value : null;
+}
+
+function isCommentForChange(comment, context) {
+  const marker = readCommentMarker(comment);
+  if (!marker) return false;
+  if (context.changeId && marker.changeId) return marker.changeId === context.changeId;
+  return !!context.changeNum && marker.changeNum === context.changeNum;
+}
+
+// Returns the most recent extension-created comment for this change, if any.
+async function findExtensionComment(issueKey, context) {
+  const comments = await jiraClient.listComments(issueKey);
+  const matches = comments.filter((c) => isCommentForChange(c, context));
+  return matches.length > 0 ? matches[matches.length - 1] : null;
+}
+
+// -- Action rules --------------------------------------------------------------
+// Ordered list edited on the options page; the first rule whose project/branch globs
+// and issue-key prefix all match decides the template, remote-link and transition defaults.
+
+function globToRegExp(glob) {
+  const source = String(glob)
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*')
+    .replace(/\?/g, '.');
+  return new RegExp(`^${source}$`);
+}
+
+function normalizeActionRule(raw) {
+  if (!raw || typeof raw !== 'object' || !raw.id) return null;
+  return {
+    id: String(raw.id),
+    name: String(raw.name || '').trim() || '이름 없는 규칙',
+    project: String(raw.project || '').trim(),
+    branch: String(raw.branch || '').trim(),
+    issuePrefix: String(raw.issuePrefix || '').trim().toUpperCase().replace(/-$/, ''),
+    templateId: String(raw.templateId || ''),
+    // true / false force the choice; null leaves the action as is.
+    remoteLink: typeof raw.remoteLink === 'boolean' ? raw.remoteLink : null,
+    transition: String(raw.transition || '').trim(),
+  };
+}
+
+function loadActionRules() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get([ACTION_RULES_KEY], (data) => {
+      const list = Array.isArray(data?.[ACTION_RULES_KEY]) ? data[ACTION_RULES_KEY] : [];
+      resolve(list.map(normalizeActionRule).filter(Boolean));
+    });
+  });
+}
+
+function actionRuleMatches(rule, context, issueKey) {
+  if (rule.project && !globToRegExp(rule.project).test(context?.project || '')) return false;
+  if (rule.branch && !globToRegExp(rule.branch).test(context?.branch || '')) return false;
+  if (rule.issuePrefix && !String(issueKey || '').startsWith(`${rule.issuePrefix}-`)) return false;
+  return true;
+}
+
+/** Returns the first rule matching `context` and `issueKey`, or null. */
+async function resolveActionRule(context, issueKey) {
+  const rules = await loadActionRules();
+  return rules.find((rule) => actionRuleMatches(rule, context, issueKey)) || null;
+}
+
+/** The part of a rule that is shown to the user ("which rule applied"). */
+function toRuleView(rule) {
+  return rule ? { id: rule.id, name: rule.name } : null;
+}
+
+/** Matches the rule's transition against transition names first, then target statuses. */
+function findRuleTransition(rule, transitions) {
+  const wanted = String(rule?.transition || '').toLowerCase();
+  if (!wanted) return null;
+  return transitions.find((t) => t.name.toLowerCase() === wanted)
+    || transitions.find((t) => t.to.toLowerCase() === wanted)
+    || null;
+}
+
+async function loadTemplateLibrary() {
+  return TEMPLATE.resolveTemplateLibrary(await loadStorageData());
+}
+
+/**
+ * Picks the comment template: an explicit `templateId` wins, then the matching rule's
+ * template, then the library default.
+ */
+async function pickCommentTemplate(context, issueKey, templateId) {
+  const library = await loadTemplateLibrary();
+  const rule = templateId ? null : await resolveActionRule(context, issueKey);
+  return {
+    library,
+    rule,
+    template: TEMPLATE.pickTemplate(library, templateId || rule?.templateId),
+  };
+}
+
+/**
+ * Renders the template picked by pickCommentTemplate for `context` into the plain text
+ * shown in the preview. Throws 'template_invalid' (with `templateName`) when it does not parse.
+ */
+async function renderCommentText(context, issueKey, templateId) {
+  const { template: picked } = await pickCommentTemplate(context, issueKey, templateId);
+  const template = (picked.body || '').trim() || TEMPLATE.DEFAULT_TEMPLATE;
+  const vars = {
+    title: context.subject || '(no title)',
+    body: context.body || '',
+    branch: context.branch || '',
+    change_num: context.changeNum || '',
+    change_id: context.changeId || '',
+    project: context.project || '',
+    owner: context.owner || '',
+    date: parseDateMaybe(context.submittedAt) || '',
+    url: context.gerritUrl,
+    patchset: context.patchset || '',
+    status: context.status || '',
+    topic: context.topic || '',
+    hashtags: (context.hashtags || []).join(', '),
+    reviewers: (context.reviewers || []).join(', '),
+    submitter: context.submitter || '',
+    code_review: context.codeReview || '',
+    verified: context.verified || '',
+    insertions: context.insertions || '',
+    deletions: context.deletions || '',
+    files: context.files || [],
+    file_count: context.files?.length ? String(context.files.length) : '',
+  };
+
+  // The options page refuses to save invalid templates, but values saved by older versions
+  // can still fail to parse. Posting stops until the template is fixed.
+  let rendered;
+  try {
+    rendered = TEMPLATE.renderTemplate(template, vars);
+  } catch (err) {
+    if (err?.code === 'template_invalid') err.templateName = picked.name;
+    throw err;
+  }
+
+  return ensureCommentMinimum(rendered, {
+    title: context.subject || '(no title)',
+    url: context.gerritUrl,
+  });
+}
+
+/**
+ * What the popup/FAB preview needs to reproduce COMMENT_FORMATS output client-side.
+ * Issue keys link by the options' `issueLinkProjects` prefixes; without any, only the
+ * change's own keys (preferredIssueKeys) and `targetKeys` link.
+ */
+async function getCommentFormatOptions(context, targetKeys = []) {
+  const { jiraDeployment, adfSmartLink, issueLinkProjects } = await loadStorageData();
+  const { jiraBaseUrl } = await getSiteConfig();
+  return {
+    deployment: resolveDeployment(jiraDeployment),
+    gerritUrl: context.gerritUrl,
+    jiraBaseUrl,
+    issueKeys: [...new Set([...preferredIssueKeys(context), ...targetKeys])],
+    issueProjects: (Array.isArray(issueLinkProjects) ? issueLinkProjects : []).map(String),
+    smartLink: adfSmartLink === true,
+  };
+}
+
+/**
+ * Returns the request-ready comment body in the configured site's format: an ADF doc for
+ * Cloud, wiki markup for Server/DC. `draft.commentText` (edited in the preview) replaces
+ * the rendered template when given; otherwise `draft.templateId` or the rule matching
+ * `issueKey` picks the template.
+ */
+async function buildCommentAdf(context, draft = {}, issueKey = '') {
+  const text = draft.commentText || await renderCommentText(context, issueKey, draft.templateId);
+  const options = await getCommentFormatOptions(context, issueKey ? [issueKey] : []);
+  return COMMENT_FORMATS[options.deployment](text, options);
+}
+
+async function handlePopupGetContext() {
+  const result = await getActiveGerritContext();
+  if (!result.ok) {
+    return { ok: false, message: result.message };
+  }
+
+  // issueKey → applied rule, so the popup can show which rule each key falls under.
+  const rules = {};
+  for (const { key } of result.context.issueKeys || []) {
+    const rule = await resolveActionRule(result.context, key);
+    if (rule) rules[key] = toRuleView(rule);
+  }
+  return { ok: true, context: result.context, rules };
+}
+
+async function handlePopupGetAuthState() {
+  const { jiraDeployment, jiraEmail, jiraToken } = await loadStorageData();
+  return {
+    ok: true,
+    configured: hasCredentials(resolveDeployment(jiraDeployment), jiraEmail, jiraToken),
+  };
+}
+
+function loadIssueDetailFields() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get([ISSUE_DETAILS.STORAGE_KEY], (data) => {
+      resolve(ISSUE_DETAILS.resolveFields(data?.[ISSUE_DETAILS.STORAGE_KEY]));
+    });
+  });
+}
+
+async function handlePopupGetIssue(issueKey) {
+  try {
+    const key = String(issueKey || '').trim();
+    const displayFields = await loadIssueDetailFields();
+    const issue = await jiraClient.getIssue(key, displayFields);
+    return { ok: true, issue, displayFields };
+  } catch (err) {
+    return {
+      ok: false,
+      message: mapClientError(err, '이슈 조회에 실패했습니다.'),
+    };
+  }
+}
+
+async function performRemoteLink(issueKey, context) {
+  const payload = buildRemoteLinkPayload(context);
+  const existing = await findGerritRemoteLink(issueKey, context);
+  if (existing) {
+    await jiraClient.updateRemoteLink(issueKey, existing.id, payload);
+    return { updated: true, linkId: '' };
+  }
+  return { updated: false, linkId: await jiraClient.addRemoteLink(issueKey, payload) };
+}
+
+/** `linkId` is set on the result only when a new link was created (see auto sync undo). */
+async function linkChangeToIssue(issueKey, context, source) {
+  const rule = await resolveActionRule(context, issueKey);
+  if (rule?.remoteLink === false) {
+    const result = {
+      issueKey,
+      ok: true,
+      skipped: true,
+      rule: toRuleView(rule),
+      message: `규칙 "${rule.name}"에 따라 웹링크를 추가하지 않았습니다.`,
+    };
+    await recordActionResult('link', issueKey, context, result, source);
+    return result;
+  }
+
+  let result;
+  try {
+    const { updated, linkId } = await performRemoteLink(issueKey, context);
+    result = { issueKey, ok: true, updated, linkId };
+  } catch (err) {
+    result = await failOrEnqueue(
+      { type: 'link', issueKey, context },
+      err,
+      { issueKey, ok: false, message: mapClientError(err, '웹링크 추가에 실패했습니다.') },
+    );
+  }
+  await recordActionResult('link', issueKey, context, result, source);
+  return result;
+}
+
+async function handlePopupAddRemoteLink(issueKeysInput) {
+  const contextResp = await getActiveGerritContext();
+  if (!contextResp.ok) {
+    return { ok: false, message: contextResp.message };
+  }
+
+  const context = contextResp.context;
+  const issueKeys = resolveTargetIssueKeys(context, issueKeysInput);
+
+  if (issueKeys.length === 0) {
+    return {
+      ok: false,
+      message: 'TF-123 같은 이슈키가 필요합니다. 제목 또는 커밋 메시지에 jira: KEY를 추가하세요.',
+    };
+  }
+  if (!isAllowedChangeUrl(context.gerritUrl)) {
+    return {
+      ok: false,
+      message: '현재 페이지 URL이 허용된 Gerrit 도메인이 아닙니다.',
+    };
+  }
+
+  const results = [];
+  for (const issueKey of issueKeys) {
+    results.push(await linkChangeToIssue(issueKey, context));
+  }
+
+  const response = { ok: results.every((r) => r.ok), issueKeys, results };
+
+  // Linking a key that was not found in the commit is usually a mistake; report
+  // the detected keys and which of them already carry this change.
+  const detectedKeys = context.issueKeys.map((item) => item.key);
+  const undetected = issueKeys.filter((key) => !detectedKeys.includes(key));
+  if (detectedKeys.length > 0 && undetected.length > 0) {
+    response.undetectedKeys = undetected;
+    response.detectedKeys = detectedKeys;
+    response.detectedLinkedKeys = [];
+    for (const key of detectedKeys.filter((k) => !issueKeys.includes(k))) {
+      try {
+        if (await findGerritRemoteLink(key, context)) response.detectedLinkedKeys.push(key);
+      } catch {
+        // Best-effort hint only.
+      }
+    }
+  }
+
+  return response;
+}
+
+async function handlePopupGetLinkState(issueKeyOverride) {
+  const contextResp = await getActiveGerritContext();
+  if (!contextResp.ok) {
+    return { ok: false, message: contextResp.message };
+  }
+
+  const context = contextResp.context;
+  const overrideKey = String(issueKeyOverride || '').trim().toUpperCase();
+  const issueKey = isValidIssueKey(overrideKey) ? overrideKey : context.issueKey;
+
+  if (!issueKey) {
+    return {
+      ok: false,
+      message: 'TF-123 같은 이슈키가 필요합니다. 제목 또는 커밋 메시지에 jira: KEY를 추가하세요.',
+    };
+  }
+
+  try {
+    const existing = await findGerritRemoteLink(issueKey, context);
+    return {
+      ok: true,
+      issueKey,
+      linked: !!existing,
+      title: existing ? String(existing?.object?.title || '') : '',
+    };
+  } catch (err) {
+    return {
+      ok: false,
+      message: mapClientError(err, '웹링크 조회에 실패했습니다.'),
+    };
+  }
+}
+
+/**
+ * mode:
+ *   undefined — post only when no previous extension comment exists for this change
+ *   'update'  — edit the previous comment in place (falls back to posting)
+ *   'new'     — always post a new comment
+ * draft: { commentText?, templateId? } — see buildCommentAdf.
+ */
+async function performComment(issueKey, context, mode, draft) {
+  const existing = mode === 'new' ? null : await findExtensionComment(issueKey, context);
+  if (existing && mode !== 'update') {
+    const marker = readCommentMarker(existing);
+    return {
+      duplicate: true,
+      existing: {
+        id: String(existing.id || ''),
+        patchset: String(marker?.patchset || ''),
+        created: formatDateMaybe(existing.created),
+        updated: formatDateMaybe(existing.updated),
+      },
+    };
+  }
+
+  const commentBody = await buildCommentAdf(context, draft, issueKey);
+  const properties = buildCommentMarkerProperties(context);
+  if (existing) {
+    await jiraClient.updateComment(issueKey, existing.id, commentBody, properties);
+    return { duplicate: false, updated: true, commentId: '' };
+  }
+  const commentId = await jiraClient.addComment(issueKey, commentBody, properties);
+  return { duplicate: false, updated: false, commentId };
+}
+
+async function commentChangeOnIssue(issueKey, context, mode, draft = {}, source) {
+  let result;
+  try {
+    const outcome = await performComment(issueKey, context, mode, draft);
+    result = outcome.duplicate
+      ? {
+        issueKey,
+        ok: false,
+        duplicate: true,
+        existing: outcome.existing,
+        message: '이 change에 대해 이미 작성된 코멘트가 있습니다.',
+      }
+      : { issueKey, ok: true, updated: outcome.updated, commentId: outcome.commentId };
+  } catch (err) {
+    result = await failOrEnqueue(
+      {
+        type: 'comment',
+        issueKey,
+        context,
+        mode: mode || '',
+        commentText: draft.commentText || '',
+        templateId: draft.templateId || '',
+      },
+      err,
+      { issueKey, ok: false, message: mapClientError(err, '코멘트 생성에 실패했습니다.') },
+    );
+  }
+  await recordActionResult('comment', issueKey, context, result, source);
+  return result;
+}
+
+// Jira rejects comment bodies above 32767 characters.
+const COMMENT_TEXT_MAX = 32000;
+
+function normalizeCommentText(input) {
+  return typeof input === 'string' ? input.replace(/\r\n?/g, '\n').trim() : '';
+}
+
+/**
+ * Per-key drafts edited in the preview: `{ [issueKey]: { commentText, templateId } }`.
+ * Keys without a draft render their own rule's template.
+ */
+function normalizeCommentDrafts(input) {
+  const drafts = {};
+  if (!input || typeof input !== 'object') return drafts;
+  for (const [key, draft] of Object.entries(input)) {
+    drafts[String(key).trim().toUpperCase()] = {
+      commentText: normalizeCommentText(draft?.commentText),
+      templateId: typeof draft?.templateId === 'string' ? draft.templateId : '',
+    };
+  }
+  return drafts;
+}
+
+async function handlePopupAddComment(issueKeysInput, mode, draftsInput) {
+  const drafts = normalizeCommentDrafts(draftsInput);
+  const tooLong = Object.keys(drafts).find((key) => drafts[key].commentText.length > COMMENT_TEXT_MAX);
+  if (tooLong) {
+    return { ok: false, message: `${tooLong} 코멘트가 너무 깁니다. (${COMMENT_TEXT_MAX}자 이하)` };
+  }
+
+  const contextResp = await getActiveGerritContext();
+  if (!contextResp.ok) {
+    return { ok: false, message: contextResp.message };
+  }
+
+  const context = contextResp.context;
+  const issueKeys = resolveTargetIssueKeys(context, issueKeysInput);
+
+  if (issueKeys.length === 0) {
+    return {
+      ok: false,
+      message: 'TF-123 같은 이슈키가 필요합니다. 제목 또는 커밋 메시지에 jira: KEY를 추가하세요.',
+    };
+  }
+  if (!isAllowedChangeUrl(context.gerritUrl)) {
+    return {
+      ok: false,
+      message: '현재 페이지 URL이 허용된 Gerrit 도메인이 아닙니다.',
+    };
+  }
+
+  const results = [];
+  for (const issueKey of issueKeys) {
+    results.push(await commentChangeOnIssue(issueKey, context, mode, drafts[issueKey] || {}));
+  }
+
+  return {
+    ok: results.every((r) => r.ok),
+    issueKeys,
+    results,
+    duplicates: results.filter((r) => r.duplicate),
+  };
+}
+
+/**
+ * Renders one preview per issue key, each with its own rule's template unless
+ * `templateIdInput` picks one template for all of them.
+ */
+async function handlePopupPreviewComment(issueKeysInput, templateIdInput) {
+  const contextResp = await getActiveGerritContext();
+  if (!contextResp.ok) {
+    return { ok: false, message: contextResp.message };
+  }
+
+  const context = contextResp.context;
+  const explicitId = typeof templateIdInput === 'string' ? templateIdInput : '';
+  try {
+    const issueKeys = resolveTargetIssueKeys(context, issueKeysInput);
+    if (issueKeys.length === 0) {
+      return {
+        ok: false,
+        message: 'TF-123 같은 이슈키가 필요합니다. 제목 또는 커밋 메시지에 jira: KEY를 추가하세요.',
+      };
+    }
+
+    const library = await loadTemplateLibrary();
+    const previews = [];
+    for (const issueKey of issueKeys) {
+      const { rule, template } = await pickCommentTemplate(context, issueKey, explicitId);
+      previews.push({
+        issueKey,
+        text: await renderCommentText(context, issueKey, template.id),
+        templateId: template.id,
+        rule: toRuleView(rule),
+      });
+    }
+    return {
+      ok: true,
+      issueKeys,
+      previews,
+      format: await getCommentFormatOptions(context, issueKeys),
+      templates: library.templates.map((t) => ({ id: t.id, name: t.name })),
+      // '' means every key uses its own rule's template.
+      templateId: explicitId || (previews.length === 1 ? previews[0].templateId : ''),
+      defaultTemplateId: library.defaultId,
+    };
+  } catch (err) {
+    return { ok: false, message: mapClientError(err, '코멘트 미리보기를 만들지 못했습니다.') };
+  }
+}
+
+async function handlePopupGetTransitions(issueKey) {
+  try {
+    const key = String(issueKey || '').trim().toUpperCase();
+    const transitions = await jiraClient.getTransitions(key);
+
+    // The rule's default transition is only a preselection; nothing runs automatically.
+    const contextResp = await getActiveGerritContext();
+    const rule = contextResp.ok ? await resolveActionRule(contextResp.context, key) : null;
+    const preferred = findRuleTransition(rule, transitions);
+    return {
+      ok: true,
+      transitions,
+      defaultTransitionId: preferred?.id || '',
+      rule: preferred ? toRuleView(rule) : null,
+    };
+  } catch (err) {
+    return {
+      ok: false,
+      message: mapClientError(err, '상태 전환 목록 조회에 실패했습니다.'),
+    };
+  }
+}
+
+async function performTransition(issueKey, transitionId, fieldValues) {
+  // Re-read transitions so the id is checked against what Jira currently allows
+  // and screen field values are shaped by the server-provided schema.
+  const transitions = await jiraClient.getTransitions(issueKey);
+  const transition = transitions.find((t) => t.id === String(transitionId || ''));
+  if (!transition) {
+    const error = new Error('Transition unavailable');
+    error.code = 'transition_unavailable';
+    throw error;
+  }
+
+  const { fields, missing } = buildTransitionFieldsPayload(transition, fieldValues);
+  if (missing.length > 0) {
+    const error = new Error('Missing transition fields');
+    error.code = 'missing_transition_fields';
+    error.missing = missing;
+    throw error;
+  }
+
+  await jiraClient.doTransition(issueKey, transition.id, fields);
+  forgetIssueCard(issueKey);
+  return { id: transition.id, name: transition.name, to: transition.to };
+}
+
+async function handlePopupDoTransition(issueKey, transitionId, fieldValues) {
+  const key = String(issueKey || '').trim().toUpperCase();
+
+  // Best effort: the change context is only used for history/queue bookkeeping.
+  const contextResp = await getActiveGerritContext();
+  const context = contextResp.ok ? contextResp.context : null;
+
+  let result;
+  try {
+    const transition = await performTransition(key, transitionId, fieldValues);
+    result = { issueKey: key, ok: true, transition };
+  } catch (err) {
+    result = await failOrEnqueue(
+      { type: 'transition', issueKey: key, context, transitionId: String(transitionId || ''), fields: fieldValues || {} },
+      err,
+      { issueKey: key, ok: false, message: mapClientError(err, '상태 전환에 실패했습니다.') },
+    );
+  }
+  await recordActionResult('transition', key, context, result);
+  return result;
+}
+
+// -- Issue search --------------------------------------------------------------
+
+function loadSavedJqlQueries() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get([SAVED_JQL_KEY], (data) => {
+      const stored = Array.isArray(data?.[SAVED_JQL_KEY]) ? data[SAVED_JQL_KEY] : [];
+      resolve(stored
+        .filter((q) => q && typeof q.jql === 'string' && q.jql.trim())
+        .slice(0, SAVED_JQL_MAX)
+        .map((q, index) => ({
+          id: String(q.id || `saved-${index}`),
+          name: String(q.name || '').trim() || q.jql.trim(),
+          jql: q.jql.trim(),
+        })));
+    });
+  });
+}
+
+/** Free text for `text ~ "..."`: Lucene operators are dropped rather than escaped. */
+function toJqlSearchText(query) {
+  return query
+    .replace(/[+\-&|!(){}[\]^~*?:\\/"]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+async function runIssueQuery(query, limit) {
+  try {
+    return { id: query.id, name: query.name, issues: await jiraClient.searchIssues(query.jql, limit) };
+  } catch (err) {
+    // One broken saved query should not hide the other suggestions.
+    if (err?.code !== 'invalid_jql') throw err;
+    return { id: query.id, name: query.name, issues: [], message: mapClientError(err, '') };
+  }
+}
+
+/**
+ * Empty `query`: the built-in and saved JQL groups. Otherwise an exact key match
+ * (when the text looks like a key) followed by a full-text search.
+ */
+async function handlePopupSearchIssues(queryInput) {
+  const query = String(queryInput || '').trim().slice(0, 200);
+  try {
+    if (!query) {
+      const queries = [...BUILTIN_ISSUE_QUERIES, ...(await loadSavedJqlQueries())];
+      const groups = await Promise.all(queries.map((q) => runIssueQuery(q, ISSUE_PRESET_LIMIT)));
+      return { ok: true, query, groups };
+    }
+
+    const searches = [];
+    const key = query.toUpperCase();
+    if (isValidIssueKey(key)) {
+      // A key that does not exist makes the JQL invalid, hence runIssueQuery.
+      searches.push(runIssueQuery({ id: 'key', name: '', jql: `issuekey = "${key}"` }, 1));
+    }
+    const text = toJqlSearchText(query);
+    if (text) {
+      searches.push(runIssueQuery({ id: 'text', name: '', jql: `text ~ "${text}" ORDER BY updated DESC` }, ISSUE_SEARCH_LIMIT));
+    }
+
+    const issues = [];
+    for (const group of await Promise.all(searches)) {
+      for (const issue of group.issues) {
+        if (!issues.some((i) => i.key === issue.key)) issues.push(issue);
+      }
+    }
+    return { ok: true, query, groups: [{ id: 'search', name: '검색 결과', issues }] };
+  } catch (err) {
+    return {
+      ok: false,
+      message: mapClientError(err, '이슈 검색에 실패했습니다.'),
+    };
+  }
+}
+
+// -- Issue creation ------------------------------------------------------------
+// Never queued for retry: a timed-out create may still have succeeded, and a retry
+// would file a duplicate ticket.
+
+function loadCreateIssueDefaults() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get([CREATE_ISSUE_DEFAULTS_KEY], (data) => {
+      const stored = data?.[CREATE_ISSUE_DEFAULTS_KEY];
+      resolve({
+        projectKey: String(stored?.projectKey || ''),
+        issueTypeId: String(stored?.issueTypeId || ''),
+      });
+    });
+  });
+}
+
+/** Without `projectKey`: the project list. With it: that project's issue types and assignees. */
+async function handlePopupGetCreateMeta(projectKeyInput) {
+  const projectKey = String(projectKeyInput || '').trim().toUpperCase();
+  try {
+    if (!projectKey) {
+      const [projects, defaults] = await Promise.all([
+        jiraClient.listCreatableProjects(),
+        loadCreateIssueDefaults(),
+      ]);
+      return { ok: true, projects, defaults };
+    }
+
+    const [issueTypes, users] = await Promise.all([
+      jiraClient.getCreateIssueTypes(projectKey),
+      jiraClient.searchAssignableUsers(projectKey),
+    ]);
+    return { ok: true, projectKey, issueTypes, users };
+  } catch (err) {
+    return {
+      ok: false,
+      message: mapClientError(err, 'Jira 이슈 생성 정보를 불러오지 못했습니다.'),
     };
   }
 }
 
-async function handlePopupAddComment(issueKeyOverride) {
-  const contextResp = await getActiveGerritContext();
-  if (!contextResp.ok) {
-    return { ok: false, message: contextResp.message };
+async function handlePopupCreateIssue(input) {
+  const contextResp = await getActiveGerritContext();
+  if (!contextResp.ok) {
+    return { ok: false, message: contextResp.message };
+  }
+  const context = contextResp.context;
+  if (!isAllowedChangeUrl(context.gerritUrl)) {
+    return { ok: false, message: '현재 페이지 URL이 허용된 Gerrit 도메인이 아닙니다.' };
+  }
+
+  const projectKey = String(input?.projectKey || '').trim().toUpperCase();
+  const issueTypeId = String(input?.issueTypeId || '').trim();
+  const assigneeId = String(input?.assigneeId || '').trim();
+  const summary = String(input?.summary || '').replace(/\s+/g, ' ').trim();
+  const description = normalizeCommentText(input?.description);
+
+  if (!projectKey || !issueTypeId) {
+    return { ok: false, message: '프로젝트와 이슈 유형을 선택하세요.' };
+  }
+  if (!summary) {
+    return { ok: false, message: '요약을 입력하세요.' };
+  }
+  if (summary.length > ISSUE_SUMMARY_MAX) {
+    return { ok: false, message: `요약이 너무 깁니다. (${ISSUE_SUMMARY_MAX}자 이하)` };
+  }
+  if (description.length > COMMENT_TEXT_MAX) {
+    return { ok: false, message: `설명이 너무 깁니다. (${COMMENT_TEXT_MAX}자 이하)` };
+  }
+
+  // The description goes through the same Markdown → ADF / wiki conversion as comments.
+  const format = await getCommentFormatOptions(context);
+  const fields = {
+    project: { key: projectKey },
+    issuetype: { id: issueTypeId },
+    summary,
+  };
+  if (description) fields.description = COMMENT_FORMATS[format.deployment](description, format);
+  if (assigneeId) {
+    fields.assignee = format.deployment === 'cloud' ? { accountId: assigneeId } : { name: assigneeId };
+  }
+
+  let issueKey;
+  try {
+    issueKey = await jiraClient.createIssue(fields);
+  } catch (err) {
+    const failure = { ok: false, message: mapClientError(err, '이슈 생성에 실패했습니다.') };
+    await recordActionResult('create', '', context, failure);
+    return failure;
+  }
+  await recordActionResult('create', issueKey, context, { ok: true });
+  await new Promise((resolve) => {
+    chrome.storage.local.set({ [CREATE_ISSUE_DEFAULTS_KEY]: { projectKey, issueTypeId } }, resolve);
+  });
+
+  const link = await linkChangeToIssue(issueKey, context);
+  return { ok: true, issueKey, link };
+}
+
+// -- Post to Gerrit ------------------------------------------------------------
+// Puts the issue summary, status and link on the change as a review message so reviewers
+// see the ticket in Gerrit. The content script posts it with the user's Gerrit session;
+// nothing is queued because a retried message could land twice.
+
+const GERRIT_HASHTAG_MODE_KEY = 'gerritHashtagMode';
+
+function loadGerritHashtagMode() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get([GERRIT_HASHTAG_MODE_KEY], (data) => {
+      const mode = data?.[GERRIT_HASHTAG_MODE_KEY];
+      resolve(['key', 'status', 'both'].includes(mode) ? mode : 'none');
+    });
+  });
+}
+
+// Gerrit rejects commas in hashtags and trims whitespace.
+function toGerritHashtag(text) {
+  return String(text || '').trim().replace(/[\s,]+/g, '-');
+}
+
+function buildGerritHashtags(entries, mode) {
+  const tags = [];
+  for (const { issueKey, issue } of entries) {
+    if (mode === 'key' || mode === 'both') tags.push(issueKey);
+    if ((mode === 'status' || mode === 'both') && issue.status) tags.push(toGerritHashtag(issue.status));
+  }
+  return [...new Set(tags.filter(Boolean))];
+}
+
+function buildGerritMessage(entries) {
+  return entries
+    .map(({ issueKey, issue }) => [
+      `Jira ${issueKey}: ${issue.summary}`,
+      `상태: ${issue.status || '-'} · 담당자: ${issue.assignee || '-'}`,
+      `${siteConfig.jiraBaseUrl}/browse/${issueKey}`,
+    ].join('\n'))
+    .join('\n\n');
+}
+
+async function handlePopupPostToGerrit(issueKeysInput) {
+  const contextResp = await getActiveGerritContext();
+  if (!contextResp.ok) {
+    return { ok: false, message: contextResp.message };
+  }
+
+  const { context, tabId } = contextResp;
+  const issueKeys = resolveTargetIssueKeys(context, issueKeysInput);
+  if (issueKeys.length === 0) {
+    return { ok: false, message: mapClientError({ code: 'invalid_issue_key' }) };
+  }
+
+  const entries = [];
+  const failures = [];
+  for (const issueKey of issueKeys) {
+    try {
+      entries.push({ issueKey, issue: await jiraClient.getIssue(issueKey, []) });
+    } catch (err) {
+      failures.push({ issueKey, ok: false, message: mapClientError(err, '이슈 조회에 실패했습니다.') });
+    }
+  }
+  if (entries.length === 0) return { ok: false, issueKeys, results: failures };
+
+  const hashtags = buildGerritHashtags(entries, await loadGerritHashtagMode());
+  let posted;
+  try {
+    posted = await sendToTabWithRecovery(tabId, {
+      type: MSG.GERRIT_POST_REVIEW,
+      changeNum: context.changeNum,
+      project: context.project,
+      message: buildGerritMessage(entries),
+      hashtags,
+    });
+  } catch {
+    posted = { ok: false, message: '페이지 정보를 읽을 수 없습니다. 페이지를 새로고침 후 다시 시도하세요.' };
+  }
+
+  const results = entries.map(({ issueKey }) => (posted?.ok
+    ? { issueKey, ok: true, hashtags: posted.hashtags || [] }
+    : { issueKey, ok: false, message: posted?.message || 'Gerrit 메시지 작성에 실패했습니다.' }));
+  for (const result of results) await recordActionResult('gerrit', result.issueKey, context, result);
+
+  return {
+    ok: failures.length === 0 && results.every((r) => r.ok),
+    issueKeys,
+    results: [...results, ...failures],
+    hashtags: posted?.hashtags || [],
+    hashtagMessage: posted?.hashtagMessage || '',
+  };
+}
+
+// -- Auto sync on merge --------------------------------------------------------
+// Opt-in. The content script reports a change page whose Gerrit status is MERGED; the
+// first report per change+branch links, comments and (optionally) transitions every
+// detected issue. Processed changes are kept in `autoSyncProcessed` so a change is never
+// synced twice, even after an undo.
+
+function loadAutoSyncSettings() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get(AUTO_SYNC_SETTINGS_KEYS, (data) => {
+      resolve({
+        enabled: data?.autoSyncEnabled === true,
+        transition: data?.autoSyncTransition === true,
+        transitionName: String(data?.autoSyncTransitionName || '').trim(),
+      });
+    });
+  });
+}
+
+function loadAutoSyncProcessed() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get([AUTO_SYNC_PROCESSED_KEY], (data) => {
+      const stored = data?.[AUTO_SYNC_PROCESSED_KEY];
+      resolve(stored && typeof stored === 'object' && !Array.isArray(stored) ? stored : {});
+    });
+  });
+}
+
+function saveAutoSyncProcessed(processed) {
+  const entries = Object.entries(processed);
+  const kept = entries.length > AUTO_SYNC_PROCESSED_MAX
+    ? Object.fromEntries(entries.sort((a, b) => b[1].timestamp - a[1].timestamp).slice(0, AUTO_SYNC_PROCESSED_MAX))
+    : processed;
+  return new Promise((resolve) => {
+    chrome.storage.local.set({ [AUTO_SYNC_PROCESSED_KEY]: kept }, resolve);
+  });
+}
+
+let autoSyncLock = Promise.resolve();
+
+/** Serializes read-modify-write of the processed map across tabs reporting at once. */
+function updateAutoSyncProcessed(mutate) {
+  const run = autoSyncLock.then(async () => {
+    const processed = await loadAutoSyncProcessed();
+    const outcome = mutate(processed);
+    if (outcome !== false) await saveAutoSyncProcessed(processed);
+    return outcome;
+  });
+  autoSyncLock = run.catch(() => {});
+  return run;
+}
+
+/** The same change cherry-picked to another branch is synced again; re-merges are not. */
+function autoSyncKey(context) {
+  const origin = new URL(context.gerritUrl).origin;
+  return [origin, context.project, context.branch, context.changeId || context.changeNum].join('|');
+}
+
+/** Rule default transition first, then the one named in the options; null when none applies. */
+async function autoSyncTransition(issueKey, context, settings) {
+  const rule = await resolveActionRule(context, issueKey);
+  const wanted = rule?.transition || settings.transitionName;
+  if (!wanted) return null;
+
+  const from = await jiraClient.getIssueStatus(issueKey);
+  const transitions = await jiraClient.getTransitions(issueKey);
+  const transition = findRuleTransition({ transition: wanted }, transitions);
+  if (!transition) {
+    if (from.toLowerCase() === wanted.toLowerCase()) return null;
+    const error = new Error('Transition unavailable');
+    error.code = 'transition_unavailable';
+    throw error;
+  }
+  const done = await performTransition(issueKey, transition.id, {});
+  return { ...done, from };
+}
+
+async function syncIssueOnMerge(issueKey, context, settings) {
+  const entry = { issueKey };
+  entry.link = await linkChangeToIssue(issueKey, context, 'auto');
+  entry.comment = await commentChangeOnIssue(issueKey, context, undefined, {}, 'auto');
+
+  if (settings.transition) {
+    try {
+      const transition = await autoSyncTransition(issueKey, context, settings);
+      if (transition) {
+        entry.transition = { issueKey, ok: true, transition };
+        await recordActionResult('transition', issueKey, context, entry.transition, 'auto');
+      }
+    } catch (err) {
+      // Not queued: a merge-time transition retried later could land on a moved-on issue.
+      entry.transition = { issueKey, ok: false, message: mapClientError(err, '상태 전환에 실패했습니다.') };
+      await recordActionResult('transition', issueKey, context, entry.transition, 'auto');
+    }
+  }
+  return entry;
+}
+
+function summarizeSyncEntry(entry) {
+  const parts = [];
+  const describe = (label, result) => {
+    if (!result) return;
+    if (result.skipped || result.duplicate) parts.push(`${label} 건너뜀`);
+    else if (result.ok) parts.push(label);
+    else if (result.queued) parts.push(`${label} 대기열`);
+    else parts.push(`${label} 실패`);
+  };
+  describe('웹링크', entry.link);
+  describe('코멘트', entry.comment);
+  if (entry.transition?.ok) parts.push(`→ ${entry.transition.transition.to}`);
+  else describe('상태 전환', entry.transition);
+  return `${entry.issueKey}: ${parts.join(', ')}`;
+}
+
+/**
+ * Unattended sync only acts on explicit keys: `JIRA:` footer keys, or the subject's keys
+ * when there is no footer. Footer-line and page-detected keys are left to the user.
+ */
+function autoSyncIssueKeys(context) {
+  const tagged = context.issueKeys.filter((item) => item.source === 'jira-tag');
+  const keys = tagged.length > 0 ? tagged : context.issueKeys.filter((item) => item.source === 'subject');
+  return keys.map((item) => item.key);
+}
+
+async function handleAutoSyncMerged(rawContext, tabUrl) {
+  const settings = await loadAutoSyncSettings();
+  if (!settings.enabled) return { ok: true, skipped: true };
+
+  const { jiraDeployment, jiraEmail, jiraToken } = await loadStorageData();
+  if (!hasCredentials(resolveDeployment(jiraDeployment), jiraEmail, jiraToken)) {
+    return { ok: true, skipped: true };
+  }
+
+  await getSiteConfig();
+  const context = sanitizeContext(rawContext, tabUrl);
+  const issueKeys = autoSyncIssueKeys(context);
+  if (!isAllowedChangeUrl(context.gerritUrl) || context.status !== 'MERGED' || issueKeys.length === 0) {
+    return { ok: true, skipped: true };
+  }
+
+  const key = autoSyncKey(context);
+  const id = crypto.randomUUID();
+  const claimed = await updateAutoSyncProcessed((processed) => {
+    if (processed[key]) return false;
+    processed[key] = { id, timestamp: Date.now(), changeNum: context.changeNum, issues: [], undone: false };
+    return true;
+  });
+  if (!claimed) return { ok: true, skipped: true, alreadyProcessed: true };
+
+  const issues = [];
+  for (const issueKey of issueKeys) {
+    issues.push(await syncIssueOnMerge(issueKey, context, settings));
+  }
+
+  // Only what undo needs: ids of created links/comments and the pre-transition status.
+  const undo = issues.map((entry) => ({
+    issueKey: entry.issueKey,
+    linkId: entry.link?.linkId || '',
+    commentId: entry.comment?.commentId || '',
+    statusBefore: entry.transition?.ok ? entry.transition.transition.from : '',
+  }));
+  await updateAutoSyncProcessed((processed) => {
+    if (processed[key]) processed[key].issues = undo;
+  });
+
+  return {
+    ok: issues.every((e) => e.link.ok && (e.comment.ok || e.comment.duplicate) && e.transition?.ok !== false),
+    syncId: id,
+    changeNum: context.changeNum,
+    summary: issues.map(summarizeSyncEntry).join('\n'),
+    undoable: undo.some((u) => u.linkId || u.commentId || u.statusBefore),
+  };
+}
+
+async function undoAutoSyncIssue(item) {
+  const done = [];
+  const failed = [];
+  const attempt = async (label, fn) => {
+    try {
+      await fn();
+      done.push(label);
+    } catch {
+      failed.push(label);
+    }
+  };
+
+  if (item.linkId) await attempt('웹링크 삭제', () => jiraClient.deleteRemoteLink(item.issueKey, item.linkId));
+  if (item.commentId) await attempt('코멘트 삭제', () => jiraClient.deleteComment(item.issueKey, item.commentId));
+  if (item.statusBefore) {
+    await attempt(`상태 복원(${item.statusBefore})`, async () => {
+      const back = findRuleTransition({ transition: item.statusBefore }, await jiraClient.getTransitions(item.issueKey));
+      if (!back) throw new Error('No transition back');
+      await performTransition(item.issueKey, back.id, {});
+    });
+  }
+  return { issueKey: item.issueKey, done, failed };
+}
+
+async function handleAutoSyncUndo(syncId) {
+  const id = String(syncId || '');
+  // Checked and marked in one locked step so concurrent undos cannot both delete;
+  // the change stays processed.
+  let record = null;
+  let alreadyUndone = false;
+  await updateAutoSyncProcessed((all) => {
+    const entry = Object.values(all).find((r) => r.id === id);
+    if (!entry) return false;
+    if (entry.undone) {
+      alreadyUndone = true;
+      return false;
+    }
+    entry.undone = true;
+    record = { ...entry };
+    return true;
+  });
+  if (alreadyUndone) return { ok: false, message: '이미 되돌린 자동 동기화입니다.' };
+  if (!record) return { ok: false, message: '되돌릴 자동 동기화 기록을 찾을 수 없습니다.' };
+
+  const results = [];
+  for (const item of record.issues || []) {
+    const result = await undoAutoSyncIssue(item);
+    results.push(result);
+    await recordAction({
+      action: 'undo',
+      issueKey: item.issueKey,
+      context: { changeNum: record.changeNum },
+      status: result.failed.length === 0 ? 'success' : 'failed',
+      detail: [...result.done, ...result.failed.map((f) => `${f} 실패`)].join(', '),
+      source: 'auto',
+    });
+  }
+
+  return {
+    ok: results.every((r) => r.failed.length === 0),
+    summary: results
+      .map((r) => `${r.issueKey}: ${[...r.done, ...r.failed.map((f) => `${f} 실패`)].join(', ') || '되돌릴 항목 없음'}`)
+      .join('\n'),
+  };
+}
+
+// -- Jira issue panel ----------------------------------------------------------
+// The Jira content script shows the Gerrit changes behind an issue. Changes are found
+// from our remote links (or any link to a configured Gerrit origin) and from Change-Id
+// mentions in comments; their live state is read from Gerrit with the browser session.
+
+const CHANGE_ID_MENTION_RE = /\bI[0-9a-f]{40}\b/g;
+const GERRIT_QUERY_CHUNK = 20;
+const JIRA_PANEL_CHANGES_MAX = 50;
+
+function collectLinkedChangeRefs(links, comments) {
+  const refs = [];
+  const push = (ref) => {
+    const id = ref.changeNum ? `${ref.origin}|${ref.changeNum}` : `${ref.origin || '*'}|${ref.changeId}`;
+    if (!refs.some((r) => r.id === id)) refs.push({ ...ref, id });
+  };
+
+  for (const link of links) {
+    const url = String(link?.object?.url || '');
+    if (!isGerritTab(url)) continue;
+    const origin = new URL(url).origin;
+    const changeNum = extractChangeNumFromUrl(url);
+    const changeId = String(link?.globalId || '').match(/^gerrit:changeid:(I[0-9a-f]{40})$/)?.[1] || '';
+    if (changeNum || changeId) push({ origin, changeNum, changeId: changeNum ? '' : changeId, url });
+  }
+
+  for (const comment of comments) {
+    const marker = readCommentMarker(comment);
+    if (marker?.changeId) push({ origin: '', changeNum: '', changeId: marker.changeId, url: '' });
+    for (const m of richTextToPlain(comment?.body).matchAll(CHANGE_ID_MENTION_RE)) {
+      push({ origin: '', changeNum: '', changeId: m[0], url: '' });
+    }
+  }
+  return refs.slice(0, JIRA_PANEL_CHANGES_MAX);
+}
+
+function toPanelChange(origin, payload) {
+  const context = GERRIT.deriveContextFromPayload(payload);
+  return {
+    origin,
+    url: `${origin}/c/${context.project}/+/${context.changeNum}`,
+    changeNum: context.changeNum,
+    changeId: context.changeId,
+    subject: context.subject,
+    project: context.project,
+    branch: context.branch,
+    status: context.status,
+    patchset: context.patchset,
+    codeReview: context.codeReview,
+    verified: context.verified,
+    updated: formatDateMaybe(payload?.updated),
+  };
+}
+
+/** One query per chunk of refs; a failing origin leaves its refs unresolved. */
+async function queryGerritChanges(origin, refs) {
+  const changes = [];
+  for (let i = 0; i < refs.length; i += GERRIT_QUERY_CHUNK) {
+    const terms = refs.slice(i, i + GERRIT_QUERY_CHUNK)
+      .map((ref) => `change:${ref.changeNum || ref.changeId}`);
+    const params = new URLSearchParams({ q: terms.join(' OR '), n: String(JIRA_PANEL_CHANGES_MAX) });
+    const list = await GERRIT.fetchGerritJson(
+      origin,
+      `/changes/?${params}&o=CURRENT_REVISION&o=CURRENT_COMMIT&o=DETAILED_LABELS&o=DETAILED_ACCOUNTS`,
+    );
+    for (const payload of Array.isArray(list) ? list : []) changes.push(toPanelChange(origin, payload));
+  }
+  return changes;
+}
+
+function isRefResolved(ref, changes) {
+  return changes.some((c) => (ref.changeNum
+    ? c.origin === ref.origin && c.changeNum === ref.changeNum
+    : (!ref.origin || c.origin === ref.origin) && c.changeId === ref.changeId));
+}
+
+async function handleJiraGetGerritChanges(issueKeyInput, tabUrl) {
+  await getSiteConfig();
+  if (new URL(tabUrl).origin !== new URL(siteConfig.jiraBaseUrl).origin || !(await hasHostPermission(siteConfig.jiraBaseUrl))) {
+    return { ok: false, message: '허용된 Jira 사이트가 아닙니다.' };
+  }
+
+  const issueKey = String(issueKeyInput || '').trim().toUpperCase();
+  if (!isValidIssueKey(issueKey)) return { ok: false, message: mapClientError({ code: 'invalid_issue_key' }) };
+
+  let links;
+  let comments;
+  try {
+    [links, comments] = await Promise.all([jiraClient.getRemoteLinks(issueKey), jiraClient.listComments(issueKey)]);
+  } catch (err) {
+    return { ok: false, message: mapClientError(err, 'Jira에서 연결된 change를 읽지 못했습니다.') };
+  }
+
+  const refs = collectLinkedChangeRefs(links, comments);
+  const changes = [];
+  const errors = [];
+  for (const origin of siteConfig.grantedGerritOrigins) {
+    // Comment mentions carry no origin; look them up on every Gerrit site still unresolved.
+    const pending = refs.filter((ref) => (ref.origin === origin || !ref.origin) && !isRefResolved(ref, changes));
+    if (pending.length === 0) continue;
+    try {
+      for (const change of await queryGerritChanges(origin, pending)) {
+        if (!changes.some((c) => c.url === change.url)) changes.push(change);
+      }
+    } catch (err) {
+      errors.push(err.status === 401 || err.status === 403
+        ? `${origin}: Gerrit에 로그인되어 있는지 확인하세요.`
+        : `${origin}: Gerrit 상태를 가져오지 못했습니다.`);
+    }
+  }
+
+  return {
+    ok: true,
+    issueKey,
+    changes,
+    // Links whose change Gerrit did not return (no access, deleted, or Gerrit down).
+    unresolved: refs.filter((ref) => ref.url && !isRefResolved(ref, changes)).map((ref) => ({
+      url: ref.url,
+      changeNum: ref.changeNum,
+    })),
+    errors,
+  };
+}
+
+// -- Issue hovercards ----------------------------------------------------------
+// Gerrit pages ask for every key they show and ask again on each rescan. Answers are kept
+// in memory for a few minutes, keys Jira does not know (`UTF-8`, `ISO-8859`) included, so
+// a page costs one Jira request per distinct key.
+
+const ISSUE_CARD_TTL_MS = 5 * 60 * 1000;
+const ISSUE_CARD_CACHE_MAX = 500;
+const ISSUE_CARDS_PER_REQUEST = 30;
+const ISSUE_CARD_CONCURRENCY = 4;
+
+const issueCardCache = new Map();
+const issueCardInFlight = new Map();
+
+function forgetIssueCard(issueKey) {
+  issueCardCache.delete(issueKey);
+}
+
+/** Resolves to the card, or null when Jira has no such issue (or it is not visible). */
+function loadIssueCard(issueKey) {
+  const cached = issueCardCache.get(issueKey);
+  if (cached && Date.now() - cached.at < ISSUE_CARD_TTL_MS) return Promise.resolve(cached.card);
+  if (issueCardInFlight.has(issueKey)) return issueCardInFlight.get(issueKey);
+
+  const pending = (async () => {
+    let card;
+    try {
+      card = {
+        key: issueKey,
+        url: `${siteConfig.jiraBaseUrl}/browse/${issueKey}`,
+        ...(await jiraClient.getIssueCard(issueKey)),
+      };
+    } catch (err) {
+      // Other failures (auth, network, 429) are not remembered; the next rescan retries.
+      if (err?.status !== 404 && err?.status !== 400) throw err;
+      card = null;
+    }
+    if (issueCardCache.size >= ISSUE_CARD_CACHE_MAX) issueCardCache.delete(issueCardCache.keys().next().value);
+    issueCardCache.set(issueKey, { at: Date.now(), card });
+    return card;
+  })();
+
+  issueCardInFlight.set(issueKey, pending);
+  return pending.finally(() => issueCardInFlight.delete(issueKey));
+}
+
+async function handleGetIssueCards(issueKeysInput, tabUrl) {
+  await getSiteConfig();
+  if (!isGerritTab(tabUrl)) return { ok: false, message: mapClientError({ code: 'invalid_gerrit_url' }) };
+
+  const { jiraDeployment, jiraEmail, jiraToken } = await loadStorageData();
+  if (!hasCredentials(resolveDeployment(jiraDeployment), jiraEmail, jiraToken)) {
+    return { ok: false, message: mapClientError({ code: 'missing_credentials' }) };
   }
 
-  const context = contextResp.context;
-  const overrideKey = String(issueKeyOverride || '').trim().toUpperCase();
-  const issueKey = isValidIssueKey(overrideKey) ? overrideKey : context.issueKey;
+  const issueKeys = [...new Set((Array.isArray(issueKeysInput) ? issueKeysInput : [])
+    .map((key) => String(key || '').trim().toUpperCase())
+    .filter(isValidIssueKey))]
+    .slice(0, ISSUE_CARDS_PER_REQUEST);
+
+  const cards = {};
+  const failed = [];
+  const queue = [...issueKeys];
+  let authError = null;
+  const worker = async () => {
+    while (queue.length > 0) {
+      const issueKey = queue.shift();
+      try {
+        cards[issueKey] = await loadIssueCard(issueKey);
+      } catch (err) {
+        failed.push(issueKey);
+        // Bad credentials fail every key the same way; stop asking.
+        if (err?.status === 401 || err?.status === 403) {
+          authError = err;
+          queue.length = 0;
+        }
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: ISSUE_CARD_CONCURRENCY }, worker));
 
-  if (!issueKey) {
-    return {
-      ok: false,
-      message: 'TF-123 같은 이슈키가 필요합니다. 제목 또는 커밋 메시지에 jira: KEY를 추가하세요.',
-    };
+  if (authError) return { ok: false, message: mapClientError(authError, '이슈 조회에 실패했습니다.') };
+  return { ok: true, cards, failed };
+}
+
+// -- Commit policy -------------------------------------------------------------
+// Opt-in checks of the issue keys a change's commit message references (options page
+// `커밋 메시지 정책`). The content script asks whenever a change page or patchset opens;
+// violations go back for its banner and show as a badge on the extension icon for that tab.
+
+const COMMIT_POLICY_KEY = 'commitPolicy';
+const POLICY_BADGE_COLOR = '#de350b';
+
+function normalizeCommitPolicy(raw) {
+  const policy = raw && typeof raw === 'object' ? raw : {};
+  return {
+    enabled: policy.enabled === true,
+    requireKey: policy.requireKey !== false,
+    rejectDone: policy.rejectDone !== false,
+    projects: (Array.isArray(policy.projects) ? policy.projects : [])
+      .map((prefix) => String(prefix || '').trim().toUpperCase())
+      .filter(Boolean),
+    branchIssueTypes: (Array.isArray(policy.branchIssueTypes) ? policy.branchIssueTypes : [])
+      .map((entry) => ({
+        branch: String(entry?.branch || '').trim(),
+        types: (Array.isArray(entry?.types) ? entry.types : []).map((t) => String(t || '').trim()).filter(Boolean),
+      }))
+      .filter((entry) => entry.branch && entry.types.length > 0),
+  };
+}
+
+function loadCommitPolicy() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get([COMMIT_POLICY_KEY], (data) => {
+      resolve(normalizeCommitPolicy(data?.[COMMIT_POLICY_KEY]));
+    });
+  });
+}
+
+function setPolicyBadge(tabId, violationCount) {
+  if (typeof tabId !== 'number') return;
+  const ignore = () => void chrome.runtime.lastError;
+  const title = violationCount > 0
+    ? `커밋 메시지 정책 위반 ${violationCount}건`
+    : chrome.runtime.getManifest().action?.default_title || '';
+  chrome.action.setBadgeBackgroundColor({ tabId, color: POLICY_BADGE_COLOR }, ignore);
+  chrome.action.setBadgeText({ tabId, text: violationCount > 0 ? String(violationCount) : '' }, ignore);
+  chrome.action.setTitle({ tabId, title }, ignore);
+}
+
+/** Issue lookups share the hovercard cache, so a page with both costs one request per key. */
+async function evaluateCommitPolicy(policy, context) {
+  const violations = [];
+  const notes = [];
+
+  // The policy is about the keys the commit declares; page-text guesses are not checked.
+  const issueKeys = preferredIssueKeys(context);
+  if (issueKeys.length === 0) {
+    if (policy.requireKey) violations.push({ issueKey: '', message: '커밋 메시지에 이슈 키가 없습니다.' });
+    return { violations, notes };
   }
-  if (!isAllowedChangeUrl(context.gerritUrl)) {
-    return {
-      ok: false,
-      message: '현재 페이지 URL이 허용된 Gerrit 도메인이 아닙니다.',
-    };
+
+  if (policy.projects.length > 0) {
+    for (const issueKey of issueKeys) {
+      if (!policy.projects.includes(issueKey.split('-')[0])) {
+        violations.push({ issueKey, message: `허용되지 않은 프로젝트입니다. (허용: ${policy.projects.join(', ')})` });
+      }
+    }
+  }
+
+  const allowedTypes = policy.branchIssueTypes
+    .find((entry) => globToRegExp(entry.branch).test(context.branch))?.types || null;
+  if (!policy.rejectDone && !allowedTypes) return { violations, notes };
+
+  const { jiraDeployment, jiraEmail, jiraToken } = await loadStorageData();
+  if (!hasCredentials(resolveDeployment(jiraDeployment), jiraEmail, jiraToken)) {
+    notes.push('Jira 인증 정보가 없어 이슈 상태와 유형은 확인하지 못했습니다.');
+    return { violations, notes };
+  }
+
+  for (const issueKey of issueKeys) {
+    let card;
+    try {
+      card = await loadIssueCard(issueKey);
+    } catch (err) {
+      notes.push(`${issueKey}: ${mapClientError(err, '이슈를 확인하지 못했습니다.')}`);
+      continue;
+    }
+    if (!card) {
+      violations.push({ issueKey, message: 'Jira에서 이슈를 찾을 수 없습니다.' });
+      continue;
+    }
+    if (policy.rejectDone && card.statusCategory === 'done') {
+      violations.push({ issueKey, message: `이미 완료된 이슈입니다. (${card.status})` });
+    }
+    if (allowedTypes && !allowedTypes.some((type) => type.toLowerCase() === card.issueType.toLowerCase())) {
+      violations.push({
+        issueKey,
+        message: `${context.branch} 브랜치에 허용되지 않은 이슈 유형입니다: ${card.issueType || '-'} (허용: ${allowedTypes.join(', ')})`,
+      });
+    }
+  }
+  return { violations, notes };
+}
+
+/** `rawContext` is null when the tab left the change page; that only clears the badge. */
+async function handleCheckCommitPolicy(rawContext, tab) {
+  const policy = await loadCommitPolicy();
+  await getSiteConfig();
+  if (!policy.enabled || !rawContext || !isGerritTab(tab.url)) {
+    setPolicyBadge(tab.id, 0);
+    return { ok: true, enabled: policy.enabled, violations: [], notes: [] };
+  }
+
+  const context = sanitizeContext(rawContext, tab.url);
+  const { violations, notes } = await evaluateCommitPolicy(policy, context);
+  setPolicyBadge(tab.id, violations.length);
+  return { ok: true, enabled: true, changeNum: context.changeNum, violations, notes };
+}
+
+// -- Batch actions -------------------------------------------------------------
+// Search results, dashboards and the backfill page list many changes. The caller resolves
+// each selected change through the Gerrit REST API and sends it here one at a time, so it
+// can show per-change progress; link/comment then run exactly as from the popup.
+
+const BATCH_ACTIONS = Object.freeze(['link', 'comment']);
+
+/** `JIRA:` footer keys when the commit has any, otherwise its subject and footer-line keys. */
+function preferredIssueKeys(context) {
+  const tagged = context.issueKeys.filter((item) => item.source === 'jira-tag');
+  return (tagged.length > 0 ? tagged : context.issueKeys.filter((item) => ['subject', 'footer'].includes(item.source)))
+    .map((item) => item.key);
+}
+
+/**
+ * `tabUrl` (content script callers) pins the change to the Gerrit site of that page.
+ * `issueKeysInput` (backfill page) is the key list shown in its dry run, so exactly the
+ * reviewed keys run instead of keys re-derived here.
+ */
+async function handleBatchSyncChange(rawContext, actionsInput, tabUrl, source = 'batch', issueKeysInput = undefined) {
+  const actions = BATCH_ACTIONS.filter((a) => Array.isArray(actionsInput) && actionsInput.includes(a));
+  if (actions.length === 0) return { ok: false, message: '실행할 작업을 선택하세요.' };
+
+  const { jiraDeployment, jiraEmail, jiraToken } = await loadStorageData();
+  if (!hasCredentials(resolveDeployment(jiraDeployment), jiraEmail, jiraToken)) {
+    return { ok: false, fatal: true, message: mapClientError({ code: 'missing_credentials' }) };
+  }
+
+  await getSiteConfig();
+  const context = sanitizeContext(rawContext, '');
+  if (!isAllowedChangeUrl(context.gerritUrl)
+    || (tabUrl && (!isGerritTab(tabUrl) || new URL(context.gerritUrl).origin !== new URL(tabUrl).origin))) {
+    return { ok: false, message: mapClientError({ code: 'invalid_gerrit_url' }) };
+  }
+  const issueKeys = issueKeysInput === undefined
+    ? preferredIssueKeys(context)
+    : normalizeIssueKeyList(issueKeysInput);
+  if (issueKeys.length === 0) {
+    return { ok: false, noIssueKey: true, message: '이슈키 없음' };
+  }
+
+  const issues = [];
+  for (const issueKey of issueKeys) {
+    const entry = { issueKey };
+    if (actions.includes('link')) entry.link = await linkChangeToIssue(issueKey, context, source);
+    if (actions.includes('comment')) {
+      entry.comment = await commentChangeOnIssue(issueKey, context, undefined, {}, source);
+    }
+    issues.push(entry);
+  }
+
+  return {
+    ok: issues.every((e) => e.link?.ok !== false && (e.comment?.ok !== false || e.comment.duplicate)),
+    changeNum: context.changeNum,
+    summary: issues.map(summarizeSyncEntry).join('\n'),
+  };
+}
+
+// -- Action history ------------------------------------------------------------
+
+function loadActionHistory() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get([ACTION_HISTORY_KEY], (data) => {
+      resolve(Array.isArray(data?.[ACTION_HISTORY_KEY]) ? data[ACTION_HISTORY_KEY] : []);
+    });
+  });
+}
+
+let actionHistoryLock = Promise.resolve();
+
+function recordAction({ action, issueKey, context, status, detail, source }) {
+  const entry = {
+    id: crypto.randomUUID(),
+    timestamp: Date.now(),
+    action,
+    issueKey: String(issueKey || ''),
+    changeNum: String(context?.changeNum || ''),
+    patchset: String(context?.patchset || ''),
+    project: String(context?.project || ''),
+    branch: String(context?.branch || ''),
+    status,
+    detail: String(detail || ''),
+    source: source || 'user',
+  };
+
+  const run = actionHistoryLock.then(async () => {
+    const history = await loadActionHistory();
+    const next = [...history, entry].slice(-ACTION_HISTORY_MAX);
+    await new Promise((resolve) => {
+      chrome.storage.local.set({ [ACTION_HISTORY_KEY]: next }, resolve);
+    });
+  });
+  actionHistoryLock = run.catch(() => {});
+  return run.catch(() => {});
+}
+
+function describeActionResult(action, result) {
+  if (result.skipped) return String(result.message || '');
+  if (result.ok) {
+    if (action === 'transition') return `→ ${result.transition?.to || result.transition?.name || ''}`.trim();
+    if (action === 'gerrit') return result.hashtags?.length ? `해시태그 ${result.hashtags.join(', ')}` : 'change 메시지 작성';
+    return result.updated ? '기존 항목 업데이트' : '새로 생성';
+  }
+  return String(result.message || '').split('\n')[0];
+}
+
+function recordActionResult(action, issueKey, context, result, source) {
+  let status = 'failed';
+  if (result.skipped) status = 'skipped';
+  else if (result.ok) status = 'success';
+  else if (result.queued) status = 'queued';
+  else if (result.duplicate) status = 'skipped';
+
+  return recordAction({
+    action,
+    issueKey,
+    context,
+    status,
+    detail: describeActionResult(action, result),
+    source,
+  });
+}
+
+async function handleHistoryGet(changeNum, project) {
+  const num = String(changeNum || '').trim();
+  const proj = String(project || '').trim();
+  const history = await loadActionHistory();
+  const entries = history
+    .filter((e) => !num || (e.changeNum === num && (!proj || !e.project || e.project === proj)))
+    .reverse();
+  return { ok: true, entries };
+}
+
+// -- Action queue --------------------------------------------------------------
+
+function isRetryableError(err) {
+  return err?.code === 'network_error' || err?.status === 429 || (typeof err?.status === 'number' && err.status >= 500);
+}
+
+function computeRetryDelay(attempts, err) {
+  const backoff = Math.min(ACTION_QUEUE_BASE_DELAY_MS * 2 ** Math.max(0, attempts - 1), ACTION_QUEUE_MAX_DELAY_MS);
+  if (typeof err?.retryAfterMs === 'number') {
+    return Math.max(err.retryAfterMs, ACTION_QUEUE_BASE_DELAY_MS);
+  }
+  return backoff;
+}
+
+function loadActionQueue() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get([ACTION_QUEUE_KEY], (data) => {
+      resolve(Array.isArray(data?.[ACTION_QUEUE_KEY]) ? data[ACTION_QUEUE_KEY] : []);
+    });
+  });
+}
+
+function saveActionQueue(queue) {
+  return new Promise((resolve) => {
+    chrome.storage.local.set({ [ACTION_QUEUE_KEY]: queue }, resolve);
+  });
+}
+
+// Serialize read-modify-write cycles so concurrent enqueue/retry calls don't drop items.
+let actionQueueLock = Promise.resolve();
+
+function mutateActionQueue(mutator) {
+  const run = actionQueueLock.then(async () => {
+    const queue = await loadActionQueue();
+    const next = mutator(queue) || queue;
+    await saveActionQueue(next);
+    return next;
+  });
+  actionQueueLock = run.catch(() => {});
+  return run;
+}
+
+async function scheduleActionQueueAlarm() {
+  const queue = await loadActionQueue();
+  const due = queue
+    .filter((item) => item.status !== 'failed')
+    .map((item) => item.nextAttemptAt || Date.now());
+
+  if (due.length === 0) {
+    chrome.alarms.clear(ACTION_QUEUE_ALARM);
+    return;
   }
+  chrome.alarms.create(ACTION_QUEUE_ALARM, { when: Math.max(Date.now() + 1000, Math.min(...due)) });
+}
+
+async function enqueueAction(action, err) {
+  const now = Date.now();
+  const item = {
+    ...action,
+    id: crypto.randomUUID(),
+    status: 'pending',
+    attempts: 1,
+    createdAt: now,
+    nextAttemptAt: now + computeRetryDelay(1, err),
+    lastError: mapClientError(err, '요청에 실패했습니다.'),
+  };
+  await mutateActionQueue((queue) => [...queue, item]);
+  await scheduleActionQueueAlarm();
+  return item;
+}
 
+/** Queues retryable failures and annotates the failure result; other errors pass through. */
+async function failOrEnqueue(action, err, failure) {
+  if (!isRetryableError(err)) return failure;
   try {
-    const adfDoc = await buildCommentAdf(context);
-    await jiraClient.addComment(issueKey, adfDoc);
-    return { ok: true, issueKey };
-  } catch (err) {
+    await enqueueAction(action, err);
     return {
-      ok: false,
-      message: mapClientError(err, '코멘트 생성에 실패했습니다.'),
+      ...failure,
+      queued: true,
+      message: `${failure.message}\n대기열에 추가되어 자동으로 재시도합니다.`,
     };
+  } catch {
+    return failure;
+  }
+}
+
+async function runQueuedAction(item) {
+  if (item.type === 'link') {
+    await performRemoteLink(item.issueKey, item.context);
+    return;
+  }
+  if (item.type === 'comment') {
+    const result = await performComment(
+      item.issueKey,
+      item.context,
+      item.mode || undefined,
+      { commentText: item.commentText || '', templateId: item.templateId || '' },
+    );
+    if (result.duplicate) {
+      // Never guess between update/new in the background; leave it to the user.
+      const error = new Error('Comment exists');
+      error.code = 'comment_exists';
+      throw error;
+    }
+    return;
+  }
+  if (item.type === 'transition') {
+    await performTransition(item.issueKey, item.transitionId, item.fields);
+    return;
+  }
+  throw new Error('Unknown queued action');
+}
+
+let actionQueueRun = null;
+
+async function processActionQueue(onlyId) {
+  // A manual retry runs after the pass in flight: that pass never picks up failed items
+  // and may not have reached this one.
+  while (actionQueueRun) {
+    if (!onlyId) return actionQueueRun;
+    await actionQueueRun.catch(() => {});
   }
+
+  actionQueueRun = (async () => {
+    const now = Date.now();
+    const queue = await loadActionQueue();
+    const due = queue.filter((item) => (onlyId
+      ? item.id === onlyId
+      : item.status !== 'failed' && (item.nextAttemptAt || 0) <= now));
+
+    for (const item of due) {
+      await mutateActionQueue((q) => q.map((i) => (i.id === item.id ? { ...i, status: 'retrying' } : i)));
+
+      try {
+        await runQueuedAction(item);
+        await mutateActionQueue((q) => q.filter((i) => i.id !== item.id));
+        await recordAction({
+          action: item.type,
+          issueKey: item.issueKey,
+          context: item.context,
+          status: 'success',
+          detail: `재시도 성공 (${(item.attempts || 0) + 1}회차)`,
+          source: 'queue',
+        });
+      } catch (err) {
+        const attempts = (item.attempts || 0) + 1;
+        const permanent = !isRetryableError(err) || attempts >= ACTION_QUEUE_MAX_ATTEMPTS;
+        if (permanent) {
+          await recordAction({
+            action: item.type,
+            issueKey: item.issueKey,
+            context: item.context,
+            status: 'failed',
+            detail: mapClientError(err, '요청에 실패했습니다.').split('\n')[0],
+            source: 'queue',
+          });
+        }
+        await mutateActionQueue((q) => q.map((i) => (i.id === item.id
+          ? {
+            ...i,
+            attempts,
+            status: permanent ? 'failed' : 'pending',
+            nextAttemptAt: permanent ? null : Date.now() + computeRetryDelay(attempts, err),
+            lastError: mapClientError(err, '요청에 실패했습니다.'),
+          }
+          : i)));
+      }
+    }
+
+    await scheduleActionQueueAlarm();
+  })();
+
+  try {
+    await actionQueueRun;
+  } finally {
+    actionQueueRun = null;
+  }
+}
+
+function toQueueView(item) {
+  return {
+    id: item.id,
+    type: item.type,
+    issueKey: item.issueKey,
+    changeNum: item.context?.changeNum || '',
+    subject: item.context?.subject || '',
+    status: item.status,
+    attempts: item.attempts || 0,
+    maxAttempts: ACTION_QUEUE_MAX_ATTEMPTS,
+    nextAttemptAt: item.nextAttemptAt || null,
+    lastError: item.lastError || '',
+    createdAt: item.createdAt,
+  };
+}
+
+async function handleQueueGet() {
+  const queue = await loadActionQueue();
+  return { ok: true, items: queue.map(toQueueView) };
+}
+
+async function handleQueueRetry(id) {
+  const queue = await loadActionQueue();
+  if (!queue.some((item) => item.id === id)) {
+    return { ok: false, message: '대기열 항목을 찾을 수 없습니다.' };
+  }
+
+  await processActionQueue(id);
+  const after = await loadActionQueue();
+  const item = after.find((i) => i.id === id);
+  return item
+    ? { ok: false, item: toQueueView(item), message: item.lastError || '재시도에 실패했습니다.' }
+    : { ok: true };
+}
+
+async function handleQueueDiscard(id) {
+  await mutateActionQueue((queue) => queue.filter((item) => item.id !== id));
+  await scheduleActionQueueAlarm();
+  return { ok: true };
 }
 
 async function handlePopupSetFabEnabled(enabled) {
   await setFabEnabled(enabled);
+  await getSiteConfig();
 
   const tab = await getActiveTab();
   if (!tab || !tab.id || !tab.url || !isGerritTab(tab.url)) {
@@ -581,9 +3142,9 @@ async function handlePopupSetFabEnabled(enabled) {
   }
 }
 
-chrome.runtime.onMessage.addListener((msg, _sender, sendResponse) => {
+chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
   if (msg.type === MSG.TEST_CONNECTION) {
-    handleTestConnection(msg.email, msg.token).then(sendResponse);
+    handleTestConnection(msg.email, msg.token, msg.jiraBaseUrl, msg.deployment).then(sendResponse);
     return true;
   }
 
@@ -603,12 +3164,120 @@ chrome.runtime.onMessage.addListener((msg, _sender, sendResponse) => {
   }
 
   if (msg.type === MSG.POPUP_ADD_REMOTE_LINK) {
-    handlePopupAddRemoteLink(msg.issueKeyOverride).then(sendResponse);
+    handlePopupAddRemoteLink(msg.issueKeys).then(sendResponse);
+    return true;
+  }
+
+  if (msg.type === MSG.POPUP_GET_LINK_STATE) {
+    handlePopupGetLinkState(msg.issueKeyOverride).then(sendResponse);
     return true;
   }
 
   if (msg.type === MSG.POPUP_ADD_COMMENT) {
-    handlePopupAddComment(msg.issueKeyOverride).then(sendResponse);
+    handlePopupAddComment(msg.issueKeys, msg.mode, msg.drafts).then(sendResponse);
+    return true;
+  }
+
+  if (msg.type === MSG.POPUP_PREVIEW_COMMENT) {
+    handlePopupPreviewComment(msg.issueKeys, msg.templateId).then(sendResponse);
+    return true;
+  }
+
+  if (msg.type === MSG.POPUP_GET_TRANSITIONS) {
+    handlePopupGetTransitions(msg.issueKey).then(sendResponse);
+    return true;
+  }
+
+  if (msg.type === MSG.POPUP_DO_TRANSITION) {
+    handlePopupDoTransition(msg.issueKey, msg.transitionId, msg.fields).then(sendResponse);
+    return true;
+  }
+
+  if (msg.type === MSG.POPUP_POST_TO_GERRIT) {
+    handlePopupPostToGerrit(msg.issueKeys).then(sendResponse);
+    return true;
+  }
+
+  if (msg.type === MSG.POPUP_SEARCH_ISSUES) {
+    handlePopupSearchIssues(msg.query).then(sendResponse);
+    return true;
+  }
+
+  if (msg.type === MSG.POPUP_GET_CREATE_META) {
+    handlePopupGetCreateMeta(msg.projectKey).then(sendResponse);
+    return true;
+  }
+
+  if (msg.type === MSG.POPUP_CREATE_ISSUE) {
+    handlePopupCreateIssue(msg.issue).then(sendResponse);
+    return true;
+  }
+
+  if (msg.type === MSG.AUTO_SYNC_MERGED) {
+    // Only content scripts report merges; the tab URL backs up the reported one.
+    if (!sender.tab?.url) return false;
+    handleAutoSyncMerged(msg.context, sender.tab.url).then(sendResponse);
+    return true;
+  }
+
+  if (msg.type === MSG.AUTO_SYNC_UNDO) {
+    handleAutoSyncUndo(msg.syncId).then(sendResponse);
+    return true;
+  }
+
+  if (msg.type === MSG.JIRA_GET_GERRIT_CHANGES) {
+    // Only the Jira content script asks; the tab must be on the configured Jira site.
+    if (!sender.tab?.url) return false;
+    handleJiraGetGerritChanges(msg.issueKey, sender.tab.url).then(sendResponse);
+    return true;
+  }
+
+  if (msg.type === MSG.GERRIT_GET_ISSUE_CARDS) {
+    // Hovercards are drawn by the content script on Gerrit pages only.
+    if (!sender.tab?.url) return false;
+    handleGetIssueCards(msg.issueKeys, sender.tab.url).then(sendResponse);
+    return true;
+  }
+
+  if (msg.type === MSG.POLICY_CHECK_CHANGE) {
+    // The badge is per tab, so only content scripts can ask.
+    if (!sender.tab?.url) return false;
+    handleCheckCommitPolicy(msg.context, sender.tab).then(sendResponse);
+    return true;
+  }
+
+  if (msg.type === MSG.BATCH_SYNC_CHANGE) {
+    // Only content scripts on Gerrit pages run batches.
+    if (!sender.tab?.url) return false;
+    handleBatchSyncChange(msg.context, msg.actions, sender.tab.url).then(sendResponse);
+    return true;
+  }
+
+  if (msg.type === MSG.BACKFILL_SYNC_CHANGE) {
+    // Only the extension's own backfill page; content scripts use BATCH_SYNC_CHANGE.
+    if (!String(sender.url || '').startsWith(chrome.runtime.getURL('backfill.html'))) return false;
+    handleBatchSyncChange(msg.context, msg.actions, '', 'backfill', Array.isArray(msg.issueKeys) ? msg.issueKeys : [])
+      .then(sendResponse);
+    return true;
+  }
+
+  if (msg.type === MSG.HISTORY_GET) {
+    handleHistoryGet(msg.changeNum, msg.project).then(sendResponse);
+    return true;
+  }
+
+  if (msg.type === MSG.QUEUE_GET) {
+    handleQueueGet().then(sendResponse);
+    return true;
+  }
+
+  if (msg.type === MSG.QUEUE_RETRY) {
+    handleQueueRetry(String(msg.id || '')).then(sendResponse);
+    return true;
+  }
+
+  if (msg.type === MSG.QUEUE_DISCARD) {
+    handleQueueDiscard(String(msg.id || '')).then(sendResponse);
     return true;
   }
 
@@ -620,17 +3289,30 @@ chrome.runtime.onMessage.addListener((msg, _sender, sendResponse) => {
   return false;
 });
 
-async function handleTestConnection(email, token) {
-  if (!email || !token) {
+async function handleTestConnection(email, token, jiraBaseUrl, deploymentInput) {
+  const deployment = resolveDeployment(deploymentInput);
+  if (!hasCredentials(deployment, email, token)) {
     return { status: 401 };
   }
 
+  await getSiteConfig();
+  // The options page may test a Jira URL that has not been saved yet.
+  const candidate = SITE.normalizeJiraBaseUrl(jiraBaseUrl) || siteConfig.jiraBaseUrl;
+
+  let jiraBase;
+  try {
+    jiraBase = await resolveAllowedJiraBase(candidate);
+  } catch (err) {
+    return err?.code === 'missing_host_permission'
+      ? { status: null, missingPermission: true }
+      : { status: null, invalidBase: true };
+  }
+
   try {
-    assertAllowedJiraBase();
-    const resp = await fetch(`${JIRA_BASE}/rest/api/3/myself`, {
+    const resp = await fetch(`${jiraBase}${JIRA_DEPLOYMENTS[deployment].apiRoot}/myself`, {
       method: 'GET',
       headers: {
-        Authorization: `Basic ${btoa(`${email}:${token}`)}`,
+        Authorization: buildAuthorizationHeader(deployment, email, token),
         Accept: 'application/json',
       },
     });
@@ -639,3 +3321,33 @@ async function handleTestConnection(email, token) {
     return { status: null, networkError: true };
   }
 }
+
+chrome.runtime.onInstalled.addListener(() => {
+  syncContentScripts().catch(() => {});
+});
+
+chrome.runtime.onStartup.addListener(() => {
+  syncContentScripts().catch(() => {});
+  scheduleActionQueueAlarm().catch(() => {});
+});
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === ACTION_QUEUE_ALARM) {
+    processActionQueue().catch(() => {});
+  }
+});
+
+chrome.permissions.onAdded.addListener(() => {
+  syncContentScripts().catch(() => {});
+});
+
+chrome.permissions.onRemoved.addListener(() => {
+  syncContentScripts().catch(() => {});
+});
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== 'local') return;
+  if (SITE.STORAGE_KEYS.some((key) => key in changes)) {
+    syncContentScripts().catch(() => {});
+  }
+});
@@ -0,0 +1,69 @@
+// Shared Jira/Gerrit site configuration used across service worker, popup, options, and content script.
+(function initSiteConfig(root) {
+  const DEFAULTS = Object.freeze({
+    jiraBaseUrl: 'https://thinkfree.atlassian.net',
+    gerritOrigins: Object.freeze([
+      'http://gerrit.thinkfree.com',
+      'https://gerrit.thinkfree.com',
+    ]),
+  });
+
+  const STORAGE_KEYS = ['jiraBaseUrl', 'gerritOrigins'];
+
+  function parseHttpUrl(raw) {
+    try {
+      const url = new URL(String(raw || '').trim());
+      if (url.protocol !== 'https:' && url.protocol !== 'http:') return null;
+      if (url.username || url.password) return null;
+      return url;
+    } catch {
+      return null;
+    }
+  }
+
+  /** Origin plus optional context path (Jira Server may live under /jira), no trailing slash. */
+  function normalizeJiraBaseUrl(raw) {
+    const url = parseHttpUrl(raw);
+    if (!url) return '';
+    return `${url.origin}${url.pathname.replace(/\/+$/, '')}`;
+  }
+
+  function normalizeGerritOrigin(raw) {
+    const url = parseHttpUrl(raw);
+    return url ? url.origin : '';
+  }
+
+  function toOriginPattern(urlOrOrigin) {
+    const url = parseHttpUrl(urlOrOrigin);
+    return url ? `${url.origin}/*` : '';
+  }
+
+  function resolveSiteConfig(data) {
+    const jiraBaseUrl = normalizeJiraBaseUrl(data?.jiraBaseUrl) || DEFAULTS.jiraBaseUrl;
+    const stored = Array.isArray(data?.gerritOrigins) ? data.gerritOrigins : [];
+    const gerritOrigins = stored
+      .map(normalizeGerritOrigin)
+      .filter((origin, idx, all) => origin && all.indexOf(origin) === idx);
+
+    return {
+      jiraBaseUrl,
+      gerritOrigins: gerritOrigins.length > 0 ? gerritOrigins : [...DEFAULTS.gerritOrigins],
+    };
+  }
+
+  function loadSiteConfig() {
+    return new Promise((resolve) => {
+      chrome.storage.local.get(STORAGE_KEYS, (data) => resolve(resolveSiteConfig(data)));
+    });
+  }
+
+  root.SITE_CONFIG = Object.freeze({
+    DEFAULTS,
+    STORAGE_KEYS,
+    normalizeJiraBaseUrl,
+    normalizeGerritOrigin,
+    toOriginPattern,
+    resolveSiteConfig,
+    loadSiteConfig,
+  });
+})(typeof self !== 'undefined' ? self : window);